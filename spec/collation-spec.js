@@ -0,0 +1,142 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Sqlite3 from 'better-sqlite3';
+
+import Model from '../src/model';
+import Attributes from '../src/attributes';
+import RxDatabase from '../src/rx-database';
+import Transports from '../src/transports';
+
+const {InProcessCoordinatorTransport} = Transports;
+
+class Contact extends Model {
+  static attributes = Object.assign({}, Model.attributes, {
+    name: Attributes.String({
+      queryable: true,
+      modelKey: 'name',
+      collation: 'accentCaseInsensitiveOrder',
+    }),
+  });
+
+  static indexes = [{columns: ['name']}];
+
+  static searchIndexes = {};
+}
+
+const Names = ['résumé', 'Zebra', 'apple', 'Resume', 'rest', 'resumes'];
+const SortedNames = ['apple', 'rest', 'Resume', 'résumé', 'resumes', 'Zebra'];
+
+// These specs run against a real SQLite connection, because sort keys have to
+// order the same way in SQLite as they do in Javascript.
+describe("Collation", function CollationSpecs() {
+  beforeEach((done) => {
+    this.path = path.join(os.tmpdir(), `rxdb-collation-spec-${Date.now()}.db`);
+    this.sqlite = new Sqlite3(this.path, {});
+    this.db = new RxDatabase({
+      databasePath: this.path,
+      databaseVersion: '1',
+      transport: new InProcessCoordinatorTransport().createClient(),
+    });
+    this.db.models.register(Contact);
+
+    this.setup = () => new Promise((resolve) => {
+      this.db._db = this.sqlite;
+      this.db._runDatabaseSetup(() => {
+        this.db._open = true;
+        resolve();
+      });
+    });
+    this.names = (query) => this.db.run(query).then((contacts) => contacts.map(c => c.name));
+
+    if (this.sqlite.open) {
+      done();
+    } else {
+      this.sqlite.on('open', () => done());
+    }
+  });
+
+  afterEach(() => {
+    this.db.disconnect();
+    this.sqlite.close();
+    fs.unlinkSync(this.path);
+  });
+
+  describe("accentCaseInsensitiveOrder", () => {
+    beforeEach((done) => {
+      this.setup().then(() =>
+        this.db.inTransaction((t) =>
+          t.persistModels(Names.map((name, idx) => new Contact({id: `${idx}`, name})))
+        )
+      ).then(done, done.fail);
+    });
+
+    it("should sort strings by letter, then accents, then case using the index", (done) => {
+      const query = this.db.findAll(Contact).order(Contact.attributes.name.ascending());
+      const {sql, params} = query.statement();
+      const plan = this.sqlite.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(params).map(row => row.detail).join('\n');
+      expect(plan).toContain('rxdb_idx_Contact_name');
+      expect(plan).not.toContain('TEMP B-TREE');
+
+      this.names(query).then((names) => {
+        expect(names).toEqual(SortedNames);
+        done();
+      }).catch(done.fail);
+    });
+
+    it("should compare sort keys in range matchers and values in equality matchers", (done) => {
+      const {name} = Contact.attributes;
+      Promise.all([
+        this.names(this.db.findAll(Contact).where(new Attributes.Matcher(name, '>', 'Resume')).order(name.ascending())),
+        this.names(this.db.findAll(Contact).where(name.equal('resume'))),
+      ]).then(([after, equal]) => {
+        expect(after).toEqual(['résumé', 'resumes', 'Zebra']);
+        expect(equal).toEqual([]);
+        done();
+      }).catch(done.fail);
+    });
+
+    it("should update sort keys when values are updated in bulk", (done) => {
+      const {name} = Contact.attributes;
+      this.db.inTransaction((t) =>
+        t.updateAll(this.db.findAll(Contact).where(name.equal('Zebra')), {name: 'aardvark'})
+      ).then(() =>
+        this.names(this.db.findAll(Contact).order(name.ascending()).limit(2))
+      ).then((names) => {
+        expect(names).toEqual(['aardvark', 'apple']);
+        done();
+      }).catch(done.fail);
+    });
+  });
+
+  it("should backfill sort keys when an existing column gets the accentCaseInsensitiveOrder collation", (done) => {
+    this.sqlite.prepare('CREATE TABLE `Contact` (id TEXT PRIMARY KEY, data BLOB, name TEXT)').run();
+    Names.forEach((name, idx) => {
+      this.sqlite.prepare('INSERT INTO `Contact` (id, data, name) VALUES (?, ?, ?)').run([`${idx}`, JSON.stringify({id: `${idx}`, name}), name]);
+    });
+
+    this.setup().then(() =>
+      this.names(this.db.findAll(Contact).order(Contact.attributes.name.ascending()))
+    ).then((names) => {
+      expect(names).toEqual(SortedNames);
+      done();
+    }).catch(done.fail);
+  });
+
+  it("should clear the sort key columns of older versions when backfilling", (done) => {
+    this.sqlite.prepare('CREATE TABLE `Contact` (id TEXT PRIMARY KEY, data BLOB, name TEXT, rxdb_sortkey_v0_name TEXT)').run();
+    this.sqlite.prepare('CREATE INDEX `rxdb_idx_Contact_name` ON `Contact` (`rxdb_sortkey_v0_name`)').run();
+    Names.forEach((name, idx) => {
+      this.sqlite.prepare('INSERT INTO `Contact` (id, data, name, rxdb_sortkey_v0_name) VALUES (?, ?, ?, ?)').run([`${idx}`, JSON.stringify({id: `${idx}`, name}), name, name]);
+    });
+
+    this.setup().then(() => {
+      const rows = this.sqlite.prepare('SELECT `rxdb_sortkey_v0_name` AS `stale`, `rxdb_sortkey_v1_name` AS `current` FROM `Contact`').all();
+      expect(rows.every(({stale, current}) => (stale === null) && (current !== null))).toBe(true);
+      const indexes = this.sqlite.prepare("SELECT `sql` FROM `sqlite_master` WHERE `type` = 'index' AND `tbl_name` = 'Contact'").all().map(({sql}) => sql);
+      expect(indexes).toContain('CREATE INDEX `rxdb_idx_Contact_name` ON `Contact` (`rxdb_sortkey_v1_name` ASC)');
+      expect(indexes).not.toContain(jasmine.stringMatching(/rxdb_sortkey_v0_name/));
+      done();
+    }).catch(done.fail);
+  });
+});
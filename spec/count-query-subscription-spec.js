@@ -0,0 +1,104 @@
+import CountQuerySubscription from '../src/count-query-subscription';
+import QuerySubscriptionPool from '../src/query-subscription-pool';
+import SearchIndexes from '../src/search-indexes';
+
+import {Database, Thread} from './fixtures';
+
+describe("CountQuerySubscription", function CountQuerySubscriptionSpecs() {
+  beforeEach(() => {
+    this.count = 3;
+    spyOn(Database, 'run').and.callFake(() => Promise.resolve(this.count));
+    this.query = Database.count(Thread, {accountId: 'a'});
+    this.callback = jasmine.createSpy('callback');
+  });
+
+  const change = (type, objects) => ({objectClass: Thread.name, type, objects});
+
+  it("should run the count query and emit the count", (done) => {
+    const subscription = new CountQuerySubscription(this.query);
+    subscription.addCallback(this.callback);
+    jasmine.waitFor(() => this.callback.calls.count() > 0).then(() => {
+      expect(Database.run.calls.first().args[0]).toBe(this.query);
+      expect(this.callback).toHaveBeenCalledWith(3);
+      done();
+    });
+  });
+
+  describe("applyChangeRecord", () => {
+    beforeEach((done) => {
+      this.subscription = new CountQuerySubscription(this.query);
+      this.subscription.addCallback(this.callback);
+      jasmine.waitFor(() => this.callback.calls.count() > 0).then(() => {
+        this.callback.calls.reset();
+        Database.run.calls.reset();
+        done();
+      });
+    });
+
+    it("should count again when models of the class are persisted", (done) => {
+      this.count = 4;
+      this.subscription.applyChangeRecord(change('persist', [new Thread({id: '4', accountId: 'a'})]));
+      expect(Database.run.calls.count()).toBe(1);
+      jasmine.waitFor(() => this.callback.calls.count() > 0).then(() => {
+        expect(this.callback).toHaveBeenCalledWith(4);
+        done();
+      });
+    });
+
+    it("should count again when unpersisted models match the query", () => {
+      this.subscription.applyChangeRecord(change('unpersist', [new Thread({id: '2', accountId: 'a'})]));
+      expect(Database.run.calls.count()).toBe(1);
+    });
+
+    it("should not count again when unpersisted models don't match the query", () => {
+      this.subscription.applyChangeRecord(change('unpersist', [new Thread({id: '2', accountId: 'b'})]));
+      expect(Database.run).not.toHaveBeenCalled();
+    });
+
+    it("should count again once for all change records that arrive while counting", (done) => {
+      this.subscription.applyChangeRecord(change('persist', [new Thread({id: '4', accountId: 'a'})]));
+      this.subscription.applyChangeRecord(change('persist', [new Thread({id: '5', accountId: 'a'})]));
+      this.subscription.applyChangeRecord(change('unpersist', [new Thread({id: '1', accountId: 'a'})]));
+      expect(Database.run.calls.count()).toBe(1);
+      jasmine.waitFor(() => Database.run.calls.count() === 2).then(() => {
+        expect(this.subscription._queuedChangeRecords).toEqual([]);
+        done();
+      });
+    });
+
+    it("should not emit if the count is unchanged", (done) => {
+      this.subscription.applyChangeRecord(change('persist', [new Thread({id: '1', accountId: 'a'})]));
+      jasmine.waitFor(() => !this.subscription._updateInFlight).then(() => {
+        expect(this.callback).not.toHaveBeenCalled();
+        done();
+      });
+    });
+
+    it("should ignore change records for other classes", () => {
+      this.subscription.applyChangeRecord({objectClass: 'Message', type: 'unpersist', objects: [{id: '1'}]});
+      expect(Database.run).not.toHaveBeenCalled();
+    });
+  });
+
+  it("should count again when unpersisted models can't be evaluated in Javascript", (done) => {
+    const index = SearchIndexes.FTS5({version: 1, getDataForModel: () => ''});
+    spyOn(index, 'tableName').and.returnValue('ThreadSearch');
+    const query = Database.count(Thread).where(index.match('hello'));
+    const subscription = new CountQuerySubscription(query);
+    subscription.addCallback(this.callback);
+
+    jasmine.waitFor(() => this.callback.calls.count() > 0).then(() => {
+      Database.run.calls.reset();
+      subscription.applyChangeRecord(change('unpersist', [new Thread({id: '9'})]));
+      expect(Database.run.calls.first().args[0]).toBe(query);
+      done();
+    });
+  });
+
+  it("should be used by the QuerySubscriptionPool for count queries", () => {
+    const pool = new QuerySubscriptionPool(Database);
+    pool.add(this.query, this.callback);
+    const subscription = pool._subscriptions[pool._keyForQuery(this.query)];
+    expect(subscription instanceof CountQuerySubscription).toBe(true);
+  });
+});
@@ -1,7 +1,12 @@
 /* eslint quote-props: 0 */
 import TestModel from './fixtures/test-model';
 import Attributes from '../src/attributes';
-import {setupQueriesForClass} from '../src/query-builder';
+import {
+  setupQueriesForClass,
+  reconcileQueriesForClass,
+  indexDefinitionsForClass,
+  indexQueriesForClass,
+} from '../src/query-builder';
 
 describe("QueryBuilder", function QueryBuilderSpecs() {
   describe("setupQueriesForClass", () => {
@@ -49,6 +54,14 @@ describe("QueryBuilder", function QueryBuilderSpecs() {
       expect(queries[0]).toBe('CREATE TABLE IF NOT EXISTS `TestModel` (id TEXT PRIMARY KEY,data BLOB,datetime INTEGER,string-json-key TEXT,boolean INTEGER,number INTEGER)');
     });
 
+    it("should add a sort key column for each attribute with the accentCaseInsensitiveOrder collation", () => {
+      TestModel.attributes = {
+        'title': Attributes.String({queryable: true, modelKey: 'title', collation: 'accentCaseInsensitiveOrder'}),
+      };
+      const queries = setupQueriesForClass(TestModel);
+      expect(queries[0]).toBe('CREATE TABLE IF NOT EXISTS `TestModel` (id TEXT PRIMARY KEY,data BLOB,title TEXT,`rxdb_sortkey_v1_title` TEXT)');
+    });
+
     describe("when the model provides additional sqlite config", () => {
       it("the setup method should return these queries", () => {
         TestModel.configureWithAdditionalSQLiteConfig();
@@ -65,4 +78,170 @@ describe("QueryBuilder", function QueryBuilderSpecs() {
       });
     });
   });
+
+  describe("reconcileQueriesForClass", () => {
+    beforeEach(() => {
+      this.tables = {};
+      this.describeTable = (name) => this.tables[name] || null;
+    });
+
+    it("should return no queries if the table has not been created yet", () => {
+      TestModel.configureWithAllAttributes();
+      expect(reconcileQueriesForClass(TestModel, this.describeTable)).toEqual([]);
+    });
+
+    it("should add and backfill columns for new queryable attributes", () => {
+      TestModel.configureWithCollectionAttribute();
+      this.tables.TestModel = {columns: ['id', 'data'], indexes: []};
+      expect(reconcileQueriesForClass(TestModel, this.describeTable)).toEqual([
+        'ALTER TABLE `TestModel` ADD COLUMN other TEXT',
+        "UPDATE `TestModel` SET `other` = json_extract(`data`, '$.other')",
+      ]);
+    });
+
+    it("should not change tables whose columns are up to date", () => {
+      TestModel.configureWithCollectionAttribute();
+      this.tables.TestModel = {columns: ['id', 'data', 'other'], indexes: []};
+      this.tables.TestModelCategory = {columns: ['id', 'value', 'other'], indexes: []};
+      expect(reconcileQueriesForClass(TestModel, this.describeTable)).toEqual([]);
+    });
+
+    it("should drop indexes on columns that are no longer queryable", () => {
+      TestModel.configureBasic();
+      this.tables.TestModel = {
+        columns: ['id', 'data', 'other'],
+        indexes: [
+          {name: 'TestModel_id', columns: ['id']},
+          {name: 'TestModelOtherIndex', columns: ['other', 'id']},
+        ],
+      };
+      expect(reconcileQueriesForClass(TestModel, this.describeTable)).toEqual([
+        'DROP INDEX IF EXISTS `TestModelOtherIndex`',
+      ]);
+    });
+
+    it("should add sort key columns and drop indexes on sort keys of older versions", () => {
+      TestModel.attributes = {
+        'title': Attributes.String({queryable: true, modelKey: 'title', collation: 'accentCaseInsensitiveOrder'}),
+      };
+      this.tables.TestModel = {
+        columns: ['id', 'data', 'title', 'rxdb_sortkey_v0_title'],
+        indexes: [{name: 'rxdb_idx_TestModel_title', columns: ['rxdb_sortkey_v0_title']}],
+      };
+      expect(reconcileQueriesForClass(TestModel, this.describeTable)).toEqual([
+        'ALTER TABLE `TestModel` ADD COLUMN `rxdb_sortkey_v1_title` TEXT',
+        'DROP INDEX IF EXISTS `rxdb_idx_TestModel_title`',
+      ]);
+    });
+
+    it("should add the revision column to versioned models", () => {
+      TestModel.configureBasic();
+      TestModel.versioned = true;
+      this.tables.TestModel = {columns: ['id', 'data'], indexes: []};
+      const queries = reconcileQueriesForClass(TestModel, this.describeTable);
+      TestModel.versioned = false;
+      expect(queries).toEqual([
+        'ALTER TABLE `TestModel` ADD COLUMN `rxdb_revision` INTEGER NOT NULL DEFAULT 0',
+      ]);
+    });
+
+    it("should add and backfill join table columns from the model table", () => {
+      TestModel.configureWithCollectionAttribute();
+      this.tables.TestModel = {columns: ['id', 'data', 'other'], indexes: []};
+      this.tables.TestModelCategory = {columns: ['id', 'value'], indexes: []};
+      expect(reconcileQueriesForClass(TestModel, this.describeTable)).toEqual([
+        'ALTER TABLE `TestModelCategory` ADD COLUMN other TEXT',
+        'UPDATE `TestModelCategory` SET `other` = (SELECT `other` FROM `TestModel` WHERE `TestModel`.`id` = `TestModelCategory`.`id`)',
+      ]);
+    });
+  });
+
+  describe("indexQueriesForClass", () => {
+    beforeEach(() => {
+      TestModel.configureWithAllAttributes();
+    });
+
+    afterEach(() => {
+      TestModel.indexes = [];
+    });
+
+    it("should generate composite, unique and partial index definitions", () => {
+      TestModel.indexes = [
+        {columns: ['boolean', TestModel.attributes.datetime.descending()]},
+        {columns: ['string'], unique: true, where: '`number` IS NOT NULL', name: 'unique_string'},
+      ];
+      expect(indexDefinitionsForClass(TestModel)).toEqual([{
+        name: 'rxdb_idx_TestModel_boolean_datetime',
+        sql: 'CREATE INDEX `rxdb_idx_TestModel_boolean_datetime` ON `TestModel` (`boolean` ASC, `datetime` DESC)',
+      }, {
+        name: 'rxdb_idx_TestModel_unique_string',
+        sql: 'CREATE UNIQUE INDEX `rxdb_idx_TestModel_unique_string` ON `TestModel` (`string-json-key` ASC) WHERE `number` IS NOT NULL',
+      }]);
+    });
+
+    it("should create expression indexes on values nested in object attributes", () => {
+      TestModel.attributes = Object.assign({}, TestModel.attributes, {
+        address: Attributes.Object({modelKey: 'address'}),
+      });
+      TestModel.indexes = [{columns: [TestModel.attributes.address.path('city').descending()]}];
+      expect(indexDefinitionsForClass(TestModel)).toEqual([{
+        name: 'rxdb_idx_TestModel_address_city',
+        sql: "CREATE INDEX `rxdb_idx_TestModel_address_city` ON `TestModel` (json_extract(`data`, '$.address.city') DESC)",
+      }]);
+    });
+
+    it("should create indexes using the collation of each attribute", () => {
+      TestModel.attributes = Object.assign({}, TestModel.attributes, {
+        title: Attributes.String({queryable: true, modelKey: 'title', collation: 'nocase'}),
+        subtitle: Attributes.String({queryable: true, modelKey: 'subtitle', collation: 'accentCaseInsensitiveOrder'}),
+      });
+      TestModel.indexes = [{columns: ['title', 'subtitle', 'number']}];
+      expect(indexDefinitionsForClass(TestModel)).toEqual([{
+        name: 'rxdb_idx_TestModel_title_subtitle_number',
+        sql: 'CREATE INDEX `rxdb_idx_TestModel_title_subtitle_number` ON `TestModel` (`title` COLLATE NOCASE ASC, `rxdb_sortkey_v1_subtitle` ASC, `number` ASC)',
+      }]);
+    });
+
+    it("should add a unique index for each unique attribute", () => {
+      TestModel.configureWithUniqueAttribute();
+      expect(indexDefinitionsForClass(TestModel)).toEqual([{
+        name: 'rxdb_idx_TestModel_email_unique',
+        sql: 'CREATE UNIQUE INDEX `rxdb_idx_TestModel_email_unique` ON `TestModel` (`email` ASC)',
+      }]);
+    });
+
+    it("should throw if an index references an attribute without a column", () => {
+      TestModel.indexes = [{columns: ['other']}];
+      expect(() => indexDefinitionsForClass(TestModel)).toThrow();
+      TestModel.indexes = [{columns: []}];
+      expect(() => indexDefinitionsForClass(TestModel)).toThrow();
+    });
+
+    it("should create missing indexes and rebuild indexes whose definition changed", () => {
+      TestModel.indexes = [
+        {columns: ['boolean']},
+        {columns: ['number'], unique: true},
+      ];
+      const existing = [
+        {name: 'TestModel_id', sql: 'CREATE UNIQUE INDEX `TestModel_id` ON `TestModel` (`id`)'},
+        {name: 'rxdb_idx_TestModel_boolean', sql: 'CREATE INDEX `rxdb_idx_TestModel_boolean` ON `TestModel` (`boolean` ASC)'},
+        {name: 'rxdb_idx_TestModel_number', sql: 'CREATE INDEX `rxdb_idx_TestModel_number` ON `TestModel` (`number` ASC)'},
+      ];
+      expect(indexQueriesForClass(TestModel, existing)).toEqual([
+        'DROP INDEX IF EXISTS `rxdb_idx_TestModel_number`',
+        'CREATE UNIQUE INDEX `rxdb_idx_TestModel_number` ON `TestModel` (`number` ASC)',
+      ]);
+    });
+
+    it("should drop managed indexes that are no longer declared and leave others alone", () => {
+      const existing = [
+        {name: 'TestModel_id', sql: 'CREATE UNIQUE INDEX `TestModel_id` ON `TestModel` (`id`)'},
+        {name: 'rxdb_idx_TestModel_boolean', sql: 'CREATE INDEX `rxdb_idx_TestModel_boolean` ON `TestModel` (`boolean` ASC)'},
+        {name: 'rxdb_idx_TestModelOther_boolean', sql: 'CREATE INDEX `rxdb_idx_TestModelOther_boolean` ON `TestModel` (`boolean` ASC)'},
+      ];
+      expect(indexQueriesForClass(TestModel, existing)).toEqual([
+        'DROP INDEX IF EXISTS `rxdb_idx_TestModel_boolean`',
+      ]);
+    });
+  });
 });
@@ -3,6 +3,7 @@ import TestModel from './fixtures/test-model';
 import Thread from './fixtures/thread';
 import ModelQuery from '../src/query';
 import {Database} from './fixtures';
+import RxDatabase from '../src/rx-database';
 
 const testMatchers = {'id': 'b'};
 
@@ -35,7 +36,8 @@ describe("Database", function DatabaseSpecs() {
   describe("find", () =>
     it("should return a ModelQuery for retrieving a single item by Id", () => {
       const q = Database.find(TestModel, "4");
-      expect(q.sql()).toBe("SELECT `TestModel`.`data` FROM `TestModel`  WHERE `TestModel`.`id` = '4'  LIMIT 1");
+      expect(q.sql()).toBe("SELECT `TestModel`.`data` FROM `TestModel`  WHERE `TestModel`.`id` = ?  LIMIT 1");
+      expect(q.statement().params).toEqual(['4']);
     })
   );
 
@@ -47,7 +49,8 @@ describe("Database", function DatabaseSpecs() {
 
     it("should return a ModelQuery ready to be executed", () => {
       const q = Database.findBy(TestModel, testMatchers);
-      expect(q.sql()).toBe("SELECT `TestModel`.`data` FROM `TestModel`  WHERE `TestModel`.`id` = 'b'  LIMIT 1");
+      expect(q.sql()).toBe("SELECT `TestModel`.`data` FROM `TestModel`  WHERE `TestModel`.`id` = ?  LIMIT 1");
+      expect(q.statement().params).toEqual(['b']);
     });
   });
 
@@ -59,7 +62,8 @@ describe("Database", function DatabaseSpecs() {
 
     it("should return a ModelQuery ready to be executed", () => {
       const q = Database.findAll(TestModel, testMatchers);
-      expect(q.sql()).toBe("SELECT `TestModel`.`data` FROM `TestModel`  WHERE `TestModel`.`id` = 'b'  ");
+      expect(q.sql()).toBe("SELECT `TestModel`.`data` FROM `TestModel`  WHERE `TestModel`.`id` = ?  ");
+      expect(q.statement().params).toEqual(['b']);
     });
   });
 
@@ -135,7 +139,100 @@ describe("Database", function DatabaseSpecs() {
 
     it("should return a ModelQuery configured for COUNT ready to be executed", () => {
       const q = Database.findAll(TestModel, testMatchers);
-      expect(q.sql()).toBe("SELECT `TestModel`.`data` FROM `TestModel`  WHERE `TestModel`.`id` = 'b'  ");
+      expect(q.sql()).toBe("SELECT `TestModel`.`data` FROM `TestModel`  WHERE `TestModel`.`id` = ?  ");
+      expect(q.statement().params).toEqual(['b']);
+    });
+  });
+
+  describe("indexUsageReport", () => {
+    beforeEach(() => {
+      Database._options.logQueryPlans = true;
+      Database._indexUsage = {used: {}, queriedTables: {}, missing: []};
+      TestModel.indexes = [{columns: ['id'], name: 'a'}, {columns: ['id'], name: 'b'}];
+    });
+
+    afterEach(() => {
+      Database._options.logQueryPlans = false;
+      TestModel.indexes = [];
+    });
+
+    it("should throw if query plans are not being logged", () => {
+      Database._options.logQueryPlans = false;
+      expect(() => Database.indexUsageReport()).toThrow();
+    });
+
+    it("should report declared indexes that were never used and queries that scanned tables", () => {
+      Database._recordQueryPlan('SELECT 1', [{detail: 'SEARCH TABLE TestModel USING INDEX rxdb_idx_TestModel_a (id=?)'}]);
+      Database._recordQueryPlan('SELECT 2', [{detail: 'SCAN TABLE Thread'}]);
+      Database._recordQueryPlan('SELECT 2', [{detail: 'SCAN TABLE Thread'}]);
+      Database._recordQueryPlan('SELECT 3', [{detail: 'SCAN TABLE Message USING COVERING INDEX Message_date'}]);
+
+      expect(Database.indexUsageReport()).toEqual({
+        unused: ['rxdb_idx_TestModel_b'],
+        missing: [{table: 'Thread', query: 'SELECT 2'}],
+      });
+    });
+
+    it("should not report indexes as unused until their table has been queried", () => {
+      expect(Database.indexUsageReport()).toEqual({unused: [], missing: []});
+      Database._recordQueryPlan('SELECT 1', [{detail: 'SCAN TestModel'}]);
+      expect(Database.indexUsageReport().unused).toEqual(['rxdb_idx_TestModel_a', 'rxdb_idx_TestModel_b']);
+    });
+
+    it("should not report scans of virtual tables, subqueries or constant rows as missing indexes", () => {
+      Database._recordQueryPlan('SELECT 1', [
+        {detail: 'SEARCH TABLE Thread USING INDEX Thread_id (id=?)'},
+        {detail: 'SCAN TABLE json_each VIRTUAL TABLE INDEX 1:'},
+        {detail: 'SCAN Thread_search VIRTUAL TABLE INDEX 0:M2'},
+        {detail: 'SCAN CONSTANT ROW'},
+        {detail: 'SCAN SUBQUERY 1'},
+      ]);
+      expect(Database.indexUsageReport().missing).toEqual([]);
+    });
+  });
+
+  describe("_runIndexQueries", () => {
+    beforeEach(() => {
+      TestModel.configureWithUniqueAttribute();
+      this.ran = [];
+      this.run = (query) => {
+        this.ran.push(query);
+        if (query.startsWith('CREATE UNIQUE INDEX')) {
+          throw new Error('UNIQUE constraint failed: TestModel.email');
+        }
+      };
+    });
+
+    afterEach(() => {
+      TestModel.indexes = [];
+    });
+
+    it("should fail with a UniqueIndexError if a unique index can't be created because of duplicate values", () => {
+      TestModel.indexes = [{columns: ['email'], name: 'email'}];
+      spyOn(Database, '_listIndexes').and.returnValue([]);
+      let error = null;
+      try {
+        Database._runIndexQueries(TestModel, this.run);
+      } catch (err) {
+        error = err;
+      }
+      expect(error instanceof RxDatabase.UniqueIndexError).toBe(true);
+      expect(error.objectClass).toBe('TestModel');
+      expect(error.indexName).toBe('rxdb_idx_TestModel_email_unique');
+      expect(this.ran).toEqual([
+        'CREATE INDEX `rxdb_idx_TestModel_email` ON `TestModel` (`email` ASC)',
+        'CREATE UNIQUE INDEX `rxdb_idx_TestModel_email_unique` ON `TestModel` (`email` ASC)',
+      ]);
+    });
+
+    it("should rethrow other errors", () => {
+      spyOn(Database, '_listIndexes').and.returnValue([]);
+      const run = (query) => {
+        if (query.startsWith('CREATE UNIQUE INDEX')) {
+          throw new Error('no such column: email');
+        }
+      };
+      expect(() => Database._runIndexQueries(TestModel, run)).toThrowError('no such column: email');
     });
   });
 
@@ -162,18 +259,51 @@ describe("Database", function DatabaseSpecs() {
       })
     );
 
-    it("always fires a COMMIT, even if the body function fails", (done) =>
+    it("fires a ROLLBACK and rejects with the original error if the body function fails", (done) =>
       Database.inTransaction(() => {
         throw new Error("BOOO");
-      }).catch(() => {
+      }).catch((err) => {
+        expect(err.message).toBe("BOOO");
         expect(this.performed.length).toBe(2);
         expect(this.performed[0].query).toBe("BEGIN IMMEDIATE TRANSACTION");
-        expect(this.performed[1].query).toBe("COMMIT");
+        expect(this.performed[1].query).toBe("ROLLBACK");
         done();
       })
 
     );
 
+    it("discards change records if the body function rejects", (done) =>
+      Database.inTransaction((t) => {
+        return t.persistModel(new TestModel({id: 'a'})).then(() => {
+          return Promise.reject(new Error("BOOO"));
+        });
+      }).catch(() => {
+        expect(this.performed.pop().query).toBe("ROLLBACK");
+        expect(Database.transactionDidCommitChanges).not.toHaveBeenCalled();
+        done();
+      })
+    );
+
+    it("fires a ROLLBACK if the COMMIT fails", (done) => {
+      Database._query.and.callFake((query, values = []) => {
+        this.performed.push({query, values});
+        if (query === 'COMMIT') {
+          return Promise.reject(new Error("database is locked"));
+        }
+        return Promise.resolve([]);
+      });
+      Database.inTransaction(() => {}).catch((err) => {
+        expect(err.message).toBe("database is locked");
+        expect(this.performed.map(p => p.query)).toEqual([
+          "BEGIN IMMEDIATE TRANSACTION",
+          "COMMIT",
+          "ROLLBACK",
+        ]);
+        expect(Database.transactionDidCommitChanges).not.toHaveBeenCalled();
+        done();
+      });
+    });
+
     it("can be called multiple times and get queued", (done) =>
       Promise.all([
         Database.inTransaction(() => { }),
@@ -192,7 +322,7 @@ describe("Database", function DatabaseSpecs() {
 
     );
 
-    it("carries on if one of them fails, but still calls the COMMIT for the failed block", (done) => {
+    it("carries on if one of them fails, and calls ROLLBACK for the failed block", (done) => {
       let caughtError = false;
       Promise.all([
         Database.inTransaction(() => Database._query("ONE")),
@@ -204,7 +334,7 @@ describe("Database", function DatabaseSpecs() {
         expect(this.performed[1].query).toBe("ONE");
         expect(this.performed[2].query).toBe("COMMIT");
         expect(this.performed[3].query).toBe("BEGIN IMMEDIATE TRANSACTION");
-        expect(this.performed[4].query).toBe("COMMIT");
+        expect(this.performed[4].query).toBe("ROLLBACK");
         expect(this.performed[5].query).toBe("BEGIN IMMEDIATE TRANSACTION");
         expect(this.performed[6].query).toBe("THREE");
         expect(this.performed[7].query).toBe("COMMIT");
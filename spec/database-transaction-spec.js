@@ -1,7 +1,14 @@
 /* eslint dot-notation:0 */
-import {Database, TestModel, Category} from './fixtures';
-import DatabaseTransaction from '../src/database-transaction';
+import {Database, TestModel, Category, Thread} from './fixtures';
+import Attributes from '../src/attributes';
+import DatabaseTransaction, {
+  ConflictError,
+  ValidationError,
+  UniqueConstraintError,
+  DeleteRestrictedError,
+} from '../src/database-transaction';
 import DatabaseChangeRecord from '../src/database-change-record';
+import ModelQuery from '../src/query';
 
 const testModelInstance = new TestModel({id: "1234"});
 const testModelInstanceA = new TestModel({id: "AAA"});
@@ -41,6 +48,102 @@ describe("DatabaseTransaction", function DatabaseTransactionSpecs() {
 
   describe("execute", () => {});
 
+  describe("inTransaction", () => {
+    it("should throw if the transaction is not open", () => {
+      expect(() => this.transaction.inTransaction(() => {})).toThrow();
+    });
+
+    it("should run the nested transaction inside a savepoint", (done) =>
+      this.transaction.execute(t =>
+        t.inTransaction(nested => nested._query("TEST"))
+      ).then(() => {
+        expect(this.performed.map(p => p.query)).toEqual([
+          "BEGIN IMMEDIATE TRANSACTION",
+          "SAVEPOINT rxdb_sp_1",
+          "TEST",
+          "RELEASE rxdb_sp_1",
+          "COMMIT",
+        ]);
+        done();
+      })
+    );
+
+    it("should roll back only the savepoint if the nested transaction fails", (done) =>
+      this.transaction.execute(t =>
+        t.persistModel(testModelInstanceA).then(() =>
+          t.inTransaction(nested =>
+            nested.persistModel(testModelInstanceB).then(() => {
+              throw new Error("BOOO");
+            })
+          ).catch((err) => {
+            expect(err.message).toBe("BOOO");
+          })
+        )
+      ).then(() => {
+        const queries = this.performed.map(p => p.query);
+        expect(queries.slice(-3)).toEqual([
+          "ROLLBACK TO rxdb_sp_1",
+          "RELEASE rxdb_sp_1",
+          "COMMIT",
+        ]);
+        expect(queries).not.toContain("ROLLBACK");
+        const records = Database.transactionDidCommitChanges.calls.first().args[0];
+        expect(records.length).toBe(1);
+        expect(records[0].objects.map(m => m.id)).toEqual([testModelInstanceA.id]);
+        done();
+      })
+    );
+
+    it("should pass the nested transaction's change records to the parent", (done) =>
+      this.transaction.execute(t =>
+        t.inTransaction(nested => nested.persistModel(testModelInstanceB))
+      ).then(() => {
+        const records = Database.transactionDidCommitChanges.calls.first().args[0];
+        expect(records.length).toBe(1);
+        expect(records[0].objects.map(m => m.id)).toEqual([testModelInstanceB.id]);
+        done();
+      })
+    );
+
+    it("should run sibling nested transactions one at a time", (done) =>
+      this.transaction.execute(t =>
+        Promise.all([
+          t.inTransaction(nested => nested._query("ONE")),
+          t.inTransaction(nested => nested._query("TWO")),
+        ])
+      ).then(() => {
+        expect(this.performed.map(p => p.query)).toEqual([
+          "BEGIN IMMEDIATE TRANSACTION",
+          "SAVEPOINT rxdb_sp_1",
+          "ONE",
+          "RELEASE rxdb_sp_1",
+          "SAVEPOINT rxdb_sp_1",
+          "TWO",
+          "RELEASE rxdb_sp_1",
+          "COMMIT",
+        ]);
+        done();
+      })
+    );
+
+    it("should use a new savepoint name for each level of nesting", (done) =>
+      this.transaction.execute(t =>
+        t.inTransaction(a => a.inTransaction(b => b._query("DEEP")))
+      ).then(() => {
+        expect(this.performed.map(p => p.query)).toEqual([
+          "BEGIN IMMEDIATE TRANSACTION",
+          "SAVEPOINT rxdb_sp_1",
+          "SAVEPOINT rxdb_sp_2",
+          "DEEP",
+          "RELEASE rxdb_sp_2",
+          "RELEASE rxdb_sp_1",
+          "COMMIT",
+        ]);
+        done();
+      })
+    );
+  });
+
   describe("persistModel", () => {
     it("should throw an exception if the model is not a subclass of Model", () =>
       expect(() => this.transaction.persistModel({id: 'asd', subject: 'bla'})).toThrow()
@@ -84,14 +187,325 @@ describe("DatabaseTransaction", function DatabaseTransactionSpecs() {
       });
     });
 
-    it("should throw an exception if the models are not the same class, since it cannot be specified by the trigger payload", () =>
-      expect(() => this.transaction.persistModels([testModelInstanceA, new Category()])).toThrow()
-    );
+    it("should group models of different classes and emit a change record for each class", (done) => {
+      TestModel.configureBasic();
+      const category = new Category({id: 'c1'});
+      this.transaction.execute(t => {
+        return t.persistModels([testModelInstanceA, category, testModelInstanceB]);
+      })
+      .then(() => {
+        const replaces = this.performed.filter(p => p.query.startsWith('REPLACE INTO'));
+        expect(replaces.map(p => p.query.split(' (')[0])).toEqual([
+          "REPLACE INTO `TestModel`",
+          "REPLACE INTO `Category`",
+        ]);
+        const changes = Database.transactionDidCommitChanges.calls.first().args[0];
+        expect(changes.map(c => c.objectClass)).toEqual([TestModel.name, Category.name]);
+        expect(changes[0].objects).toEqual([testModelInstanceA, testModelInstanceB]);
+        expect(changes[1].objects).toEqual([category]);
+        done();
+      });
+    });
+
+    it("should allow models of different classes to have the same id", (done) => {
+      TestModel.configureBasic();
+      this.transaction.execute(t => {
+        return t.persistModels([testModelInstanceA, new Category({id: testModelInstanceA.id})]);
+      })
+      .then(() => {
+        expect(Database.transactionDidCommitChanges.calls.first().args[0].length).toBe(2);
+        done();
+      });
+    });
+
+    it("should throw an exception if one of the models is partial", () => {
+      const partial = testModelInstanceB.clone().markPartial(['id']);
+      expect(() => this.transaction.persistModels([testModelInstanceA, partial])).toThrow()
+    });
 
     it("should throw an exception if the models are not a subclass of Model", () =>
       expect(() => this.transaction.persistModels([{id: 'asd', subject: 'bla'}])).toThrow()
     );
 
+    it("should reject with a ValidationError listing every invalid model without writing", (done) => {
+      TestModel.configureBasic();
+      spyOn(TestModel.attributes.id, 'validate').and.callFake((value) =>
+        (value === 'AAA') ? [] : [{attribute: 'id', rule: 'validate', message: 'id is invalid'}]
+      );
+      this.transaction.execute(t => t.persistModels([testModelInstanceA, testModelInstanceB, testModelInstance]))
+      .catch((err) => {
+        expect(err instanceof ValidationError).toBe(true);
+        expect(err.errors.map(e => e.id)).toEqual(['BBB', '1234']);
+        expect(err.errors[0]).toEqual({objectClass: 'TestModel', id: 'BBB', attribute: 'id', rule: 'validate', message: 'id is invalid'});
+        expect(this.performed.map(p => p.query)).toEqual(['BEGIN IMMEDIATE TRANSACTION', 'ROLLBACK']);
+        done();
+      });
+    });
+
+    it("should recalculate computed attributes and write them to their columns", (done) => {
+      TestModel.configureWithComputedAttribute();
+      const model = new TestModel({id: 'AAA', subject: 'Hello', sortableSubject: 'stale'});
+      this.transaction.execute(t => t.persistModel(model)).then(() => {
+        const replace = this.performed.find(p => p.query.startsWith('REPLACE INTO'));
+        expect(replace.query).toBe("REPLACE INTO `TestModel` (id,data,sortable_subject) VALUES (?,?,?)");
+        expect(replace.values[2]).toBe('hello');
+        expect(JSON.parse(replace.values[1]).sortable_subject).toBe('hello');
+        done();
+      });
+    });
+
+    describe("when the models are versioned", () => {
+      beforeEach(() => {
+        TestModel.configureBasic();
+        TestModel.versioned = true;
+        this.storedRevisions = {AAA: 3};
+        Database._query.and.callFake((query, values = []) => {
+          this.performed.push({query, values});
+          if (query.startsWith('SELECT `id`, `rxdb_revision`')) {
+            return Promise.resolve(values.filter(id => this.storedRevisions[id] !== undefined).map(id =>
+              ({id, rxdb_revision: this.storedRevisions[id]})
+            ));
+          }
+          if (query.startsWith('SELECT')) {
+            return Promise.resolve([{data: JSON.stringify({id: 'AAA'}), rxdb_revision: 3}]);
+          }
+          return Promise.resolve([]);
+        });
+      });
+
+      afterEach(() => {
+        TestModel.versioned = false;
+      });
+
+      it("should write the next revision if the model has not changed since it was loaded", (done) => {
+        const model = new TestModel({id: 'AAA'}).setRevision(3);
+        this.transaction.execute(t => t.persistModel(model)).then(() => {
+          const replace = this.performed.find(p => p.query.startsWith('REPLACE INTO'));
+          expect(replace.query).toBe("REPLACE INTO `TestModel` (id,data,rxdb_revision) VALUES (?,?,?)");
+          expect(replace.values[2]).toBe(4);
+          expect(model.__revision).toBe(4);
+          done();
+        });
+      });
+
+      it("should give new models the first revision", (done) => {
+        const model = new TestModel({id: 'NEW'});
+        this.transaction.execute(t => t.persistModel(model)).then(() => {
+          expect(model.__revision).toBe(1);
+          done();
+        });
+      });
+
+      it("should reject with a ConflictError and roll back if the stored revision differs", (done) => {
+        const model = new TestModel({id: 'AAA'}).setRevision(2);
+        this.transaction.execute(t => t.persistModel(model)).catch((err) => {
+          expect(err instanceof ConflictError).toBe(true);
+          expect(err.storedRevision).toBe(3);
+          expect(err.expectedRevision).toBe(2);
+          expect(this.performed.map(p => p.query)).not.toContain(jasmine.stringMatching(/^REPLACE/));
+          expect(this.performed[this.performed.length - 1].query).toBe('ROLLBACK');
+          done();
+        });
+      });
+
+      it("should write the model returned by resolveConflict", (done) => {
+        const model = new TestModel({id: 'AAA'}).setRevision(2);
+        const resolveConflict = jasmine.createSpy('resolveConflict').and.callFake((local) => local);
+        this.transaction.execute(t => t.persistModel(model, {resolveConflict})).then(() => {
+          const [local, stored] = resolveConflict.calls.first().args;
+          expect(local.id).toBe('AAA');
+          expect(stored.__revision).toBe(3);
+          const replace = this.performed.find(p => p.query.startsWith('REPLACE INTO'));
+          expect(replace.values[2]).toBe(4);
+          done();
+        });
+      });
+    });
+
+    describe("when the class has unique attributes", () => {
+      beforeEach(() => {
+        TestModel.configureWithUniqueAttribute();
+        // Simulates SQLite's unique index: the first `failures` writes of the
+        // model table fail, and lookups find the stored model.
+        this.failures = 1;
+        this.stored = [{id: 'STORED', email: 'ben@example.com', name: 'Ben'}];
+        this.written = null;
+        Database._query.and.callFake((query, values = []) => {
+          this.performed.push({query, values});
+          if (/^(INSERT INTO|UPDATE) `TestModel`/.test(query) && (this.failures > 0)) {
+            this.failures -= 1;
+            return Promise.reject(new Error(`RxDatabase: Query ${query}, ${JSON.stringify(values)} failed SqliteError: UNIQUE constraint failed: TestModel.email`));
+          }
+          if (query.startsWith('SELECT `id`, `data`')) {
+            return Promise.resolve(this.written);
+          }
+          if (query.startsWith('SELECT `TestModel`.')) {
+            // Queries match the stored models by id or email
+            const matched = [].concat(...values.map((v) => (`${v}`.startsWith('[') ? JSON.parse(v) : [v])));
+            const rows = this.stored.filter((json) => matched.includes(json.id) || matched.includes(json.email));
+            return Promise.resolve(rows.map((json) => ({id: json.id, data: JSON.stringify(json)})));
+          }
+          return Promise.resolve([]);
+        });
+      });
+
+      afterEach(() => {
+        TestModel.configureBasic();
+      });
+
+      it("should insert models without looking up stored models first", (done) => {
+        this.failures = 0;
+        const model = new TestModel({id: 'NEW', email: 'amy@example.com'});
+        this.transaction.execute(t => t.persistModel(model)).then(() => {
+          expect(this.performed.map(p => p.query)).toEqual([
+            'BEGIN IMMEDIATE TRANSACTION',
+            'SAVEPOINT rxdb_sp_1',
+            'DELETE FROM `TestModel` WHERE `id` IN (SELECT `value` FROM json_each(?))',
+            'INSERT INTO `TestModel` (id,data,email) VALUES (?,?,?)',
+            'RELEASE rxdb_sp_1',
+            'COMMIT',
+          ]);
+          done();
+        });
+      });
+
+      it("should turn a UNIQUE constraint failure into a UniqueConstraintError by default", (done) => {
+        const model = new TestModel({id: 'NEW', email: 'ben@example.com'});
+        this.transaction.execute(t => t.persistModel(model)).catch((err) => {
+          expect(err instanceof UniqueConstraintError).toBe(true);
+          expect(err.attribute).toBe('email');
+          expect(err.existingId).toBe('STORED');
+          const queries = this.performed.map(p => p.query);
+          expect(queries.indexOf('ROLLBACK TO rxdb_sp_1') < queries.findIndex(q => q.startsWith('SELECT'))).toBe(true);
+          done();
+        });
+      });
+
+      it("should still reject with a UniqueConstraintError if the stored model can't be found", (done) => {
+        this.stored = [];
+        const model = new TestModel({id: 'NEW', email: 'ben@example.com'});
+        this.transaction.execute(t => t.persistModel(model)).catch((err) => {
+          expect(err instanceof UniqueConstraintError).toBe(true);
+          expect(err.attribute).toBe('email');
+          expect(err.existingId).toBe(undefined);
+          done();
+        });
+      });
+
+      it("should reject if two models in the batch share a unique value", (done) => {
+        const models = [
+          new TestModel({id: 'A', email: 'amy@example.com'}),
+          new TestModel({id: 'B', email: 'amy@example.com'}),
+        ];
+        this.transaction.execute(t => t.persistModels(models, {onConflict: 'replace'})).catch((err) => {
+          expect(err instanceof UniqueConstraintError).toBe(true);
+          expect(err.existingId).toBe('A');
+          expect(this.performed.map(p => p.query)).toEqual(['BEGIN IMMEDIATE TRANSACTION', 'ROLLBACK']);
+          done();
+        });
+      });
+
+      it("should insert or ignore the models and record the ones written when onConflict is 'ignore'", (done) => {
+        const models = [
+          new TestModel({id: 'NEW', email: 'ben@example.com'}),
+          new TestModel({id: 'OTHER', email: 'amy@example.com'}),
+        ];
+        this.written = [{id: 'OTHER', data: JSON.stringify(models[1].toJSON({joined: false}))}];
+        this.transaction.execute(t => t.persistModels(models, {onConflict: 'ignore'})).then(() => {
+          const queries = this.performed.map(p => p.query);
+          expect(queries).toContain('UPDATE OR IGNORE `TestModel` SET `data` = ?, `email` = ? WHERE `id` = ?');
+          expect(queries).toContain('INSERT OR IGNORE INTO `TestModel` (id,data,email) VALUES (?,?,?),(?,?,?)');
+          expect(queries).not.toContain(jasmine.stringMatching(/^SELECT `TestModel`/));
+          const change = Database.transactionDidCommitChanges.calls.first().args[0][0];
+          expect(change.objects.map(m => m.id)).toEqual(['OTHER']);
+          done();
+        });
+      });
+
+      it("should remove the stored model and write the model again when onConflict is 'replace'", (done) => {
+        const model = new TestModel({id: 'NEW', email: 'ben@example.com'});
+        this.transaction.execute(t => t.persistModel(model, {onConflict: 'replace'})).then(() => {
+          const deletes = this.performed.filter(p => p.query === 'DELETE FROM `TestModel` WHERE `id` IN (SELECT `value` FROM json_each(?))');
+          expect(deletes.map(p => p.values)).toEqual([['["NEW"]'], ['["STORED"]'], ['["NEW"]']]);
+          expect(this.performed.filter(p => p.query.startsWith('INSERT INTO')).length).toBe(2);
+
+          const records = Database.transactionDidCommitChanges.calls.first().args[0];
+          expect(records.map(r => [r.type, r.objects.map(m => m.id)])).toEqual([
+            ['unpersist', ['STORED']],
+            ['persist', ['NEW']],
+          ]);
+          done();
+        });
+      });
+
+      it("should write the model's values onto the stored model when onConflict is 'merge'", (done) => {
+        const model = new TestModel({id: 'NEW', email: 'ben@example.com'});
+        this.transaction.execute(t => t.persistModel(model, {onConflict: 'merge'})).then(() => {
+          const inserts = this.performed.filter(p => p.query.startsWith('INSERT INTO'));
+          expect(inserts[1].values[0]).toBe('STORED');
+          expect(JSON.parse(inserts[1].values[1]).name).toBe('Ben');
+          expect(model.id).toBe('STORED');
+          done();
+        });
+      });
+
+      it("should not overwrite stored values with default values when onConflict is 'merge'", (done) => {
+        TestModel.attributes.name.defaultValue = 'Unknown';
+        const model = new TestModel({id: 'NEW', email: 'ben@example.com'});
+        const named = new TestModel({id: 'OTHER', email: 'amy@example.com', name: 'Unknown'});
+        expect(model.clone().hasDefaultValue('name')).toBe(true);
+        expect(named.hasDefaultValue('name')).toBe(false);
+
+        this.transaction.execute(t => t.persistModel(model, {onConflict: 'merge'})).then(() => {
+          const inserts = this.performed.filter(p => p.query.startsWith('INSERT INTO'));
+          expect(inserts[1].values[0]).toBe('STORED');
+          expect(JSON.parse(inserts[1].values[1]).name).toBe('Ben');
+          done();
+        });
+      });
+
+      describe("updateAll", () => {
+        beforeEach(() => {
+          this.stored = [{id: 'A', email: 'amy@example.com'}, {id: 'B', email: 'bob@example.com'}];
+          this.query = Database.findAll(TestModel).where({id: 'A'});
+        });
+
+        it("should turn a UNIQUE constraint failure into a UniqueConstraintError", (done) => {
+          this.transaction.execute(t => t.updateAll(this.query, {email: 'bob@example.com'})).catch((err) => {
+            expect(err instanceof UniqueConstraintError).toBe(true);
+            expect(err.existingId).toBe('B');
+            expect(this.performed.map(p => p.query)).toContain('ROLLBACK TO rxdb_sp_1');
+            done();
+          });
+        });
+
+        it("should skip the rows SQLite ignores when onConflict is 'ignore'", (done) => {
+          this.transaction.execute(t => t.updateAll(this.query, {email: 'bob@example.com'}, {onConflict: 'ignore'})).then((count) => {
+            expect(count).toBe(0);
+            const queries = this.performed.map(p => p.query);
+            expect(queries).toContain('UPDATE OR IGNORE `TestModel` SET `data` = json_set(`data`, ?, json(?)), `email` = ? WHERE `id` IN (SELECT `value` FROM json_each(?))');
+            expect(queries).toContain('SELECT `id` FROM `TestModel` WHERE `id` IN (SELECT `value` FROM json_each(?)) AND `email` IS ?');
+            expect(Database.transactionDidCommitChanges).toHaveBeenCalledWith([]);
+            done();
+          });
+        });
+
+        it("should reject setting a unique value on several models", (done) => {
+          const query = Database.findAll(TestModel).where(TestModel.attributes.id.in(['A', 'B']));
+          this.transaction.execute(t => t.updateAll(query, {email: 'amy@example.com'}, {onConflict: 'ignore'})).catch((err) => {
+            expect(err instanceof UniqueConstraintError).toBe(true);
+            expect(this.performed.map(p => p.query)).not.toContain(jasmine.stringMatching(/^UPDATE/));
+            done();
+          });
+        });
+
+        it("should not accept the replace and merge strategies", () => {
+          const query = Database.findAll(TestModel);
+          expect(() => this.transaction.updateAll(query, {email: 'a'}, {onConflict: 'merge'})).toThrow();
+        });
+      });
+    });
+
     describe("mutationHooks", () => {
       beforeEach(() => {
         this.beforeShouldThrow = false;
@@ -184,8 +598,8 @@ describe("DatabaseTransaction", function DatabaseTransactionSpecs() {
       .then(() => {
         expect(this.performed.length).toBe(3);
         expect(this.performed[0].query).toBe("BEGIN IMMEDIATE TRANSACTION");
-        expect(this.performed[1].query).toBe("DELETE FROM `TestModel` WHERE `id` = ?");
-        expect(this.performed[1].values[0]).toBe('1234');
+        expect(this.performed[1].query).toBe("DELETE FROM `TestModel` WHERE `id` IN (SELECT `value` FROM json_each(?))");
+        expect(this.performed[1].values[0]).toBe('["1234"]');
         expect(this.performed[2].query).toBe("COMMIT");
         done();
       })
@@ -218,8 +632,8 @@ describe("DatabaseTransaction", function DatabaseTransactionSpecs() {
         .then(() => {
           expect(this.performed.length).toBe(4);
           expect(this.performed[0].query).toBe("BEGIN IMMEDIATE TRANSACTION");
-          expect(this.performed[2].query).toBe("DELETE FROM `TestModelCategory` WHERE `id` = ?");
-          expect(this.performed[2].values[0]).toBe('1234');
+          expect(this.performed[2].query).toBe("DELETE FROM `TestModelCategory` WHERE `id` IN (SELECT `value` FROM json_each(?))");
+          expect(this.performed[2].values[0]).toBe('["1234"]');
           expect(this.performed[3].query).toBe("COMMIT");
           done();
         });
@@ -236,8 +650,8 @@ describe("DatabaseTransaction", function DatabaseTransactionSpecs() {
         .then(() => {
           expect(this.performed.length).toBe(4);
           expect(this.performed[0].query).toBe("BEGIN IMMEDIATE TRANSACTION");
-          expect(this.performed[2].query).toBe("DELETE FROM `TestModelBody` WHERE `id` = ?");
-          expect(this.performed[2].values[0]).toBe('1234');
+          expect(this.performed[2].query).toBe("DELETE FROM `TestModelBody` WHERE `id` IN (SELECT `value` FROM json_each(?))");
+          expect(this.performed[2].values[0]).toBe('["1234"]');
           expect(this.performed[3].query).toBe("COMMIT");
           done();
         });
@@ -246,6 +660,324 @@ describe("DatabaseTransaction", function DatabaseTransactionSpecs() {
     );
   });
 
+  describe("unpersistModels", () => {
+    it("should delete the models in chunks and emit a single change record", (done) => {
+      TestModel.configureBasic();
+      const models = __range__(0, 600, false).map(i => new TestModel({id: `id-${i}`}));
+      const hook = {
+        beforeDatabaseChange: jasmine.createSpy('beforeDatabaseChange').and.returnValue(Promise.resolve()),
+        afterDatabaseChange: jasmine.createSpy('afterDatabaseChange').and.returnValue(Promise.resolve()),
+      };
+      this.databaseMutationHooks.push(hook);
+
+      this.transaction.execute(t => t.unpersistModels(models)).then(() => {
+        const deletes = this.performed.filter(p => p.query.startsWith('DELETE'));
+        expect(deletes.length).toBe(2);
+        expect(deletes[0].query).toBe(deletes[1].query);
+        expect(JSON.parse(deletes[0].values[0]).length).toBe(500);
+        expect(deletes[1].values).toEqual([JSON.stringify(models.slice(500).map(m => m.id))]);
+        expect(hook.beforeDatabaseChange.calls.count()).toBe(1);
+        expect(hook.afterDatabaseChange.calls.count()).toBe(1);
+
+        const changes = Database.transactionDidCommitChanges.calls.first().args[0];
+        expect(changes.length).toBe(1);
+        expect(changes[0].type).toBe('unpersist');
+        expect(changes[0].objects.length).toBe(600);
+        done();
+      });
+    });
+
+    it("should throw an exception if the models are not the same class", () =>
+      expect(() => this.transaction.unpersistModels([testModelInstanceA, new Category()])).toThrow()
+    );
+  });
+
+  describe("unpersistIds", () => {
+    it("should load the models and delete the ones that exist", (done) => {
+      Database._query.and.callFake((query, values = []) => {
+        this.performed.push({query, values});
+        const rows = [{data: JSON.stringify({id: 'AAA'})}];
+        return Promise.resolve(query.startsWith('SELECT') ? rows : []);
+      });
+      this.transaction.execute(t => t.unpersistIds(TestModel, ['AAA', 'ZZZ'])).then(() => {
+        expect(this.performed[1].values).toEqual(['["AAA","ZZZ"]']);
+        expect(this.performed[2]).toEqual({query: "DELETE FROM `TestModel` WHERE `id` IN (SELECT `value` FROM json_each(?))", values: ['["AAA"]']});
+        const change = Database.transactionDidCommitChanges.calls.first().args[0][0];
+        expect(change.objects.map(m => m.id)).toEqual(['AAA']);
+        done();
+      });
+    });
+  });
+
+  describe("onDelete rules", () => {
+    beforeEach(() => {
+      this.thread = new Thread({id: 't1'});
+      Database._query.and.callFake((query, values = []) => {
+        this.performed.push({query, values});
+        if (query.startsWith('SELECT') && query.includes('FROM `Message`')) {
+          return Promise.resolve([
+            {id: 'm1', data: JSON.stringify({id: 'm1', thread_id: 't1'})},
+            {id: 'm2', data: JSON.stringify({id: 'm2', thread_id: 't1'})},
+          ]);
+        }
+        return Promise.resolve([]);
+      });
+    });
+
+    afterEach(() => {
+      Thread.attributes.messages.onDelete = null;
+      Thread.attributes.subject.unique = undefined;
+    });
+
+    it("should leave related models alone by default", (done) => {
+      this.transaction.execute(t => t.unpersistModel(this.thread)).then(() => {
+        expect(this.performed.map(p => p.query)).not.toContain(jasmine.stringMatching(/FROM `Message`/));
+        done();
+      });
+    });
+
+    it("should unpersist related models and emit change records for them when the rule is 'cascade'", (done) => {
+      Thread.attributes.messages.onDelete = 'cascade';
+      this.transaction.execute(t => t.unpersistModel(this.thread)).then(() => {
+        const deletes = this.performed.filter(p => p.query.startsWith('DELETE FROM `Message`'));
+        expect(deletes[0].values).toEqual(['["m1","m2"]']);
+        const records = Database.transactionDidCommitChanges.calls.first().args[0];
+        expect(records.map(r => [r.objectClass, r.type, r.objects.map(m => m.id)])).toEqual([
+          ['Message', 'unpersist', ['m1', 'm2']],
+          ['Thread', 'unpersist', ['t1']],
+        ]);
+        done();
+      });
+    });
+
+    it("should clear the foreign key of related models when the rule is 'nullify'", (done) => {
+      Thread.attributes.messages.onDelete = 'nullify';
+      this.transaction.execute(t => t.unpersistModel(this.thread)).then(() => {
+        const update = this.performed.find(p => p.query.startsWith('UPDATE `Message`'));
+        expect(update.query).toContain('`thread_id` = ?');
+        const records = Database.transactionDidCommitChanges.calls.first().args[0];
+        expect(records.map(r => [r.objectClass, r.type])).toEqual([
+          ['Message', 'persist'],
+          ['Thread', 'unpersist'],
+        ]);
+        expect(records[0].objects.map(m => m.threadId)).toEqual([null, null]);
+        done();
+      });
+    });
+
+    it("should reject and roll back without deleting anything when the rule is 'restrict'", (done) => {
+      Thread.attributes.messages.onDelete = 'restrict';
+      this.transaction.execute(t => t.unpersistModel(this.thread)).catch((err) => {
+        expect(err instanceof DeleteRestrictedError).toBe(true);
+        expect(err.relatedIds).toEqual(['m1', 'm2']);
+        expect(this.performed.map(p => p.query)).not.toContain(jasmine.stringMatching(/^DELETE/));
+        expect(this.performed[this.performed.length - 1].query).toBe('ROLLBACK');
+        done();
+      });
+    });
+
+    it("should move related models to the replacing model when onConflict is 'replace'", (done) => {
+      Thread.attributes.messages.onDelete = 'cascade';
+      Thread.attributes.subject.unique = true;
+      let moved = false;
+      let failed = false;
+      Database._query.and.callFake((query, values = []) => {
+        this.performed.push({query, values});
+        if (query.startsWith('INSERT INTO `Thread`') && !failed) {
+          failed = true;
+          return Promise.reject(new Error('UNIQUE constraint failed: Thread.subject'));
+        }
+        if (query.startsWith('REPLACE INTO `Message`')) {
+          moved = true;
+        }
+        if (query.startsWith('SELECT') && query.includes('FROM `Thread`')) {
+          return Promise.resolve([{data: JSON.stringify({id: 't1', subject: 'Hello'})}]);
+        }
+        if (query.startsWith('SELECT') && query.includes('FROM `Message`') && !moved) {
+          return Promise.resolve([{id: 'm1', data: JSON.stringify({id: 'm1', thread_id: 't1'})}]);
+        }
+        return Promise.resolve([]);
+      });
+
+      const replacement = new Thread({id: 't2', subject: 'Hello'});
+      this.transaction.execute(t => t.persistModel(replacement, {onConflict: 'replace'})).then(() => {
+        const queries = this.performed.map(p => p.query);
+        expect(queries).not.toContain(jasmine.stringMatching(/^DELETE FROM `Message`/));
+        const loads = this.performed.filter(p => p.query.startsWith('SELECT') && p.query.includes('FROM `Message`'));
+        expect(loads[0].values).toContain('t1');
+        expect(queries).toContain(jasmine.stringMatching(/^REPLACE INTO `Message`/));
+        const records = Database.transactionDidCommitChanges.calls.first().args[0];
+        expect(records.map(r => [r.objectClass, r.type, r.objects.map(m => m.id)])).toEqual([
+          ['Message', 'persist', ['m1']],
+          ['Thread', 'unpersist', ['t1']],
+          ['Thread', 'persist', ['t2']],
+        ]);
+        expect(records[0].objects[0].threadId).toBe('t2');
+        done();
+      });
+    });
+
+    it("should leave related models alone when onConflict is 'replace' and the relation has no rule", (done) => {
+      Thread.attributes.subject.unique = true;
+      let failed = false;
+      Database._query.and.callFake((query, values = []) => {
+        this.performed.push({query, values});
+        if (query.startsWith('INSERT INTO `Thread`') && !failed) {
+          failed = true;
+          return Promise.reject(new Error('UNIQUE constraint failed: Thread.subject'));
+        }
+        if (query.startsWith('SELECT') && query.includes('FROM `Thread`')) {
+          return Promise.resolve([{data: JSON.stringify({id: 't1', subject: 'Hello'})}]);
+        }
+        return Promise.resolve([]);
+      });
+
+      const replacement = new Thread({id: 't2', subject: 'Hello'});
+      this.transaction.execute(t => t.persistModel(replacement, {onConflict: 'replace'})).then(() => {
+        expect(this.performed.map(p => p.query)).not.toContain(jasmine.stringMatching(/`Message`/));
+        const records = Database.transactionDidCommitChanges.calls.first().args[0];
+        expect(records.map(r => [r.objectClass, r.type, r.objects.map(m => m.id)])).toEqual([
+          ['Thread', 'unpersist', ['t1']],
+          ['Thread', 'persist', ['t2']],
+        ]);
+        done();
+      });
+    });
+
+    it("should only accept known rules", () => {
+      expect(() => Attributes.HasMany({modelKey: 'a', itemClass: 'Message', foreignKey: 'threadId', onDelete: 'explode'})).toThrow();
+    });
+
+    it("should not accept rules on BelongsTo attributes", () => {
+      expect(() => Attributes.BelongsTo({modelKey: 'thread', itemClass: 'Thread', foreignKey: 'threadId', onDelete: 'cascade'})).toThrowError(/onDelete is not supported/);
+    });
+  });
+
+  describe("updateAll / deleteAll", () => {
+    beforeEach(() => {
+      TestModel.configureWithCollectionAttribute();
+      this.rows = [
+        {id: 'AAA', data: JSON.stringify({id: 'AAA', other: 'a'})},
+        {id: 'BBB', data: JSON.stringify({id: 'BBB', other: 'b'})},
+      ];
+      Database._query.and.callFake((query, values = []) => {
+        this.performed.push({query, values});
+        return Promise.resolve(query.startsWith('SELECT') ? this.rows : []);
+      });
+      this.query = new ModelQuery(TestModel, Database).where({other: 'x'});
+    });
+
+    it("should update the model table and join tables with one query each", (done) =>
+      this.transaction.execute(t => t.updateAll(this.query, {other: 'c'})).then((count) => {
+        expect(count).toBe(2);
+        expect(this.performed[1].query).toBe("SELECT `TestModel`.`id` FROM `TestModel`  WHERE `TestModel`.`other` = ?  ");
+        const writes = this.performed.slice(3, -1);
+        expect(writes).toEqual([{
+          query: "UPDATE `TestModel` SET `data` = json_set(`data`, ?, json(?)), `other` = ? WHERE `id` IN (SELECT `value` FROM json_each(?))",
+          values: ['$.other', '"c"', 'c', '["AAA","BBB"]'],
+        }, {
+          query: "UPDATE `TestModelCategory` SET `other` = ? WHERE `id` IN (SELECT `value` FROM json_each(?))",
+          values: ['c', '["AAA","BBB"]'],
+        }]);
+
+        const change = Database.transactionDidCommitChanges.calls.first().args[0][0];
+        expect(change.type).toBe('persist');
+        expect(change.objects.map(m => m.id)).toEqual(['AAA', 'BBB']);
+        expect(change.objects.map(m => m.other)).toEqual(['c', 'c']);
+        done();
+      })
+    );
+
+    it("should replace association records when updating a collection", (done) =>
+      this.transaction.execute(t => t.updateAll(this.query, {categories: [new Category({id: 'c1'})]})).then(() => {
+        const queries = this.performed.map(p => p.query);
+        expect(queries).toContain("DELETE FROM `TestModelCategory` WHERE `id` IN (SELECT `value` FROM json_each(?))");
+        expect(queries).toContain("INSERT OR IGNORE INTO `TestModelCategory` (`id`,`value`,`other`) SELECT `TestModel`.`id`, ?, `TestModel`.`other` FROM `TestModel` WHERE `id` IN (SELECT `value` FROM json_each(?))");
+        done();
+      })
+    );
+
+    it("should update the sort keys of attributes with the accentCaseInsensitiveOrder collation", (done) => {
+      TestModel.attributes.other = Attributes.String({queryable: true, modelKey: 'other', collation: 'accentCaseInsensitiveOrder'});
+      this.transaction.execute(t => t.updateAll(this.query, {other: 'B'})).then(() => {
+        expect(this.performed[3]).toEqual({
+          query: "UPDATE `TestModel` SET `data` = json_set(`data`, ?, json(?)), `other` = ?, `rxdb_sortkey_v1_other` = ? WHERE `id` IN (SELECT `value` FROM json_each(?))",
+          values: ['$.other', '"B"', 'B', 'b\u0001b\u0001B', '["AAA","BBB"]'],
+        });
+        done();
+      });
+    });
+
+    it("should update models with one query for each set of computed values", (done) => {
+      TestModel.configureWithComputedAttribute();
+      TestModel.attributes.sortableSubject.compute = (model) => `${model.subject}-${(model.id === 'CCC') ? 2 : 1}`;
+      this.rows = ['AAA', 'BBB', 'CCC'].map((id) => ({id, data: JSON.stringify({id})}));
+      this.transaction.execute(t => t.updateAll(new ModelQuery(TestModel, Database), {subject: 'Hi'})).then((count) => {
+        expect(count).toBe(3);
+        const updates = this.performed.filter(p => p.query.startsWith('UPDATE'));
+        expect(updates.map(p => p.query)).toEqual([
+          "UPDATE `TestModel` SET `data` = json_set(`data`, ?, json(?), ?, json(?)), `sortable_subject` = ? WHERE `id` IN (SELECT `value` FROM json_each(?))",
+          "UPDATE `TestModel` SET `data` = json_set(`data`, ?, json(?), ?, json(?)), `sortable_subject` = ? WHERE `id` IN (SELECT `value` FROM json_each(?))",
+        ]);
+        expect(updates.map(p => p.values.slice(-2))).toEqual([['Hi-1', '["AAA","BBB"]'], ['Hi-2', '["CCC"]']]);
+        done();
+      });
+    });
+
+    it("should load the matching models in chunks", (done) => {
+      const ids = __range__(0, 600, false).map(i => `id-${i}`);
+      Database._query.and.callFake((query, values = []) => {
+        this.performed.push({query, values});
+        if (query.startsWith('SELECT `TestModel`.`id`')) {
+          return Promise.resolve(ids.map((id) => ({id})));
+        }
+        if (query.startsWith('SELECT')) {
+          return Promise.resolve(JSON.parse(values[0]).map((id) => ({data: JSON.stringify({id})})));
+        }
+        return Promise.resolve([]);
+      });
+      this.transaction.execute(t => t.deleteAll(this.query)).then((count) => {
+        expect(count).toBe(600);
+        const loads = this.performed.filter(p => p.query.startsWith('SELECT `TestModel`.`data`'));
+        expect(loads.map(p => JSON.parse(p.values[0]).length)).toEqual([500, 100]);
+        const change = Database.transactionDidCommitChanges.calls.first().args[0][0];
+        expect(change.objects.map(m => m.id)).toEqual(ids);
+        done();
+      });
+    });
+
+    it("should reject values for unknown attributes", () => {
+      expect(() => this.transaction.updateAll(this.query, {missing: true})).toThrow();
+      expect(() => this.transaction.updateAll(this.query, {id: '1'})).toThrow();
+    });
+
+    it("should delete the models from the model table and join tables", (done) =>
+      this.transaction.execute(t => t.deleteAll(this.query)).then((count) => {
+        expect(count).toBe(2);
+        expect(this.performed.slice(3, -1)).toEqual([{
+          query: "DELETE FROM `TestModel` WHERE `id` IN (SELECT `value` FROM json_each(?))",
+          values: ['["AAA","BBB"]'],
+        }, {
+          query: "DELETE FROM `TestModelCategory` WHERE `id` IN (SELECT `value` FROM json_each(?))",
+          values: ['["AAA","BBB"]'],
+        }]);
+        const change = Database.transactionDidCommitChanges.calls.first().args[0][0];
+        expect(change.type).toBe('unpersist');
+        expect(change.objects.map(m => m.id)).toEqual(['AAA', 'BBB']);
+        done();
+      })
+    );
+
+    it("should not emit a change record if no models match", (done) => {
+      this.rows = [];
+      this.transaction.execute(t => t.deleteAll(this.query)).then((count) => {
+        expect(count).toBe(0);
+        expect(Database.transactionDidCommitChanges).toHaveBeenCalledWith([]);
+        done();
+      });
+    });
+  });
+
   describe("_writeModels", () => {
     it("should compose a REPLACE INTO query to save the model", () => {
       TestModel.configureWithCollectionAttribute();
@@ -258,6 +990,14 @@ describe("DatabaseTransaction", function DatabaseTransactionSpecs() {
       expect(this.performed[0].values[1]).toEqual(JSON.stringify(testModelInstance));
     });
 
+    it("should save the sort keys of attributes with the accentCaseInsensitiveOrder collation", () => {
+      TestModel.configureBasic();
+      TestModel.attributes.title = Attributes.String({queryable: true, modelKey: 'title', collation: 'accentCaseInsensitiveOrder'});
+      this.transaction._writeModels([new TestModel({id: '1', title: 'Été'})]);
+      expect(this.performed[0].query).toBe("REPLACE INTO `TestModel` (id,data,title,rxdb_sortkey_v1_title) VALUES (?,?,?,?)");
+      expect(this.performed[0].values.slice(2)).toEqual(['Été', 'ete\u0001e\u0301te\u0301\u0001Été']);
+    });
+
     describe("when the model defines additional queryable attributes", () => {
       beforeEach(() => {
         TestModel.configureWithAllAttributes();
@@ -12,7 +12,7 @@ const Database = new RxDatabase({
   logQueryPlans: false,
 });
 
-Database._openDatabase = () =>
+Database._openDatabase = () => {};
 
 Database.models.register(Thread)
 Database.models.register(Message)
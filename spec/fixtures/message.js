@@ -56,6 +56,12 @@ export default class Message extends Model {
       jsonKey: 'thread_id',
     }),
 
+    thread: Attributes.BelongsTo({
+      modelKey: 'thread',
+      itemClass: 'Thread',
+      foreignKey: 'threadId',
+    }),
+
     subject: Attributes.String({
       modelKey: 'subject',
     }),
@@ -84,6 +84,42 @@ TestModel.configureWithJoinedDataAttribute = () => {
   }
 }
 
+TestModel.configureWithComputedAttribute = () => {
+  TestModel.additionalSQLiteConfig = undefined;
+  TestModel.attributes = {
+    'id': Attributes.String({
+      queryable: true,
+      modelKey: 'id',
+    }),
+    'subject': Attributes.String({
+      modelKey: 'subject',
+    }),
+    'sortableSubject': Attributes.Computed({
+      modelKey: 'sortableSubject',
+      jsonKey: 'sortable_subject',
+      compute: (model) => (model.subject || '').toLowerCase(),
+    }),
+  }
+}
+
+TestModel.configureWithUniqueAttribute = () => {
+  TestModel.additionalSQLiteConfig = undefined;
+  TestModel.attributes = {
+    'id': Attributes.String({
+      queryable: true,
+      modelKey: 'id',
+    }),
+    'email': Attributes.String({
+      queryable: true,
+      unique: true,
+      modelKey: 'email',
+    }),
+    'name': Attributes.String({
+      modelKey: 'name',
+    }),
+  }
+}
+
 TestModel.configureWithAdditionalSQLiteConfig = () => {
   TestModel.attributes = {
     'id': Attributes.String({
@@ -43,6 +43,12 @@ export default class Thread extends Model {
       itemClass: Category,
     }),
 
+    messages: Attributes.HasMany({
+      modelKey: 'messages',
+      itemClass: 'Message',
+      foreignKey: 'threadId',
+    }),
+
     categoriesType: Attributes.String({
       modelKey: 'categoriesType',
     }),
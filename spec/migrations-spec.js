@@ -0,0 +1,169 @@
+import Migrations from '../src/migrations';
+import Thread from './fixtures/thread';
+import {Database} from './fixtures';
+
+const {MigrationRegistry} = Migrations;
+
+class FakeSqlite {
+  constructor({failOn} = {}) {
+    this.failOn = failOn;
+    this.performed = [];
+    this.rows = [];
+  }
+
+  prepare(query) {
+    return {
+      run: (values = []) => {
+        if (this.failOn && query.startsWith(this.failOn)) {
+          throw new Error(`Failed: ${query}`);
+        }
+        this.performed.push({query, values});
+      },
+      all: () => this.rows,
+    };
+  }
+
+  pragma(query) {
+    this.performed.push({query: `PRAGMA ${query}`, values: []});
+  }
+}
+
+describe("Migrations", function MigrationsSpecs() {
+  describe("MigrationRegistry", () => {
+    beforeEach(() => {
+      this.registry = new MigrationRegistry();
+      this.registry.register({version: '3', steps: []});
+      this.registry.register({version: '2', steps: []});
+      this.registry.register({version: '5', steps: []});
+    });
+
+    it("should only accept integer versions", () => {
+      expect(() => this.registry.register({version: '1.2', steps: []})).toThrow();
+      expect(() => this.registry.register({version: 'two', steps: []})).toThrow();
+    });
+
+    it("should reject steps that were not created by the step factories", () => {
+      expect(() => this.registry.register({version: '6', steps: ['ALTER TABLE']})).toThrow();
+    });
+
+    it("should return the migrations between two versions in order", () => {
+      this.registry.register({version: '4', steps: []});
+      const versions = this.registry.migrationsBetween('1', '5').map(m => m.version);
+      expect(versions).toEqual(['2', '3', '4', '5']);
+      expect(this.registry.migrationsBetween('2', '3').map(m => m.version)).toEqual(['3']);
+    });
+
+    it("should only allow migrating forward to a registered version", () => {
+      expect(this.registry.canMigrate('1', '3')).toBe(true);
+      expect(this.registry.canMigrate('5', '3')).toBe(false);
+      expect(this.registry.canMigrate('5', '6')).toBe(false);
+    });
+
+    it("should not migrate across versions that have no registered migration", () => {
+      expect(this.registry.missingVersions('1', '5')).toEqual(['4']);
+      expect(this.registry.canMigrate('1', '5')).toBe(false);
+      expect(this.registry.canMigrate('3', '5')).toBe(false);
+      expect(() => this.registry.migrationsBetween('1', '5')).toThrow();
+    });
+
+    it("should not migrate to a version after the last registered migration", () => {
+      expect(this.registry.missingVersions('2', '6')).toEqual(['4', '6']);
+      expect(this.registry.canMigrate('2', '6')).toBe(false);
+      expect(this.registry.canMigrate('1', '4')).toBe(false);
+    });
+  });
+
+  describe("steps", () => {
+    beforeEach(() => {
+      this.sqlite = new FakeSqlite();
+    });
+
+    it("AddColumn should add a column using the attribute's column type", () => {
+      Migrations.AddColumn({klass: Thread, attribute: Thread.attributes.starred}).run(this.sqlite);
+      expect(this.sqlite.performed[0].query).toBe("ALTER TABLE `Thread` ADD COLUMN starred INTEGER");
+    });
+
+    it("Backfill should copy the attribute out of the JSON data", () => {
+      Migrations.Backfill({klass: Thread, attribute: Thread.attributes.lastMessageReceivedTimestamp}).run(this.sqlite);
+      expect(this.sqlite.performed[0]).toEqual({
+        query: "UPDATE `Thread` SET `last_message_received_timestamp` = json_extract(`data`, ?)",
+        values: ['$.last_message_received_timestamp'],
+      });
+    });
+
+    it("RenameTable should rename the table", () => {
+      Migrations.RenameTable({from: 'Conversation', to: Thread}).run(this.sqlite);
+      expect(this.sqlite.performed[0].query).toBe("ALTER TABLE `Conversation` RENAME TO `Thread`");
+    });
+
+    it("TransformJSON should rewrite the data of rows the transform returns", () => {
+      this.sqlite.rows = [
+        {id: 'a', data: '{"id":"a","subj":"Hello"}'},
+        {id: 'b', data: '{"id":"b"}'},
+      ];
+      Migrations.TransformJSON({
+        klass: Thread,
+        transform: (json) => {
+          if (!json.subj) { return null; }
+          return {id: json.id, subject: json.subj};
+        },
+      }).run(this.sqlite);
+
+      expect(this.sqlite.performed).toEqual([{
+        query: "UPDATE `Thread` SET `data` = ? WHERE `id` = ?",
+        values: ['{"id":"a","subject":"Hello"}', 'a'],
+      }]);
+    });
+  });
+
+  describe("RxDatabase._runDatabaseMigrations", () => {
+    beforeEach(() => {
+      this.ran = [];
+      Database.migrations.register({
+        version: '1',
+        steps: [Migrations.Run(() => this.ran.push('1'))],
+      });
+      spyOn(Database, '_handleSetupError');
+      spyOn(Database, 'emit');
+      this.originalDb = Database._db;
+    });
+
+    afterEach(() => {
+      Database.migrations.unregister('1');
+      Database._db = this.originalDb;
+    });
+
+    it("should run the steps inside a transaction and update the schema version", () => {
+      Database._db = new FakeSqlite();
+      const ready = jasmine.createSpy('ready');
+      Database._runDatabaseMigrations('0', ready);
+
+      expect(this.ran).toEqual(['1']);
+      expect(Database._db.performed.map(p => p.query)).toEqual([
+        'BEGIN IMMEDIATE TRANSACTION',
+        'PRAGMA user_version=1',
+        'COMMIT',
+      ]);
+      expect(ready).toHaveBeenCalled();
+      expect(Database._handleSetupError).not.toHaveBeenCalled();
+    });
+
+    it("should roll back and fall back to rebuilding the database if a step throws", () => {
+      Database._db = new FakeSqlite({failOn: 'ALTER'});
+      Database.migrations.register({
+        version: '1',
+        steps: [Migrations.RenameTable({from: 'A', to: 'B'})],
+      });
+      const ready = jasmine.createSpy('ready');
+      Database._runDatabaseMigrations('0', ready);
+
+      expect(Database._db.performed.map(p => p.query)).toEqual([
+        'BEGIN IMMEDIATE TRANSACTION',
+        'ROLLBACK',
+      ]);
+      expect(ready).not.toHaveBeenCalled();
+      const error = Database._handleSetupError.calls.first().args[0];
+      expect(error instanceof Database.constructor.MigrationError).toBe(true);
+    });
+  });
+});
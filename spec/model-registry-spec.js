@@ -53,6 +53,14 @@ describe('ModelRegistry', function ModelRegistrySpecs() {
       expect(obj.foo).toBe("bar");
     });
 
+    it("carries the revision of versioned models through serialization", () => {
+      const model = new GoodTest({foo: "bar"}).setRevision(3);
+      const json = JSON.stringify([model], this.registry.JSONReplacer);
+      const [revived] = JSON.parse(json, this.registry.JSONReviver);
+      expect(revived.__revision).toBe(3);
+      expect(Object.keys(revived)).not.toContain('__revision');
+    });
+
     it("throws an error if the object can't be deserialized", () =>
       expect(() => this.registry.deserialize("BadTest", {foo: "bar"})).toThrow()
     );
@@ -2,6 +2,8 @@
 import Model from '../src/model';
 import {isTempId} from '../src/utils';
 import Attributes from '../src/attributes';
+import Thread from './fixtures/thread';
+import Message from './fixtures/message';
 
 class SubSubmodel extends Model {
   static attributes = Object.assign({}, Model.attributes, {
@@ -45,6 +47,52 @@ class Submodel extends Model {
   });
 }
 
+class DefaultsModel extends Model {
+  static attributes = Object.assign({}, Model.attributes, {
+    'kind': Attributes.String({
+      modelKey: 'kind',
+      defaultValue: 'note',
+    }),
+    'tags': Attributes.Object({
+      modelKey: 'tags',
+      defaultValue: () => [],
+    }),
+    'title': Attributes.String({
+      modelKey: 'title',
+    }),
+    'titleLength': Attributes.Computed({
+      modelKey: 'titleLength',
+      columnType: 'INTEGER',
+      compute: (model) => (model.title || '').length,
+    }),
+  });
+}
+
+class ValidatedModel extends Model {
+  static attributes = Object.assign({}, Model.attributes, {
+    'name': Attributes.String({
+      modelKey: 'name',
+      required: true,
+      maxLength: 5,
+    }),
+    'kind': Attributes.String({
+      modelKey: 'kind',
+      enum: ['note', 'todo'],
+    }),
+    'priority': Attributes.Number({
+      modelKey: 'priority',
+      min: 0,
+      max: 3,
+      validate: (value) => (Number.isInteger(value) ? true : 'priority must be an integer'),
+    }),
+    'body': Attributes.JoinedData({
+      modelKey: 'body',
+      modelTable: 'ValidatedModelBody',
+      required: true,
+    }),
+  });
+}
+
 describe("Model", function modelSpecs() {
   describe("constructor", () => {
     it("should accept a hash of attributes and assign them to the new Model", () => {
@@ -90,6 +138,14 @@ describe("Model", function modelSpecs() {
       expect(old.testArray[0]).not.toBe(clone.testArray[0]);
       expect(old.testArray[0].constructor.name).toEqual(clone.testArray[0].constructor.name);
     })
+  );
+
+  describe("setRevision", () =>
+    it("should store the revision without making it part of the JSON and preserve it in clones", () => {
+      const model = new Submodel({testNumber: 4}).setRevision(2);
+      expect(model.toJSON().__revision).toBe(undefined);
+      expect(model.clone().__revision).toBe(2);
+    })
 
   );
 
@@ -234,6 +290,76 @@ describe("Model", function modelSpecs() {
     });
   });
 
+  describe("defaultValue", () => {
+    it("should assign default values to attributes missing from the constructor values", () => {
+      const model = new DefaultsModel({title: 'Hi'});
+      expect(model.kind).toBe('note');
+      expect(model.tags).toEqual([]);
+      expect(new DefaultsModel({kind: 'todo'}).kind).toBe('todo');
+    });
+
+    it("should call function defaults for each model", () => {
+      expect(new DefaultsModel().tags).not.toBe(new DefaultsModel().tags);
+    });
+
+    it("should assign default values to attributes missing from the JSON", () => {
+      const model = new DefaultsModel();
+      model.kind = undefined;
+      model.fromJSON({title: 'Hi'});
+      expect(model.kind).toBe('note');
+      expect(new DefaultsModel().fromJSON({kind: 'todo'}).kind).toBe('todo');
+    });
+  });
+
+  describe("relations", () => {
+    it("should not include related models in the JSON, and share them with clones", () => {
+      const thread = new Thread({id: 't1'});
+      const message = new Message({id: 'm1', threadId: 't1', thread});
+
+      expect(message.toJSON().thread).toBe(undefined);
+      expect(message.clone().thread).toBe(thread);
+      expect(new Message().fromJSON({id: 'm2', thread: {id: 't1'}}).thread).toBe(undefined);
+    });
+
+    it("should require an itemClass and a foreignKey", () => {
+      expect(() => Attributes.HasMany({modelKey: 'messages', itemClass: 'Message'})).toThrow();
+      expect(() => Attributes.BelongsTo({modelKey: 'thread', foreignKey: 'threadId'})).toThrow();
+    });
+  });
+
+  describe("compute", () => {
+    it("should recalculate the values of computed attributes", () => {
+      const model = new DefaultsModel({title: 'Hello'});
+      expect(model.titleLength).toBe(undefined);
+      expect(model.compute().titleLength).toBe(5);
+      expect(DefaultsModel.attributes.titleLength.columnSQL()).toBe('titleLength INTEGER');
+    });
+  });
+
+  describe("validate", () => {
+    it("should return no errors for a valid model", () => {
+      const model = new ValidatedModel({name: 'Hi', kind: 'note', priority: 2, body: 'x'});
+      expect(model.validate()).toEqual([]);
+    });
+
+    it("should return an error for each failing validation", () => {
+      const model = new ValidatedModel({name: 'Too long', kind: 'event', priority: 4.5, body: null});
+      expect(model.validate().map(e => `${e.attribute}:${e.rule}`)).toEqual([
+        'name:maxLength',
+        'kind:enum',
+        'priority:max',
+        'priority:validate',
+        'body:required',
+      ]);
+      expect(model.validate()[3].message).toBe('priority must be an integer');
+    });
+
+    it("should only apply required to missing values", () => {
+      const errors = new ValidatedModel({name: ''}).validate();
+      expect(errors).toEqual([{attribute: 'name', rule: 'required', message: 'name is required'}]);
+    });
+  });
+
   describe("matches", () => {
     beforeEach(() => {
       this.model = new Model({
@@ -0,0 +1,112 @@
+import QueryResultSet from '../src/query-result-set';
+import MutableQueryResultSet from '../src/mutable-query-result-set';
+import QueryChangeSet from '../src/query-change-set';
+import QuerySubscription from '../src/query-subscription';
+import QueryRange from '../src/query-range';
+
+import {Database, Thread} from './fixtures';
+
+const models = {};
+['a', 'b', 'c', 'd', 'e', 'f'].forEach((id) => {
+  models[id] = new Thread({id, accountId: 'a'});
+});
+
+function resultSet(ids, {offset = 0, replaced = {}} = {}) {
+  const hash = {};
+  for (const id of ids) {
+    hash[id] = replaced[id] || models[id];
+  }
+  return new QueryResultSet({_ids: ids, _modelsHash: hash, _offset: offset});
+}
+
+describe("QueryChangeSet", function QueryChangeSetSpecs() {
+  describe("between", () => {
+    it("should list every model as added when there is no previous result", () => {
+      const changes = QueryChangeSet.between(null, resultSet(['a', 'b'], {offset: 10}));
+      expect(changes.added).toEqual([{id: 'a', offset: 10}, {id: 'b', offset: 11}]);
+      expect(changes.removed).toEqual([]);
+      expect(changes.moved).toEqual([]);
+      expect(changes.updated).toEqual([]);
+    });
+
+    it("should be empty if nothing changed", () => {
+      const changes = QueryChangeSet.between(resultSet(['a', 'b']), resultSet(['a', 'b']));
+      expect(changes.isEmpty()).toBe(true);
+    });
+
+    it("should report added and removed ids without reporting the shifted items as moved", () => {
+      const changes = QueryChangeSet.between(resultSet(['a', 'b', 'c']), resultSet(['d', 'a', 'c']));
+      expect(changes.added).toEqual([{id: 'd', offset: 0}]);
+      expect(changes.removed).toEqual([{id: 'b', offset: 1}]);
+      expect(changes.moved).toEqual([]);
+    });
+
+    it("should report the fewest moves needed to reorder the result", () => {
+      const changes = QueryChangeSet.between(
+        resultSet(['a', 'b', 'c', 'd', 'e']),
+        resultSet(['e', 'a', 'b', 'c', 'd'])
+      );
+      expect(changes.moved).toEqual([{id: 'e', from: 4, to: 0}]);
+
+      const swapped = QueryChangeSet.between(resultSet(['a', 'b', 'c']), resultSet(['c', 'b', 'a']));
+      expect(swapped.moved.length).toBe(2);
+    });
+
+    it("should report models that were replaced as updated", () => {
+      const replacement = new Thread({id: 'b', accountId: 'a', subject: 'Hi'});
+      const changes = QueryChangeSet.between(
+        resultSet(['a', 'b']),
+        resultSet(['a', 'b'], {replaced: {b: replacement}})
+      );
+      expect(changes.updated).toEqual([replacement]);
+      expect(changes.moved).toEqual([]);
+    });
+  });
+
+  describe("when observed with emitChangeSets", () => {
+    beforeEach(() => {
+      spyOn(QuerySubscription.prototype, 'update').and.returnValue();
+      this.subscription = new QuerySubscription(Database.findAll(Thread), {emitChangeSets: true});
+      this.callback = jasmine.createSpy('callback');
+      this.subscription.addCallback(this.callback);
+      this.subscription._set = null;
+      this.emit = (ids) => {
+        this.subscription._set = new MutableQueryResultSet();
+        this.subscription._set.addModelsInRange(ids.map(id => models[id]), new QueryRange({offset: 0, limit: ids.length}));
+        this.subscription._createResultAndTrigger();
+      };
+    });
+
+    it("should emit the differences from the previous result", () => {
+      this.emit(['a', 'b']);
+      this.emit(['b', 'c']);
+      const changes = this.callback.calls.mostRecent().args[0];
+      expect(changes instanceof QueryChangeSet).toBe(true);
+      expect(changes.added).toEqual([{id: 'c', offset: 1}]);
+      expect(changes.removed).toEqual([{id: 'a', offset: 0}]);
+      expect(changes.resultSet.ids()).toEqual(['b', 'c']);
+    });
+
+    it("should not be combined with allowQueryChanges or count queries", () => {
+      expect(() => Database.findAll(Thread).observe({emitChangeSets: true, allowQueryChanges: true})).toThrow();
+      expect(() => Database.count(Thread).observe({emitChangeSets: true})).toThrow();
+    });
+
+    it("should not emit empty change sets", () => {
+      this.emit(['a', 'b']);
+      this.emit(['a', 'b']);
+      expect(this.callback.calls.count()).toBe(1);
+    });
+
+    it("should emit the entire result as added to new callbacks", (done) => {
+      this.emit(['a', 'b']);
+      this.emit(['b']);
+      const late = jasmine.createSpy('late');
+      this.subscription.addCallback(late);
+      jasmine.waitFor(() => late.calls.count() > 0).then(() => {
+        expect(late.calls.first().args[0].added).toEqual([{id: 'b', offset: 0}]);
+        done();
+      });
+    });
+  });
+});
@@ -2,14 +2,25 @@
 import Model from '../src/model';
 import ModelQuery from '../src/query';
 import Attributes from '../src/attributes';
+import {compareStrings} from '../src/attributes/collation';
 
 import Thread from './fixtures/thread';
 import Message from './fixtures/message';
+import {Database} from './fixtures';
 
 export default class Account extends Model {
   static attributes = Object.assign({}, Model.attributes, {
     name: Attributes.String({
+      queryable: true,
       modelKey: 'name',
+      collation: 'nocase',
+    }),
+
+    displayName: Attributes.String({
+      queryable: true,
+      modelKey: 'displayName',
+      jsonKey: 'display_name',
+      collation: 'accentCaseInsensitiveOrder',
     }),
 
     provider: Attributes.String({
@@ -177,13 +188,404 @@ describe("ModelQuery", function ModelQuerySpecs() {
 
   );
 
+  describe("aggregate", () => {
+    beforeEach(() => {
+      this.q = new ModelQuery(Thread, this.db);
+    });
+
+    it("should throw if it is not given aggregates", () => {
+      expect(() => this.q.aggregate({total: Thread.attributes.version})).toThrow();
+      expect(() => this.q.aggregate({})).toThrow();
+    });
+
+    it("should only allow aggregates of queryable columns", () => {
+      expect(() => Thread.attributes.snippet.max()).toThrow();
+      expect(() => Thread.attributes.categories.max()).toThrow();
+      expect(() => this.q.groupBy(Thread.attributes.categories)).toThrow();
+    });
+
+    it("should generate SQL for the aggregates and groups without a natural sort order", () => {
+      this.q.where({unread: true})
+        .aggregate({total: Thread.attributes.version.sum(), newest: Thread.attributes.lastMessageReceivedTimestamp.max()})
+        .groupBy(Thread.attributes.accountId);
+      const {sql, params} = this.q.statement();
+      expect(sql.trim()).toBe(
+        "SELECT `Thread`.`account_id` AS `accountId`, SUM(`Thread`.`version`) AS `total`, " +
+        "MAX(`Thread`.`last_message_received_timestamp`) AS `newest` FROM `Thread`  " +
+        "WHERE `Thread`.`unread` = ? GROUP BY `Thread`.`account_id`"
+      );
+      expect(params).toEqual([1]);
+    });
+
+    it("should not use a subselect for queries on join tables", () => {
+      this.q.where(Thread.attributes.categories.contains('c')).aggregate({avg: Thread.attributes.version.avg()}).limit(10);
+      expect(this.q.sql()).not.toContain('IN (SELECT');
+    });
+
+    it("should return plain rows with values converted to the attribute types", () => {
+      this.q.aggregate({total: Thread.attributes.version.sum(), last: Thread.attributes.subject.max()})
+        .groupBy(Thread.attributes.unread);
+      const raw = [{unread: 1, total: "4", last: 'B'}, {unread: 0, total: null, last: null}];
+      expect(this.q.formatResult(this.q.inflateResult(raw))).toEqual([
+        {unread: true, total: 4, last: 'B'},
+        {unread: false, total: null, last: null},
+      ]);
+    });
+
+    it("should return a single row when used with one()", () => {
+      this.q.aggregate({total: Thread.attributes.version.sum()}).one();
+      expect(this.q.sql()).toContain('LIMIT 1');
+      expect(this.q.formatResult(this.q.inflateResult([{total: 3}]))).toEqual({total: 3});
+    });
+  });
+
+  describe("after / before", () => {
+    beforeEach(() => {
+      this.cursor = new Thread({id: 't5', accountId: 'a', lastMessageReceivedTimestamp: 5});
+    });
+
+    it("should add a keyset clause using the sort orders and id", () => {
+      const q = new ModelQuery(Thread, this.db).where({accountId: 'a'}).after(this.cursor).limit(10);
+      const {sql, params} = q.statement();
+      expect(sql.trim()).toBe(
+        "SELECT `Thread`.`data` FROM `Thread`   WHERE `Thread`.`account_id` = ? AND " +
+        "(((`Thread`.`last_message_received_timestamp` < ? OR `Thread`.`last_message_received_timestamp` IS ?)) OR " +
+        "(`Thread`.`last_message_received_timestamp` IS ? AND `Thread`.`id` > ?))  " +
+        "ORDER BY `Thread`.`last_message_received_timestamp` DESC, `Thread`.`id` ASC LIMIT 10"
+      );
+      expect(params).toEqual(['a', 5, null, 5, 't5']);
+    });
+
+    it("should reverse the sort order in SQL and the results for before()", () => {
+      const q = new ModelQuery(Thread, this.db).before(this.cursor).limit(2).idsOnly();
+      expect(q.sql()).toContain("ORDER BY `Thread`.`last_message_received_timestamp` ASC, `Thread`.`id` DESC");
+      expect(q.inflateResult([{id: 'b'}, {id: 'a'}])).toEqual(['a', 'b']);
+    });
+
+    it("should include the keyset clause in the query's matchers so live queries agree with SQL", () => {
+      const q = new ModelQuery(Thread, this.db).after(this.cursor);
+      q.finalize();
+      const matches = (values) => new Thread(values).matches(q.matchers());
+      expect(matches({id: 't1', lastMessageReceivedTimestamp: 4})).toBe(true);
+      expect(matches({id: 't1', lastMessageReceivedTimestamp: null})).toBe(true);
+      expect(matches({id: 't6', lastMessageReceivedTimestamp: 5})).toBe(true);
+      expect(matches({id: 't4', lastMessageReceivedTimestamp: 5})).toBe(false);
+      expect(matches({id: 't1', lastMessageReceivedTimestamp: 6})).toBe(false);
+    });
+
+    it("should handle null cursor values", () => {
+      const q = new ModelQuery(Thread, this.db).order(Thread.attributes.subject.ascending()).after(new Thread({id: 'x'}));
+      q.finalize();
+      const matches = (values) => new Thread(values).matches(q.matchers());
+      expect(matches({id: 'a', subject: 'Hello'})).toBe(true);
+      expect(matches({id: 'y'})).toBe(true);
+      expect(matches({id: 'a'})).toBe(false);
+    });
+
+    it("should not use a subselect", () => {
+      const q = new ModelQuery(Thread, this.db)
+        .where(Thread.attributes.categories.contains('c'))
+        .after(this.cursor).limit(10);
+      expect(q.sql()).not.toContain('IN (SELECT');
+    });
+  });
+
+  describe("select", () => {
+    beforeEach(() => {
+      this.q = new ModelQuery(Thread, Database).select([
+        Thread.attributes.unread,
+        Thread.attributes.snippet,
+        Thread.attributes.categories,
+      ]);
+    });
+
+    it("should read queryable columns directly and extract other attributes from the JSON", () => {
+      expect(this.q.sql().trim()).toBe(
+        "SELECT `Thread`.`id` AS `id`, `Thread`.`last_message_received_timestamp` AS `lastMessageReceivedTimestamp`, " +
+        "`Thread`.`unread` AS `unread`, json_extract(`Thread`.`data`, '$.snippet') AS `snippet`, " +
+        "json_extract(`Thread`.`data`, '$.categories') AS `categories` FROM `Thread`   " +
+        "ORDER BY `Thread`.`last_message_received_timestamp` DESC"
+      );
+    });
+
+    it("should return partial models containing only the selected attributes", () => {
+      const [thread] = this.q.inflateResult([{
+        id: 't1',
+        lastMessageReceivedTimestamp: 5,
+        unread: 1,
+        snippet: 'Hello',
+        categories: '[{"id":"c1","display_name":"Inbox"}]',
+      }]);
+      expect(thread instanceof Thread).toBe(true);
+      expect(thread.id).toBe('t1');
+      expect(thread.unread).toBe(true);
+      expect(thread.snippet).toBe('Hello');
+      expect(thread.categories[0].id).toBe('c1');
+      expect(thread.subject).toBe(undefined);
+      expect(thread.isPartial()).toBe(true);
+      expect(thread.clone().isPartial()).toBe(true);
+      expect(Object.keys(thread)).not.toContain('__partial');
+    });
+
+    it("should load joined data attributes with a join", () => {
+      const q = new ModelQuery(Message, Database).select([Message.attributes.body]);
+      expect(q.sql()).toContain("LEFT OUTER JOIN `MessageBody`");
+      const [message] = q.inflateResult([{id: 'm1', date: null, body: '!NULLVALUE!'}]);
+      expect(message.body).toBe(null);
+    });
+
+    it("should reject attributes of other classes", () => {
+      expect(() => new ModelQuery(Thread, Database).select([Message.attributes.body])).toThrow();
+    });
+  });
+
+  describe("iterate / forEachBatch", () => {
+    beforeEach(() => {
+      const row = (id, ts) => ({data: JSON.stringify({id, last_message_received_timestamp: ts})});
+      this.batches = [[row('a', 3), row('b', 2)], [row('c', 1)]];
+      spyOn(Database, '_query').and.callFake(() => Promise.resolve(this.batches.shift() || []));
+      this.query = new ModelQuery(Thread, Database);
+    });
+
+    it("should load batches using the last model as a cursor", (done) => {
+      const iterator = this.query.iterate({batchSize: 2});
+      const ids = [];
+      const step = () => iterator.next().then(({value, done: finished}) => {
+        if (finished) { return null; }
+        ids.push(value.id);
+        return step();
+      });
+      step().then(() => {
+        expect(ids).toEqual(['a', 'b', 'c']);
+        expect(Database._query.calls.count()).toBe(2);
+        const [firstSQL, firstParams] = Database._query.calls.argsFor(0);
+        expect(firstSQL).toContain("ORDER BY `Thread`.`last_message_received_timestamp` DESC, `Thread`.`id` ASC LIMIT 2");
+        expect(firstParams).toEqual([]);
+        const [, secondParams] = Database._query.calls.argsFor(1);
+        expect(secondParams).toEqual([2, null, 2, 'b']);
+        done();
+      });
+    });
+
+    it("should stop after the query's limit", (done) => {
+      this.batches[0].pop();
+      const iterator = this.query.limit(1).iterate({batchSize: 2});
+      iterator.next().then(({value}) => {
+        expect(value.id).toBe('a');
+        expect(Database._query.calls.argsFor(0)[0]).toContain('LIMIT 1');
+        return iterator.next();
+      }).then(({done: finished}) => {
+        expect(finished).toBe(true);
+        expect(Database._query.calls.count()).toBe(1);
+        done();
+      });
+    });
+
+    it("should call forEachBatch's callback with each batch and wait for it", (done) => {
+      const seen = [];
+      this.query.forEachBatch(2, (models, index) => {
+        seen.push([index, models.map(m => m.id)]);
+        return new Promise((resolve) => setTimeout(resolve, 5));
+      }).then(() => {
+        expect(seen).toEqual([[0, ['a', 'b']], [1, ['c']]]);
+        done();
+      });
+    });
+
+    it("should reject queries that do not return models", () => {
+      expect(() => this.query.count().iterate()).toThrow();
+      expect(() => new ModelQuery(Thread, Database).idsOnly().iterate()).toThrow();
+      expect(() => this.query.clone().iterate({batchSize: 0})).toThrow();
+    });
+  });
+
+  describe("string matchers", () => {
+    beforeEach(() => {
+      this.account = new Account({emailAddress: 'Ben_100%@Nylas.com'});
+      this.matches = (matcher) => this.account.matches([matcher]);
+    });
+
+    it("should evaluate startsWith and endsWith case-sensitively", () => {
+      const {emailAddress} = Account.attributes;
+      expect(this.matches(emailAddress.startsWith('Ben_'))).toBe(true);
+      expect(this.matches(emailAddress.startsWith('ben_'))).toBe(false);
+      expect(this.matches(emailAddress.endsWith('@Nylas.com'))).toBe(true);
+      expect(this.matches(emailAddress.endsWith('@nylas.com'))).toBe(false);
+    });
+
+    it("should evaluate like and notLike as literal, ASCII case-insensitive substring matches", () => {
+      const {emailAddress} = Account.attributes;
+      expect(this.matches(emailAddress.like('100%@nylas'))).toBe(true);
+      expect(this.matches(emailAddress.like('ben.100'))).toBe(false);
+      expect(this.matches(emailAddress.notLike('_1'))).toBe(false);
+      expect(this.matches(emailAddress.notLike('gmail'))).toBe(true);
+    });
+
+    it("should evaluate glob patterns like SQLite", () => {
+      const {emailAddress} = Account.attributes;
+      expect(this.matches(emailAddress.glob('Ben_*'))).toBe(true);
+      expect(this.matches(emailAddress.glob('ben_*'))).toBe(false);
+      expect(this.matches(emailAddress.glob('?en_[0-9]00%@*.com'))).toBe(true);
+      expect(this.matches(emailAddress.glob('[^B]*'))).toBe(false);
+      expect(this.matches(emailAddress.glob('Ben[_]*'))).toBe(true);
+      expect(this.matches(emailAddress.glob('Ben[*'))).toBe(false);
+    });
+
+    it("should never match null values", () => {
+      const {emailAddress} = Account.attributes;
+      this.account.emailAddress = null;
+      expect(this.matches(emailAddress.startsWith(''))).toBe(false);
+      expect(this.matches(emailAddress.notLike('a'))).toBe(false);
+      expect(this.matches(emailAddress.glob('*'))).toBe(false);
+    });
+  });
+
+  describe("collation", () => {
+    beforeEach(() => {
+      this.account = new Account({name: 'Ben Gotow', displayName: 'apple'});
+      this.matches = (matcher) => this.account.matches([matcher]);
+    });
+
+    it("should only accept known collations", () => {
+      expect(() => Attributes.String({modelKey: 'a', collation: 'binary'})).toThrow();
+      expect(Attributes.String({modelKey: 'a'}).collation).toBe(null);
+    });
+
+    it("should evaluate nocase comparisons ignoring the case of ASCII characters", () => {
+      const {name} = Account.attributes;
+      expect(this.matches(name.equal('ben gotow'))).toBe(true);
+      expect(this.matches(name.in(['BEN GOTOW', 'other']))).toBe(true);
+      expect(this.matches(name.not('BEN GOTOW'))).toBe(false);
+      expect(this.matches(name.startsWith('ben g'))).toBe(true);
+      expect(this.matches(name.endsWith('GOTOW'))).toBe(true);
+      expect(this.matches(new Attributes.Matcher(name, '<', 'ben z'))).toBe(true);
+      this.account.name = 'Bén Gotow';
+      expect(this.matches(name.equal('bÉn gotow'))).toBe(false);
+    });
+
+    it("should evaluate accentCaseInsensitiveOrder comparisons ignoring accents and case", () => {
+      const {displayName} = Account.attributes;
+      expect(this.matches(new Attributes.Matcher(displayName, '<', 'Zebra'))).toBe(true);
+      expect(this.matches(new Attributes.Matcher(displayName, '>', 'Banana'))).toBe(false);
+      expect(this.matches(displayName.equal('apple'))).toBe(true);
+      expect(this.matches(displayName.equal('Apple'))).toBe(false);
+    });
+
+    it("should sort accentCaseInsensitiveOrder strings by letter, then accents, then case", () => {
+      const sorted = ['résumé', 'Resume', 'rest', 'resumes', 'resume', 'Zebra', 'apple'];
+      sorted.sort((a, b) => compareStrings(a, b, 'accentCaseInsensitiveOrder'));
+      expect(sorted).toEqual(['apple', 'rest', 'Resume', 'resume', 'résumé', 'resumes', 'Zebra']);
+    });
+
+    it("should sort letters that don't decompose by code point, without locale rules", () => {
+      const sorted = ['ö', 'straße', 'zebra', 'strasse', 'ø', 'ábc'];
+      sorted.sort((a, b) => compareStrings(a, b, 'accentCaseInsensitiveOrder'));
+      expect(sorted).toEqual(['ábc', 'ö', 'strasse', 'straße', 'zebra', 'ø']);
+    });
+
+    it("should not allow accentCaseInsensitiveOrder attributes to be aggregated with min or max", () => {
+      expect(() => Account.attributes.displayName.min()).toThrow();
+      expect(() => Account.attributes.displayName.max()).toThrow();
+      expect(() => Account.attributes.name.max()).not.toThrow();
+    });
+  });
+
+  describe("object paths", () => {
+    it("should evaluate matchers against the nested JSON value", () => {
+      const account = new Account({defaultAlias: {email: 'ben@nylas.com', names: ['Ben', 'B']}});
+      const {defaultAlias} = Account.attributes;
+      expect(account.matches([defaultAlias.path('email').equal('ben@nylas.com')])).toBe(true);
+      expect(account.matches([defaultAlias.path('names', 1).equal('B')])).toBe(true);
+      expect(account.matches([defaultAlias.path('names', 2).equal('B')])).toBe(false);
+      expect(account.matches([defaultAlias.path('missing', 'deep').equal('B')])).toBe(false);
+      expect(new Account().matches([defaultAlias.path('email').equal('ben@nylas.com')])).toBe(false);
+    });
+
+    it("should use array index notation for numbers in the JSON path", () => {
+      expect(Account.attributes.defaultAlias.path('names', 0).jsonPath).toBe('$.default_alias.names[0]');
+    });
+
+    it("should reject paths that cannot be represented safely", () => {
+      expect(() => Account.attributes.defaultAlias.path()).toThrow();
+      expect(() => Account.attributes.defaultAlias.path("it's")).toThrow();
+      expect(() => Account.attributes.defaultAlias.path('a.b')).toThrow();
+      expect(() => Account.attributes.defaultAlias.path(-1)).toThrow();
+    });
+  });
+
+  describe("include relations", () => {
+    beforeEach(() => {
+      this.rows = {
+        Thread: [
+          {data: JSON.stringify({id: 't1'})},
+          {data: JSON.stringify({id: 't2'})},
+        ],
+        Message: [
+          {data: JSON.stringify({id: 'm1', thread_id: 't1'})},
+          {data: JSON.stringify({id: 'm2', thread_id: 't1'})},
+          {data: JSON.stringify({id: 'm3', thread_id: 'missing'})},
+        ],
+      };
+      spyOn(Database, '_query').and.callFake((sql) => {
+        const table = /FROM `(\w+)`/.exec(sql)[1];
+        return Promise.resolve(this.rows[table]);
+      });
+    });
+
+    it("should load has-many relations in one additional query", (done) => {
+      new ModelQuery(Thread, Database).include(Thread.attributes.messages).then((threads) => {
+        expect(Database._query.calls.count()).toBe(2);
+        const [sql, params] = Database._query.calls.argsFor(1);
+        expect(sql).toContain("FROM `Message`");
+        expect(sql).toContain("`Message`.`thread_id` in (SELECT `value` FROM json_each(?))");
+        expect(params).toEqual([JSON.stringify(['t1', 't2'])]);
+        expect(threads[0].messages.map(m => m.id)).toEqual(['m1', 'm2']);
+        expect(threads[1].messages).toEqual([]);
+        done();
+      });
+    });
+
+    it("should load belongs-to relations, and assign null if the model cannot be found", (done) => {
+      this.rows.Thread = [{data: JSON.stringify({id: 't1'})}];
+      new ModelQuery(Message, Database).include(Message.attributes.thread).then((messages) => {
+        expect(Database._query.calls.count()).toBe(2);
+        expect(Database._query.calls.argsFor(1)[1]).toEqual([JSON.stringify(['t1', 'missing'])]);
+        expect(messages[0].thread.id).toBe('t1');
+        expect(messages[1].thread).toBe(messages[0].thread);
+        expect(messages[2].thread).toBe(null);
+        done();
+      });
+    });
+
+    it("should not load relations unless they are included", (done) => {
+      new ModelQuery(Thread, Database).then((threads) => {
+        expect(Database._query.calls.count()).toBe(1);
+        expect(threads[0].messages).toBe(undefined);
+        done();
+      });
+    });
+
+    it("should not allow relations to be selected or included from other classes", () => {
+      expect(() => new ModelQuery(Thread, Database).include(Message.attributes.thread)).toThrow();
+      expect(() => new ModelQuery(Thread, Database).select([Thread.attributes.messages])).toThrow();
+    });
+
+    it("should report the classes of included relations", () => {
+      const query = new ModelQuery(Thread, Database).include(Thread.attributes.messages);
+      expect(query.relatedObjectClasses()).toEqual(['Message']);
+      expect(query.clone().relatedObjectClasses()).toEqual(['Message']);
+    });
+  });
+
   describe("sql", () => {
     beforeEach(() => {
       this.runScenario = (klass, scenario) => {
         const q = new ModelQuery(klass, this.db);
         Attributes.Matcher.muid = 1;
         scenario.builder(q);
-        expect(q.sql().trim()).toBe(scenario.sql.trim());
+        const {sql, params} = q.statement();
+        expect(sql.trim()).toBe(scenario.sql.trim());
+        expect(params).toEqual(scenario.params || []);
       };
     });
 
@@ -199,32 +601,154 @@ describe("ModelQuery", function ModelQuerySpecs() {
         builder: (q) =>
           q.where({emailAddress: 'ben@nylas.com'}).where({id: 2}),
         sql: "SELECT `Account`.`data` FROM `Account`  " +
-             "WHERE `Account`.`email_address` = 'ben@nylas.com' AND `Account`.`id` = 2",
+             "WHERE `Account`.`email_address` = ? AND `Account`.`id` = ?",
+        params: ['ben@nylas.com', 2],
       });
     });
 
-    it("should correctly escape single quotes with more double single quotes (LIKE)", () => {
+    it("should bind values containing single quotes as parameters (LIKE)", () => {
       this.runScenario(Account, {
         builder: (q) =>
           q.where(Account.attributes.emailAddress.like("you're")),
-        sql: "SELECT `Account`.`data` FROM `Account`  WHERE `Account`.`email_address` like '%you''re%'",
+        sql: "SELECT `Account`.`data` FROM `Account`  WHERE `Account`.`email_address` like ? ESCAPE '\\'",
+        params: ["%you're%"],
+      });
+    });
+
+    it("should compare and sort attributes using their collation", () => {
+      this.runScenario(Account, {
+        builder: (q) =>
+          q.where(Account.attributes.name.in(['a', 'b'])).order(Account.attributes.displayName.ascending()),
+        sql: "SELECT `Account`.`data` FROM `Account`  " +
+             "WHERE `Account`.`name` COLLATE NOCASE in (SELECT `value` FROM json_each(?))  " +
+             "ORDER BY `Account`.`rxdb_sortkey_v1_display_name` ASC",
+        params: ['["a","b"]'],
       });
     });
 
-    it("should correctly escape single quotes with more double single quotes (equal)", () => {
+    it("should compare sort keys in range matchers and values in equality matchers", () => {
+      const {displayName} = Account.attributes;
+      this.runScenario(Account, {
+        builder: (q) =>
+          q.where(new Attributes.Matcher(displayName, '>=', 'Résumé')).where(displayName.not('Apple')),
+        sql: "SELECT `Account`.`data` FROM `Account`  " +
+             "WHERE `Account`.`rxdb_sortkey_v1_display_name` >= ? AND `Account`.`display_name` != ?",
+        params: ['resume\u0001re\u0301sume\u0301\u0001Résumé', 'Apple'],
+      });
+    });
+
+    it("should match nocase prefixes and suffixes ignoring case", () => {
+      this.runScenario(Account, {
+        builder: (q) =>
+          q.where(Account.attributes.name.startsWith('Ben@')).where(Account.attributes.name.endsWith('Go_')),
+        sql: "SELECT `Account`.`data` FROM `Account`  " +
+             "WHERE (`Account`.`name` COLLATE NOCASE >= ? AND `Account`.`name` COLLATE NOCASE < ?) " +
+             "AND `Account`.`name` like ? ESCAPE '\\'",
+        params: ['ben@', 'ben[', '%Go\\_'],
+      });
+    });
+
+    it("should match prefixes with a range comparison", () => {
+      this.runScenario(Account, {
+        builder: (q) =>
+          q.where(Account.attributes.emailAddress.startsWith('ben%')),
+        sql: "SELECT `Account`.`data` FROM `Account`  " +
+             "WHERE (`Account`.`email_address` >= ? AND `Account`.`email_address` < ?)",
+        params: ['ben%', 'ben&'],
+      });
+    });
+
+    it("should increment prefixes by code point, skipping surrogates", () => {
+      const {emailAddress} = Account.attributes;
+      const bounds = ['a\uD83D\uDE00', 'a\uD7FF', 'a\uFFFF', 'a\uDBFF\uDFFF', '\uDBFF\uDFFF'].map((prefix) => {
+        const params = [];
+        emailAddress.startsWith(prefix).whereSQL(Account, params);
+        return params;
+      });
+      expect(bounds).toEqual([
+        ['a\uD83D\uDE00', 'a\uD83D\uDE01'],
+        ['a\uD7FF', 'a\uE000'],
+        ['a\uFFFF', 'a\uD800\uDC00'],
+        ['a\uDBFF\uDFFF', 'b'],
+        ['\uDBFF\uDFFF'],
+      ]);
+    });
+
+    it("should match suffixes and glob patterns with GLOB, escaping wildcards in suffixes", () => {
+      this.runScenario(Account, {
+        builder: (q) =>
+          q.where(Account.attributes.emailAddress.endsWith('*?[.com')).where(Account.attributes.emailAddress.glob('a*')),
+        sql: "SELECT `Account`.`data` FROM `Account`  " +
+             "WHERE `Account`.`email_address` GLOB ? AND `Account`.`email_address` GLOB ?",
+        params: ['*[*][?][[].com', 'a*'],
+      });
+    });
+
+    it("should escape LIKE wildcards in like and notLike values", () => {
+      this.runScenario(Account, {
+        builder: (q) =>
+          q.where(Account.attributes.emailAddress.notLike('100%_\\')),
+        sql: "SELECT `Account`.`data` FROM `Account`  WHERE `Account`.`email_address` not like ? ESCAPE '\\'",
+        params: ['%100\\%\\_\\\\%'],
+      });
+    });
+
+    it("should bind values containing single quotes as parameters (equal)", () => {
       this.runScenario(Account, {
         builder: (q) =>
           q.where(Account.attributes.emailAddress.equal("you're")),
-        sql: "SELECT `Account`.`data` FROM `Account`  WHERE `Account`.`email_address` = 'you''re'",
+        sql: "SELECT `Account`.`data` FROM `Account`  WHERE `Account`.`email_address` = ?",
+        params: ["you're"],
+      });
+    });
+
+    it("should bind arrays as a single JSON parameter", () => {
+      this.runScenario(Account, {
+        builder: (q) =>
+          q.where({id: ['a', 'b', "c'd"]}),
+        sql: "SELECT `Account`.`data` FROM `Account`  WHERE `Account`.`id` in (SELECT `value` FROM json_each(?))",
+        params: ['["a","b","c\'d"]'],
       });
     });
 
+    it("should match and sort on values nested in object attributes with json_extract", () => {
+      const email = Account.attributes.defaultAlias.path('email');
+      this.runScenario(Account, {
+        builder: (q) =>
+          q.where(email.equal('ben@nylas.com')).order(email.ascending()),
+        sql: "SELECT `Account`.`data` FROM `Account`  " +
+             "WHERE json_extract(`Account`.`data`, '$.default_alias.email') = ?  " +
+             "ORDER BY json_extract(`Account`.`data`, '$.default_alias.email') ASC",
+        params: ['ben@nylas.com'],
+      });
+    });
+
+    it("should bind dates as seconds since the epoch", () => {
+      this.runScenario(Thread, {
+        builder: (q) =>
+          q.where(Thread.attributes.lastMessageReceivedTimestamp.greaterThan(new Date(1000000))),
+        sql: "SELECT `Thread`.`data` FROM `Thread`  " +
+             "WHERE `Thread`.`last_message_received_timestamp` > ?  " +
+             "ORDER BY `Thread`.`last_message_received_timestamp` DESC",
+        params: [1000],
+      });
+    });
+
+    it("should produce the same SQL for queries that differ only by their values", () => {
+      const a = new ModelQuery(Thread, this.db).where({accountId: 'a'});
+      const b = new ModelQuery(Thread, this.db).where({accountId: 'b'});
+      expect(a.sql()).toEqual(b.sql());
+      expect(a.isEqual(b)).toBe(false);
+      expect(a.isEqual(new ModelQuery(Thread, this.db).where({accountId: 'a'}))).toBe(true);
+    });
+
     it("should correctly generate COUNT queries", () => {
       this.runScenario(Thread, {
         builder: (q) =>
           q.where({accountId: 'abcd'}).count(),
         sql: "SELECT COUNT(*) as count FROM `Thread`  " +
-             "WHERE `Thread`.`account_id` = 'abcd'  ",
+             "WHERE `Thread`.`account_id` = ?  ",
+        params: ['abcd'],
       });
     });
 
@@ -233,8 +757,9 @@ describe("ModelQuery", function ModelQuerySpecs() {
         builder: (q) =>
           q.where({accountId: 'abcd'}).one(),
         sql: "SELECT `Thread`.`data` FROM `Thread`  " +
-             "WHERE `Thread`.`account_id` = 'abcd'  " +
+             "WHERE `Thread`.`account_id` = ?  " +
              "ORDER BY `Thread`.`last_message_received_timestamp` DESC LIMIT 1",
+        params: ['abcd'],
       });
     });
 
@@ -244,8 +769,9 @@ describe("ModelQuery", function ModelQuerySpecs() {
           q.where(Thread.attributes.categories.contains('category-id')).where({id: '1234'}),
         sql: "SELECT `Thread`.`data` FROM `Thread` " +
              "INNER JOIN `ThreadCategory` AS `M1` ON `M1`.`id` = `Thread`.`id` " +
-             "WHERE `M1`.`value` = 'category-id' AND `Thread`.`id` = '1234'  " +
+             "WHERE `M1`.`value` = ? AND `Thread`.`id` = ?  " +
              "ORDER BY `Thread`.`last_message_received_timestamp` DESC",
+        params: ['category-id', '1234'],
       });
 
       this.runScenario(Thread, {
@@ -254,8 +780,9 @@ describe("ModelQuery", function ModelQuerySpecs() {
         sql: "SELECT `Thread`.`data` FROM `Thread` " +
              "INNER JOIN `ThreadCategory` AS `M1` ON `M1`.`id` = `Thread`.`id` " +
              "INNER JOIN `ThreadCategory` AS `M2` ON `M2`.`id` = `Thread`.`id` " +
-             "WHERE `M1`.`value` = 'l-1' AND `M2`.`value` = 'l-2'  " +
+             "WHERE `M1`.`value` = ? AND `M2`.`value` = ?  " +
              "ORDER BY `Thread`.`last_message_received_timestamp` DESC",
+        params: ['l-1', 'l-2'],
       });
     });
 
@@ -264,23 +791,26 @@ describe("ModelQuery", function ModelQuerySpecs() {
         builder: (q) =>
           q.where({accountId: 'abcd'}),
         sql: "SELECT `Thread`.`data` FROM `Thread`  " +
-             "WHERE `Thread`.`account_id` = 'abcd'  " +
+             "WHERE `Thread`.`account_id` = ?  " +
              "ORDER BY `Thread`.`last_message_received_timestamp` DESC",
+        params: ['abcd'],
       });
 
       this.runScenario(Thread, {
         builder: (q) =>
           q.where({accountId: 'abcd'}).order(Thread.attributes.lastMessageReceivedTimestamp.ascending()),
         sql: "SELECT `Thread`.`data` FROM `Thread`  " +
-             "WHERE `Thread`.`account_id` = 'abcd'  " +
+             "WHERE `Thread`.`account_id` = ?  " +
              "ORDER BY `Thread`.`last_message_received_timestamp` ASC",
+        params: ['abcd'],
       });
 
       this.runScenario(Account, {
         builder: (q) =>
           q.where({id: 'abcd'}),
         sql: "SELECT `Account`.`data` FROM `Account`  " +
-             "WHERE `Account`.`id` = 'abcd'  ",
+             "WHERE `Account`.`id` = ?  ",
+        params: ['abcd'],
       });
     });
 
@@ -290,7 +820,8 @@ describe("ModelQuery", function ModelQuerySpecs() {
           q.where({id: '1234'}).include(Message.attributes.body),
         sql: "SELECT `Message`.`data`, IFNULL(`MessageBody`.`value`, '!NULLVALUE!') AS `body`  " +
              "FROM `Message` LEFT OUTER JOIN `MessageBody` ON `MessageBody`.`id` = `Message`.`id` " +
-             "WHERE `Message`.`id` = '1234'",
+             "WHERE `Message`.`id` = ?",
+        params: ['1234'],
       });
     });
   });
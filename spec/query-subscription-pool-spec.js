@@ -1,11 +1,11 @@
 import QuerySubscriptionPool from '../src/query-subscription-pool';
-import {Database, Category} from './fixtures';
+import {Database, Category, Thread} from './fixtures';
 
 describe("QuerySubscriptionPool", function QuerySubscriptionPoolSpecs() {
   beforeEach(() => {
     this.pool = new QuerySubscriptionPool(Database);
     this.query = Database.findAll(Category);
-    this.queryKey = this.query.sql();
+    this.queryKey = this.pool._keyForQuery(this.query);
   });
 
   describe("add", () => {
@@ -18,6 +18,23 @@ describe("QuerySubscriptionPool", function QuerySubscriptionPoolSpecs() {
       expect(subscription.hasCallback(callback)).toBe(true);
     });
 
+    it("should not share subscriptions between queries that include different relations", () => {
+      const plain = Database.findAll(Thread);
+      const withMessages = Database.findAll(Thread).include(Thread.attributes.messages);
+      const plainCallback = jasmine.createSpy('plain');
+      const withMessagesCallback = jasmine.createSpy('withMessages');
+      this.pool.add(plain, plainCallback);
+      this.pool.add(withMessages, withMessagesCallback);
+
+      const plainSubscription = this.pool._subscriptions[this.pool._keyForQuery(plain)];
+      const withMessagesSubscription = this.pool._subscriptions[this.pool._keyForQuery(withMessages)];
+      expect(plainSubscription).not.toBe(withMessagesSubscription);
+      expect(plainSubscription.hasCallback(withMessagesCallback)).toBe(false);
+      expect(withMessagesSubscription.query().includedRelationKeys()).toEqual(['messages']);
+      expect(plain.isEqual(withMessages)).toBe(false);
+      expect(plain.isEqual(Database.findAll(Thread))).toBe(true);
+    });
+
     it("should yield database changes to the subscription", () => {
       const callback = jasmine.createSpy('callback');
       this.pool.add(this.query, callback);
@@ -1,9 +1,10 @@
 import QueryRange from '../src/query-range';
 import MutableQueryResultSet from '../src/mutable-query-result-set';
 import QuerySubscription from '../src/query-subscription';
+import MutableQuerySubscription from '../src/mutable-query-subscription';
 import * as Utils from '../src/utils';
 
-import {Database, Thread} from './fixtures';
+import {Database, Thread, Message, Category} from './fixtures';
 
 describe("QuerySubscription", function QuerySubscriptionSpecs() {
   beforeEach(() => {
@@ -32,6 +33,15 @@ describe("QuerySubscription", function QuerySubscriptionSpecs() {
         .toThrow();
       });
 
+      it("should throw an exception if the query is an aggregate query, which cannot be observed", () => {
+        const query = Database.aggregate(Thread, {total: Thread.attributes.version.sum()});
+        expect(() => {
+          const subscription = new QuerySubscription(query);
+          return subscription;
+        })
+        .toThrow();
+      });
+
       it("should call `update` to initialize the result set", () => {
         const query = Database.findAll(Thread);
         spyOn(QuerySubscription.prototype, 'update');
@@ -226,6 +236,50 @@ describe("QuerySubscription", function QuerySubscriptionSpecs() {
       })
 
     );
+
+    describe("when the query includes relations", () => {
+      beforeEach(() => {
+        const query = Database.findAll(Thread).include(Thread.attributes.messages);
+        const threads = [1, 2].map(i => new Thread({id: `${i}`, accountId: 'a'}));
+        this.subscription = new QuerySubscription(query, {initialModels: threads});
+        spyOn(this.subscription, 'update');
+      });
+
+      it("should refetch the result set when related models change", () => {
+        this.subscription.applyChangeRecord(new Database.constructor.ChangeRecord(Database, {
+          objectClass: 'Message',
+          objects: [new Message({id: 'm1', threadId: '1'})],
+          type: 'persist',
+        }));
+        expect(this.subscription.update).toHaveBeenCalled();
+        expect(this.subscription._set).toBe(null);
+      });
+
+      it("should ignore changes to unrelated classes", () => {
+        this.subscription.applyChangeRecord(new Database.constructor.ChangeRecord(Database, {
+          objectClass: 'Category',
+          objects: [new Category({id: 'c1'})],
+          type: 'persist',
+        }));
+        expect(this.subscription.update).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe("_itemSortOrderHasChanged", () => {
+    afterEach(() => {
+      Thread.attributes.subject.collation = null;
+    });
+
+    it("should compare sort values using the attribute's collation", () => {
+      const subscription = new QuerySubscription(Database.findAll(Thread).order(Thread.attributes.subject.ascending()));
+      const a = new Thread({id: '1', subject: 'Hello'});
+      const b = new Thread({id: '1', subject: 'hello'});
+      expect(subscription._itemSortOrderHasChanged(a, b)).toBe(true);
+      Thread.attributes.subject.collation = 'nocase';
+      expect(subscription._itemSortOrderHasChanged(a, b)).toBe(false);
+      expect(subscription._itemSortOrderHasChanged(a, new Thread({id: '1', subject: 'Help'}))).toBe(true);
+    });
   });
 
   describe("update", () => {
@@ -307,4 +361,29 @@ describe("QuerySubscription", function QuerySubscriptionSpecs() {
       });
     });
   });
+
+  describe("MutableQuerySubscription replaceRange", () => {
+    beforeEach(() => {
+      spyOn(QuerySubscription.prototype, 'update').and.returnValue();
+      this.subscription = new MutableQuerySubscription(Database.findAll(Thread).limit(10));
+      spyOn(this.subscription, 'replaceQuery');
+    });
+
+    it("should replace the query with a cursor query when given a model", () => {
+      const cursor = new Thread({id: '5', lastMessageReceivedTimestamp: 5});
+      this.subscription.replaceRange({after: cursor, limit: 20});
+      const next = this.subscription.replaceQuery.calls.first().args[0];
+      expect(next._cursor).toEqual({model: cursor, before: false});
+      expect(next.range().limit).toBe(20);
+      expect(next.range().offset).toBe(0);
+    });
+
+    it("should support paging backwards", () => {
+      const cursor = new Thread({id: '5', lastMessageReceivedTimestamp: 5});
+      this.subscription.replaceRange({before: cursor});
+      const next = this.subscription.replaceQuery.calls.first().args[0];
+      expect(next._cursor).toEqual({model: cursor, before: true});
+      expect(next.range().limit).toBe(10);
+    });
+  });
 });
@@ -0,0 +1,177 @@
+import {EventEmitter} from 'events';
+import Transports from '../src/transports';
+import Coordinator from '../src/browser/coordinator';
+import RxDatabase from '../src/rx-database';
+
+const {InProcessCoordinatorTransport, MessagePortCoordinatorTransport, MessagePortTransport} = Transports;
+
+class FakePort extends EventEmitter {
+  postMessage(message) {
+    this.other.emit('message', message);
+  }
+}
+
+function createPortPair() {
+  const port1 = new FakePort();
+  const port2 = new FakePort();
+  port1.other = port2;
+  port2.other = port1;
+  return {port1, port2};
+}
+
+describe("Transports", function TransportsSpecs() {
+  describe("InProcessCoordinatorTransport", () => {
+    beforeEach(() => {
+      jasmine.clock().install();
+      this.hub = new InProcessCoordinatorTransport();
+      this.coordinator = new Coordinator({transport: this.hub});
+      this.a = this.hub.createClient();
+      this.b = this.hub.createClient();
+    });
+
+    afterEach(() => {
+      jasmine.clock().uninstall();
+    });
+
+    it("should reply with the coordinator's phase", () => {
+      const callback = jasmine.createSpy('callback');
+      this.a.getPhase(callback);
+      expect(callback).toHaveBeenCalledWith('setup');
+    });
+
+    it("should broadcast phase changes to every client", () => {
+      const aSpy = jasmine.createSpy('a');
+      const bSpy = jasmine.createSpy('b');
+      this.a.on('phase-changed', aSpy);
+      this.b.on('phase-changed', bSpy);
+      this.a.setPhase('ready');
+      jasmine.clock().tick(1);
+      jasmine.clock().tick(1);
+
+      expect(this.coordinator._phase).toBe('ready');
+      expect(aSpy).toHaveBeenCalledWith('ready');
+      expect(bSpy).toHaveBeenCalledWith('ready');
+    });
+
+    it("should relay triggers to every client except the sender", () => {
+      const aSpy = jasmine.createSpy('a');
+      const bSpy = jasmine.createSpy('b');
+      this.a.on('trigger', aSpy);
+      this.b.on('trigger', bSpy);
+      this.a.sendTrigger({path: 'a.db', json: {}});
+      jasmine.clock().tick(1);
+      jasmine.clock().tick(1);
+
+      expect(aSpy).not.toHaveBeenCalled();
+      expect(bSpy).toHaveBeenCalledWith({path: 'a.db', json: {}});
+    });
+
+    it("should stop delivering messages to disconnected clients", () => {
+      const bSpy = jasmine.createSpy('b');
+      this.b.on('trigger', bSpy);
+      this.b.disconnect();
+      this.a.sendTrigger({path: 'a.db', json: {}});
+      jasmine.clock().tick(1);
+      jasmine.clock().tick(1);
+      expect(bSpy).not.toHaveBeenCalled();
+    });
+
+    it("should pass the database path along with setup errors", () => {
+      spyOn(this.coordinator, 'recoverFromFatalDatabaseError');
+      this.a.reportSetupError('a.db');
+      jasmine.clock().tick(1);
+      expect(this.coordinator.recoverFromFatalDatabaseError).toHaveBeenCalledWith('a.db');
+    });
+  });
+
+  describe("MessagePortCoordinatorTransport", () => {
+    beforeEach(() => {
+      this.hub = new MessagePortCoordinatorTransport();
+      this.coordinator = new Coordinator({transport: this.hub});
+
+      const pairA = createPortPair();
+      const pairB = createPortPair();
+      this.hub.addPort(pairA.port1);
+      this.hub.addPort(pairB.port1);
+      this.a = new MessagePortTransport(pairA.port2);
+      this.b = new MessagePortTransport(pairB.port2);
+    });
+
+    it("should reply to phase requests in order", () => {
+      const replies = [];
+      this.a.getPhase((phase) => replies.push(`first ${phase}`));
+      this.coordinator._phase = 'ready';
+      this.a.getPhase((phase) => replies.push(`second ${phase}`));
+      expect(replies).toEqual(['first setup', 'second ready']);
+    });
+
+    it("should broadcast phase changes to every worker", () => {
+      const bSpy = jasmine.createSpy('b');
+      this.b.on('phase-changed', bSpy);
+      this.a.setPhase('ready');
+      expect(bSpy).toHaveBeenCalledWith('ready');
+    });
+
+    it("should relay triggers to every worker except the sender", () => {
+      const aSpy = jasmine.createSpy('a');
+      const bSpy = jasmine.createSpy('b');
+      this.a.on('trigger', aSpy);
+      this.b.on('trigger', bSpy);
+      this.a.sendTrigger({path: 'a.db', json: {}});
+      expect(aSpy).not.toHaveBeenCalled();
+      expect(bSpy).toHaveBeenCalledWith({path: 'a.db', json: {}});
+    });
+  });
+
+  describe("RxDatabase", () => {
+    beforeEach(() => {
+      jasmine.clock().install();
+      this.hub = new InProcessCoordinatorTransport();
+      this.coordinator = new Coordinator({transport: this.hub});
+      this.transport = this.hub.createClient();
+      this.db = new RxDatabase({
+        databasePath: 'transport-test.db',
+        databaseVersion: '1',
+        transport: this.transport,
+      });
+    });
+
+    afterEach(() => {
+      this.db.disconnect();
+      jasmine.clock().uninstall();
+    });
+
+    it("should ask the transport for the current phase", () => {
+      spyOn(this.db, '_onPhaseChanged');
+      jasmine.clock().tick(1);
+      expect(this.db._onPhaseChanged).toHaveBeenCalledWith('setup');
+    });
+
+    it("should emit triggers received for its database path", () => {
+      const spy = jasmine.createSpy('trigger');
+      this.db.on('trigger', spy);
+      this.transport.emit('trigger', {path: 'other.db', json: {type: 'persist', objects: []}});
+      expect(spy).not.toHaveBeenCalled();
+      this.transport.emit('trigger', {path: 'transport-test.db', json: {type: 'persist', objects: []}});
+      expect(spy).toHaveBeenCalled();
+      expect(spy.calls.first().args[0] instanceof RxDatabase.ChangeRecord).toBe(true);
+    });
+
+    it("should send its own triggers through the transport", () => {
+      spyOn(this.transport, 'sendTrigger');
+      const record = new RxDatabase.ChangeRecord(this.db, {type: 'persist', objects: []});
+      this.db.trigger(record);
+      expect(this.transport.sendTrigger).toHaveBeenCalledWith({
+        path: 'transport-test.db',
+        json: record.toJSON(),
+      });
+    });
+
+    it("should detach from the transport when disconnected", () => {
+      spyOn(this.transport, 'disconnect');
+      this.db.disconnect();
+      expect(this.transport.disconnect).toHaveBeenCalled();
+      expect(this.transport.listenerCount('trigger')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Sqlite3 from 'better-sqlite3';
+
+import Model from '../src/model';
+import Attributes from '../src/attributes';
+import RxDatabase from '../src/rx-database';
+import Transports from '../src/transports';
+
+const {InProcessCoordinatorTransport} = Transports;
+const {UniqueConstraintError} = RxDatabase;
+
+class Contact extends Model {
+  static attributes = Object.assign({}, Model.attributes, {
+    email: Attributes.String({
+      queryable: true,
+      modelKey: 'email',
+      unique: true,
+      collation: 'nocase',
+    }),
+    name: Attributes.String({
+      modelKey: 'name',
+    }),
+  });
+
+  static searchIndexes = {};
+}
+
+// These specs run against a real SQLite connection, because conflicts on
+// unique attributes are detected by SQLite's unique indexes.
+describe("Unique attributes", function UniqueSpecs() {
+  beforeEach((done) => {
+    this.path = path.join(os.tmpdir(), `rxdb-unique-spec-${Date.now()}.db`);
+    this.sqlite = new Sqlite3(this.path, {});
+    this.db = new RxDatabase({
+      databasePath: this.path,
+      databaseVersion: '1',
+      transport: new InProcessCoordinatorTransport().createClient(),
+    });
+    this.db.models.register(Contact);
+
+    this.rows = () => this.sqlite.prepare('SELECT `id`, `email`, `data` FROM `Contact` ORDER BY `id`').all().map(({id, email, data}) =>
+      ({id, email, name: JSON.parse(data).name})
+    );
+
+    if (this.sqlite.open) {
+      done();
+    } else {
+      this.sqlite.on('open', () => done());
+    }
+  });
+
+  afterEach(() => {
+    this.db.disconnect();
+    this.sqlite.close();
+    fs.unlinkSync(this.path);
+  });
+
+  it("should fail setup with a UniqueIndexError if stored models have duplicate values", (done) => {
+    this.sqlite.prepare('CREATE TABLE `Contact` (id TEXT PRIMARY KEY, data BLOB, email TEXT)').run();
+    ['ben@example.com', 'BEN@example.com'].forEach((email, idx) => {
+      this.sqlite.prepare('INSERT INTO `Contact` (id, data, email) VALUES (?, ?, ?)').run([`${idx}`, JSON.stringify({id: `${idx}`, email}), email]);
+    });
+
+    this.db.on('will-rebuild-database', ({error}) => {
+      expect(error instanceof RxDatabase.UniqueIndexError).toBe(true);
+      expect(error.indexName).toBe('rxdb_idx_Contact_email_unique');
+      done();
+    });
+    this.db._db = this.sqlite;
+    this.db._runDatabaseSetup(() => done.fail('Setup should not complete'));
+  });
+
+  describe("with stored models", () => {
+    beforeEach((done) => {
+      this.db._db = this.sqlite;
+      this.db._runDatabaseSetup(() => {
+        this.db._open = true;
+        this.db.inTransaction((t) =>
+          t.persistModels([
+            new Contact({id: 'ben', email: 'ben@example.com', name: 'Ben'}),
+            new Contact({id: 'amy', email: 'amy@example.com', name: 'Amy'}),
+          ])
+        ).then(done, done.fail);
+      });
+    });
+
+    it("should create a unique index for the attribute", () => {
+      const indexes = this.sqlite.prepare("SELECT `sql` FROM `sqlite_master` WHERE `type` = 'index' AND `tbl_name` = 'Contact'").all().map(({sql}) => sql);
+      expect(indexes).toContain('CREATE UNIQUE INDEX `rxdb_idx_Contact_email_unique` ON `Contact` (`email` COLLATE NOCASE ASC)');
+    });
+
+    describe("persistModels", () => {
+      it("should reject with a UniqueConstraintError and leave the stored model alone when onConflict is 'fail'", (done) => {
+        this.db.inTransaction((t) =>
+          t.persistModel(new Contact({id: 'new', email: 'BEN@example.com', name: 'New'}))
+        ).then(done.fail, (err) => {
+          expect(err instanceof UniqueConstraintError).toBe(true);
+          expect(err.attribute).toBe('email');
+          expect(err.existingId).toBe('ben');
+          expect(this.rows()).toEqual([
+            {id: 'amy', email: 'amy@example.com', name: 'Amy'},
+            {id: 'ben', email: 'ben@example.com', name: 'Ben'},
+          ]);
+          done();
+        }).catch(done.fail);
+      });
+
+      it("should only roll back the failed write, so the transaction can carry on", (done) => {
+        const amy = new Contact({id: 'amy', email: 'ben@example.com', name: 'Amy'});
+        this.db.inTransaction((t) =>
+          t.persistModel(amy).catch((err) => {
+            expect(err instanceof UniqueConstraintError).toBe(true);
+            return t.persistModel(new Contact({id: 'cat', email: 'cat@example.com', name: 'Cat'}));
+          })
+        ).then(() => {
+          expect(this.rows().map(r => [r.id, r.email])).toEqual([
+            ['amy', 'amy@example.com'],
+            ['ben', 'ben@example.com'],
+            ['cat', 'cat@example.com'],
+          ]);
+          done();
+        }).catch(done.fail);
+      });
+
+      it("should write the models that don't conflict when onConflict is 'ignore'", (done) => {
+        const models = [
+          new Contact({id: 'new', email: 'Amy@Example.com', name: 'New'}),
+          new Contact({id: 'amy', email: 'ben@example.com', name: 'Amy 2'}),
+          new Contact({id: 'cat', email: 'cat@example.com', name: 'Cat'}),
+        ];
+        spyOn(this.db, 'transactionDidCommitChanges').and.callThrough();
+
+        this.db.inTransaction((t) =>
+          t.persistModels(models, {onConflict: 'ignore'})
+        ).then(() => {
+          expect(this.rows()).toEqual([
+            {id: 'amy', email: 'amy@example.com', name: 'Amy'},
+            {id: 'ben', email: 'ben@example.com', name: 'Ben'},
+            {id: 'cat', email: 'cat@example.com', name: 'Cat'},
+          ]);
+          const [change] = this.db.transactionDidCommitChanges.calls.first().args[0];
+          expect(change.objects.map(m => m.id)).toEqual(['cat']);
+          done();
+        }).catch(done.fail);
+      });
+
+      it("should remove the stored model when onConflict is 'replace'", (done) => {
+        this.db.inTransaction((t) =>
+          t.persistModel(new Contact({id: 'new', email: 'ben@example.com', name: 'New'}), {onConflict: 'replace'})
+        ).then(() => {
+          expect(this.rows()).toEqual([
+            {id: 'amy', email: 'amy@example.com', name: 'Amy'},
+            {id: 'new', email: 'ben@example.com', name: 'New'},
+          ]);
+          done();
+        }).catch(done.fail);
+      });
+
+      it("should write the model onto the stored model when onConflict is 'merge'", (done) => {
+        const model = new Contact({id: 'new', email: 'ben@example.com'});
+        this.db.inTransaction((t) =>
+          t.persistModel(model, {onConflict: 'merge'})
+        ).then(() => {
+          expect(model.id).toBe('ben');
+          expect(this.rows()).toEqual([
+            {id: 'amy', email: 'amy@example.com', name: 'Amy'},
+            {id: 'ben', email: 'ben@example.com', name: 'Ben'},
+          ]);
+          done();
+        }).catch(done.fail);
+      });
+
+      it("should let models in the batch swap their unique values", (done) => {
+        this.db.inTransaction((t) =>
+          t.persistModels([
+            new Contact({id: 'ben', email: 'amy@example.com', name: 'Ben'}),
+            new Contact({id: 'amy', email: 'ben@example.com', name: 'Amy'}),
+          ])
+        ).then(() => {
+          expect(this.rows().map(r => [r.id, r.email])).toEqual([
+            ['amy', 'ben@example.com'],
+            ['ben', 'amy@example.com'],
+          ]);
+          done();
+        }).catch(done.fail);
+      });
+    });
+
+    describe("updateAll", () => {
+      it("should reject with a UniqueConstraintError and leave the stored models alone when onConflict is 'fail'", (done) => {
+        this.db.inTransaction((t) =>
+          t.updateAll(this.db.findAll(Contact).where({id: 'amy'}), {email: 'ben@example.com'})
+        ).then(done.fail, (err) => {
+          expect(err instanceof UniqueConstraintError).toBe(true);
+          expect(err.existingId).toBe('ben');
+          expect(this.rows().map(r => r.email)).toEqual(['amy@example.com', 'ben@example.com']);
+          done();
+        }).catch(done.fail);
+      });
+
+      it("should skip the models that would conflict when onConflict is 'ignore'", (done) => {
+        this.db.inTransaction((t) =>
+          t.persistModel(new Contact({id: 'cat', email: 'cat@example.com', name: 'Cat'})).then(() =>
+            t.updateAll(this.db.findAll(Contact).where(Contact.attributes.id.in(['amy', 'cat'])), {email: 'BEN@example.com'}, {onConflict: 'ignore'})
+          ).catch((err) => {
+            // Setting one unique value on several models is always rejected
+            expect(err instanceof UniqueConstraintError).toBe(true);
+            return t.updateAll(this.db.findAll(Contact).where({id: 'amy'}), {email: 'BEN@example.com', name: 'Amy 2'}, {onConflict: 'ignore'});
+          })
+        ).then((count) => {
+          expect(count).toBe(0);
+          expect(this.rows()).toEqual([
+            {id: 'amy', email: 'amy@example.com', name: 'Amy'},
+            {id: 'ben', email: 'ben@example.com', name: 'Ben'},
+            {id: 'cat', email: 'cat@example.com', name: 'Cat'},
+          ]);
+          done();
+        }).catch(done.fail);
+      });
+    });
+  });
+});
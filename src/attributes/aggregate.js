@@ -0,0 +1,47 @@
+/**
+Represents an aggregate function (SUM, AVG, MIN or MAX) applied to a queryable
+attribute. You should not instantiate Aggregates manually. Instead, call
+{@link AttributeNumber.sum}, {@link Attribute.max}, etc. and pass the result
+to {@link ModelQuery.aggregate}:
+
+```js
+db.findAll(Thread)
+  .aggregate({newest: Thread.attributes.lastMessageReceivedTimestamp.max()})
+  .groupBy(Thread.attributes.accountId)
+  .then((rows) => {
+    // [{accountId: 'a', newest: Date}, {accountId: 'b', newest: Date}]
+  });
+```
+*/
+export default class Aggregate {
+  constructor(attr, fn) {
+    this.attr = attr;
+    this.fn = fn;
+  }
+
+  attribute() {
+    return this.attr;
+  }
+
+  selectSQL(klass) {
+    if (this.fn === 'MIN' || this.fn === 'MAX') {
+      return `${this.fn}(${this.attr.sortRefSQL(klass)})`;
+    }
+    return `${this.fn}(${this.attr.columnRefSQL(klass)})`;
+  }
+
+  /**
+  Converts the value returned by SQLite into a Javascript value. SUM and AVG
+  always produce numbers, while MIN and MAX produce values of the attribute's
+  type, like `Date` for {AttributeDateTime}.
+  */
+  fromResult(val) {
+    if (val === null || val === undefined) {
+      return null;
+    }
+    if (this.fn === 'SUM' || this.fn === 'AVG') {
+      return Number(val);
+    }
+    return this.attr.fromColumn(val);
+  }
+}
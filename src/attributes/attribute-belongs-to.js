@@ -0,0 +1,61 @@
+import AttributeRelation from './attribute-relation';
+
+/**
+BelongsTo attributes reference a single model of another class. `foreignKey`
+is the model key of the attribute holding the id of the related model:
+
+```js
+static attributes = Object.assign({}, Model.attributes, {
+  threadId: Attributes.String({
+    queryable: true,
+    modelKey: 'threadId',
+  }),
+  thread: Attributes.BelongsTo({
+    modelKey: 'thread',
+    itemClass: 'Thread',
+    foreignKey: 'threadId',
+  }),
+});
+```
+
+When the relationship is loaded, the value of this attribute is the related
+model, or null if it could not be found.
+
+`onDelete` rules are declared on the {AttributeHasMany} side of the
+relationship, and BelongsTo attributes throw if you pass one.
+
+Section: Database
+*/
+export default class AttributeBelongsTo extends AttributeRelation {
+  constructor(options) {
+    super(options);
+    if (options.onDelete) {
+      throw new Error(`AttributeBelongsTo (${this.modelKey}) - onDelete is not supported. Declare it on the HasMany attribute of ${this.itemClass.name || this.itemClass} instead.`);
+    }
+  }
+
+  load(database, models) {
+    const ids = [];
+    for (const model of models) {
+      const id = model[this.foreignKey];
+      if (id && !ids.includes(id)) {
+        ids.push(id);
+      }
+    }
+    if (ids.length === 0) {
+      models.forEach((model) => { model[this.modelKey] = null; });
+      return Promise.resolve();
+    }
+
+    const itemClass = this.itemClassIn(database);
+    return database.findAll(itemClass).where(itemClass.attributes.id.in(ids)).then((items) => {
+      const itemsById = {};
+      for (const item of items) {
+        itemsById[item.id] = item;
+      }
+      models.forEach((model) => {
+        model[this.modelKey] = itemsById[model[this.foreignKey]] || null;
+      });
+    });
+  }
+}
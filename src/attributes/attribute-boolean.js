@@ -13,6 +13,10 @@ export default class AttributeBoolean extends Attribute {
   fromJSON(val) {
     return ((val === 'true') || (val === true)) || false;
   }
+  fromColumn(val) {
+    // Booleans are stored as integers in SQLite
+    return (val === null || val === undefined) ? null : ((val === 1) || this.fromJSON(val));
+  }
   columnSQL() {
     return `${this.jsonKey} INTEGER`;
   }
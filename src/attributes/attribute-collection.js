@@ -30,8 +30,9 @@ The value of this attribute is always an array of other model objects.
 Section: Database
 */
 export default class AttributeCollection extends Attribute {
-  constructor({modelKey, jsonKey, itemClass, joinOnField, joinQueryableBy, queryable}) {
-    super({modelKey, jsonKey, queryable});
+  constructor(options) {
+    super(options);
+    const {itemClass, joinOnField, joinQueryableBy} = options;
     this.ItemClass = this.itemClass = itemClass;
     this.joinOnField = joinOnField;
     this.joinQueryableBy = joinQueryableBy || [];
@@ -0,0 +1,65 @@
+import Attribute from './attribute';
+import Matcher from './matcher';
+
+const ColumnTypes = ['TEXT', 'INTEGER', 'REAL'];
+
+/**
+Computed attributes derive their value from the rest of the model. The value
+is recalculated each time the model is persisted and stored in its own column,
+so you can match and sort on it like any other queryable attribute:
+
+```js
+static attributes = Object.assign({}, Model.attributes, {
+  sortableSubject: Attributes.Computed({
+    modelKey: 'sortableSubject',
+    compute: (thread) => (thread.subject || '').toLowerCase(),
+  }),
+});
+
+db.findAll(Thread).order(Thread.attributes.sortableSubject.ascending());
+```
+
+`columnType` is the SQLite type of the column: `TEXT` (the default), `INTEGER`
+or `REAL`. Computed attributes are always queryable.
+
+Note: Existing rows only receive a value for a new computed attribute when
+they are persisted again.
+*/
+export default class AttributeComputed extends Attribute {
+  constructor(options) {
+    super(Object.assign({}, options, {queryable: true}));
+    const {compute, columnType = 'TEXT'} = options;
+    if (!(compute instanceof Function)) {
+      throw new Error(`AttributeComputed (${this.modelKey}) - you must provide a compute function`);
+    }
+    if (!ColumnTypes.includes(columnType)) {
+      throw new Error(`AttributeComputed (${this.modelKey}) - columnType must be one of ${ColumnTypes.join(', ')}`);
+    }
+    this.compute = compute;
+    this.columnType = columnType;
+  }
+
+  toJSON(val) {
+    return val;
+  }
+
+  fromJSON(val) {
+    return (val === undefined) ? null : val;
+  }
+
+  columnSQL() {
+    return `${this.jsonKey} ${this.columnType}`;
+  }
+
+  // Public: Returns a {Matcher} for objects greater than the provided value.
+  greaterThan(val) {
+    this._assertPresentAndQueryable('greaterThan', val);
+    return new Matcher(this, '>', val);
+  }
+
+  // Public: Returns a {Matcher} for objects less than the provided value.
+  lessThan(val) {
+    this._assertPresentAndQueryable('lessThan', val);
+    return new Matcher(this, '<', val);
+  }
+}
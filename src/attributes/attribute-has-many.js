@@ -0,0 +1,76 @@
+import AttributeRelation from './attribute-relation';
+
+/**
+HasMany attributes reference the models of another class that point back to
+this model. `foreignKey` is the model key of the queryable attribute on
+`itemClass` holding the id of this model:
+
+```js
+static attributes = Object.assign({}, Model.attributes, {
+  messages: Attributes.HasMany({
+    modelKey: 'messages',
+    itemClass: 'Message',
+    foreignKey: 'threadId',
+  }),
+});
+```
+
+When the relationship is loaded, the value of this attribute is an array of
+related models, in the natural sort order of `itemClass`.
+
+Pass `onDelete` to decide what happens to the related models when a model is
+unpersisted. The related models are changed in the same transaction, and
+change records are emitted for them:
+
+- 'cascade': Unpersist the related models too.
+- 'nullify': Set the foreign key of the related models to null.
+- 'restrict': Reject with a {DeleteRestrictedError} if there are related models.
+
+By default, related models are left alone.
+
+Section: Database
+*/
+const DeleteRules = ['cascade', 'nullify', 'restrict'];
+
+export default class AttributeHasMany extends AttributeRelation {
+  constructor(options) {
+    super(options);
+    const {onDelete} = options;
+    if (onDelete && !DeleteRules.includes(onDelete)) {
+      throw new Error(`AttributeHasMany (${this.modelKey}) - onDelete must be one of ${DeleteRules.join(', ')}`);
+    }
+    this.onDelete = onDelete || null;
+  }
+
+  load(database, models) {
+    const ids = models.map((model) => model.id);
+    if (ids.length === 0) {
+      return Promise.resolve();
+    }
+
+    const itemClass = this.itemClassIn(database);
+    return database.findAll(itemClass).where(this.foreignKeyAttributeIn(database).in(ids)).then((items) => {
+      const itemsById = {};
+      for (const item of items) {
+        const id = item[this.foreignKey];
+        itemsById[id] = itemsById[id] || [];
+        itemsById[id].push(item);
+      }
+      models.forEach((model) => {
+        model[this.modelKey] = itemsById[model.id] || [];
+      });
+    });
+  }
+
+  /**
+  @returns {Attribute} - The attribute of `itemClass` holding the id of this model.
+  */
+  foreignKeyAttributeIn(database) {
+    const itemClass = this.itemClassIn(database);
+    const attr = itemClass.attributes[this.foreignKey];
+    if (!attr || !attr.queryable) {
+      throw new Error(`AttributeHasMany (${this.modelKey}) - ${itemClass.name}.${this.foreignKey} must be a queryable attribute`);
+    }
+    return attr;
+  }
+}
@@ -33,9 +33,9 @@ Section: Database
 export default class AttributeJoinedData extends Attribute {
   static NullPlaceholder = NullPlaceholder;
 
-  constructor({modelKey, jsonKey, modelTable, queryable}) {
-    super({modelKey, jsonKey, queryable});
-    this.modelTable = modelTable;
+  constructor(options) {
+    super(options);
+    this.modelTable = options.modelTable;
   }
 
   toJSON(val) {
@@ -1,5 +1,6 @@
 import Attribute from './attribute';
 import Matcher from './matcher';
+import Aggregate from './aggregate';
 
 /**
 The value of this attribute is always a number, or null.
@@ -41,6 +42,18 @@ export default class AttributeNumber extends Attribute {
     return new Matcher(this, '<=', val);
   }
 
+  // Public: Returns an {Aggregate} for the sum of the attribute's values.
+  sum() {
+    this._assertQueryableColumn('sum');
+    return new Aggregate(this, 'SUM');
+  }
+
+  // Public: Returns an {Aggregate} for the average of the attribute's values.
+  avg() {
+    this._assertQueryableColumn('avg');
+    return new Aggregate(this, 'AVG');
+  }
+
   gt = AttributeNumber.prototype.greaterThan;
   lt = AttributeNumber.prototype.lessThan;
   gte = AttributeNumber.prototype.greaterThanOrEqualTo;
@@ -0,0 +1,83 @@
+import Attribute from './attribute';
+import Matcher from './matcher';
+
+function isValidSegment(segment) {
+  if (typeof segment === 'number') {
+    return Number.isInteger(segment) && (segment >= 0);
+  }
+  return (typeof segment === 'string') && /^[^.[\]"'`]+$/.test(segment);
+}
+
+/**
+Represents a value nested inside an {AttributeObject}, like the city of a
+contact's address. You should not instantiate AttributeObjectPaths manually.
+Instead, call {AttributeObject::path} with the keys leading to the value:
+
+```js
+db.findAll(Contact).where(Contact.attributes.address.path('city').equal('Paris'));
+```
+
+Matchers on paths compile to `json_extract` on the model's JSON `data` and
+compare JSON values, so keys are JSON keys and numbers are array indexes.
+Paths can also be used in sort orders and in `static indexes`, which creates
+an expression index on the nested value.
+*/
+export default class AttributeObjectPath extends Attribute {
+  constructor({object, path}) {
+    if (!(path instanceof Array) || (path.length === 0) || !path.every(isValidSegment)) {
+      throw new Error(`AttributeObject::path (${object.modelKey}) - you must provide object keys or array indexes`);
+    }
+    const keyPath = path.map((segment) => ((typeof segment === 'number') ? `[${segment}]` : `.${segment}`)).join('');
+    super({modelKey: `${object.modelKey}${keyPath}`, jsonKey: `${object.jsonKey}${keyPath}`, queryable: true});
+    this.object = object;
+    this.path = path;
+    this.jsonPath = `$.${object.jsonKey}${keyPath}`;
+  }
+
+  columnRefSQL(klass) {
+    return `json_extract(\`${klass.name}\`.\`data\`, '${this.jsonPath}')`;
+  }
+
+  indexTermSQL() {
+    return `json_extract(\`data\`, '${this.jsonPath}')`;
+  }
+
+  valueForModel(model) {
+    let value = this.object.toJSON(model[this.object.modelKey]);
+    for (const segment of this.path) {
+      if ((value === null) || (value === undefined)) {
+        return null;
+      }
+      value = value[segment];
+    }
+    return (value === undefined) ? null : value;
+  }
+
+  fromJSON(val) {
+    return val;
+  }
+
+  // Public: Returns a {Matcher} for objects greater than the provided value.
+  greaterThan(val) {
+    this._assertPresentAndQueryable('greaterThan', val);
+    return new Matcher(this, '>', val);
+  }
+
+  // Public: Returns a {Matcher} for objects less than the provided value.
+  lessThan(val) {
+    this._assertPresentAndQueryable('lessThan', val);
+    return new Matcher(this, '<', val);
+  }
+
+  // Public: Returns a {Matcher} for objects greater than or equal to the provided value.
+  greaterThanOrEqualTo(val) {
+    this._assertPresentAndQueryable('greaterThanOrEqualTo', val);
+    return new Matcher(this, '>=', val);
+  }
+
+  // Public: Returns a {Matcher} for objects less than or equal to the provided value.
+  lessThanOrEqualTo(val) {
+    this._assertPresentAndQueryable('lessThanOrEqualTo', val);
+    return new Matcher(this, '<=', val);
+  }
+}
@@ -1,12 +1,16 @@
 import Attribute from './attribute';
+import AttributeObjectPath from './attribute-object-path';
 
 /**
-The value of this attribute is always an object that can be cast to `itemClass`
+The value of this attribute is always an object that can be cast to `itemClass`.
+
+Object attributes are stored in the model's JSON and can't be `queryable`, but
+the values nested inside them can be queried with `path`.
 */
 export default class AttributeObject extends Attribute {
-  constructor({modelKey, jsonKey, itemClass, queryable}) {
-    super({modelKey, jsonKey, queryable});
-    this.ItemClass = itemClass;
+  constructor(options) {
+    super(options);
+    this.ItemClass = options.itemClass;
   }
 
   toJSON(val) {
@@ -31,4 +35,14 @@ export default class AttributeObject extends Attribute {
 
     return obj;
   }
+
+  /**
+  @param {...(String|Number)} path - The JSON keys (or array indexes) leading to
+    a value nested in the object.
+  @returns {AttributeObjectPath} - An attribute for building matchers and sort
+    orders on the nested value.
+  */
+  path(...path) {
+    return new AttributeObjectPath({object: this, path});
+  }
 }
@@ -0,0 +1,57 @@
+import Attribute from './attribute';
+
+/**
+The base class for attributes that reference other persisted models by id,
+like {AttributeBelongsTo} and {AttributeHasMany}. Related models are not
+stored in the model's JSON. Instead, call `include` on a query to load them,
+in one additional query per relationship:
+
+```js
+db.findAll(Thread).include(Thread.attributes.messages).then((threads) => {
+  // threads[0].messages is an array of Message models
+});
+```
+
+When a relationship has not been loaded, the attribute is undefined.
+
+`itemClass` is the related {Model} class, or the name it is registered with.
+Use the name when two classes refer to each other.
+
+Section: Database
+*/
+export default class AttributeRelation extends Attribute {
+  constructor(options) {
+    super(Object.assign({}, options, {queryable: false}));
+    const {itemClass, foreignKey} = options;
+    if (!itemClass || !foreignKey) {
+      throw new Error(`${this.constructor.name} (${this.modelKey}) - you must provide an itemClass and a foreignKey`);
+    }
+    this.itemClass = itemClass;
+    this.foreignKey = foreignKey;
+  }
+
+  /**
+  @param {RxDatabase} database - The database the models belong to.
+  @returns {Model} - The related class.
+  */
+  itemClassIn(database) {
+    if (typeof this.itemClass !== 'string') {
+      return this.itemClass;
+    }
+    if (!database.models.has(this.itemClass)) {
+      throw new Error(`${this.constructor.name} (${this.modelKey}) - ${this.itemClass} is not a registered model class`);
+    }
+    return database.models.get(this.itemClass);
+  }
+
+  /**
+  Loads the models related to each of `models` and assigns them to the attribute.
+
+  @param {RxDatabase} database - The database to load related models from.
+  @param {Array} models - The models to load relationships for.
+  @returns {Promise} - Resolves when the related models have been assigned.
+  */
+  load() {
+    throw new Error(`${this.constructor.name} must implement load()`);
+  }
+}
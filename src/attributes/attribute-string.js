@@ -4,8 +4,17 @@ import Matcher from './matcher';
 /**
 The value of this attribute is always a string or `null`.
 
-String attributes can be queries using `equal`, `not`, and `startsWith`.
-Matching on `greaterThan` and `lessThan` is not supported.
+String attributes can be queried using `equal`, `not`, `startsWith`,
+`endsWith`, `like`, `notLike` and `glob`. Matching on `greaterThan` and
+`lessThan` is not supported.
+
+- `startsWith` and `endsWith` are case-sensitive. `startsWith` is a range
+  comparison, so it can use an index on the column.
+- `like` and `notLike` match strings containing the value, ignoring the case of
+  ASCII characters. `%` and `_` in the value are matched literally.
+- `glob` matches a case-sensitive SQLite GLOB pattern, where `*` matches any
+  sequence of characters, `?` matches one character, and `[...]` matches a
+  set of characters.
 */
 export default class AttributeString extends Attribute {
   toJSON(val) {
@@ -18,15 +27,35 @@ export default class AttributeString extends Attribute {
 
   // Public: Returns a {Matcher} for objects starting with the provided value.
   startsWith(val) {
-    return new Matcher(this, 'startsWith', val);
+    this._assertPresentAndQueryable('startsWith', val);
+    return new Matcher(this, 'startsWith', `${val}`);
+  }
+
+  // Public: Returns a {Matcher} for objects ending with the provided value.
+  endsWith(val) {
+    this._assertPresentAndQueryable('endsWith', val);
+    return new Matcher(this, 'endsWith', `${val}`);
   }
 
   columnSQL() {
     return `${this.jsonKey} TEXT`;
   }
 
+  // Public: Returns a {Matcher} for objects containing the provided value.
   like(val) {
     this._assertPresentAndQueryable('like', val);
     return new Matcher(this, 'like', val);
   }
+
+  // Public: Returns a {Matcher} for objects that don't contain the provided value.
+  notLike(val) {
+    this._assertPresentAndQueryable('notLike', val);
+    return new Matcher(this, 'notLike', val);
+  }
+
+  // Public: Returns a {Matcher} for objects matching the provided GLOB pattern.
+  glob(pattern) {
+    this._assertPresentAndQueryable('glob', pattern);
+    return new Matcher(this, 'glob', `${pattern}`);
+  }
 }
@@ -1,17 +1,163 @@
 import Matcher from './matcher';
 import SortOrder from './sort-order';
+import Aggregate from './aggregate';
+import {assertValidCollation, collateSQL, sortKey, sortKeyColumn} from './collation';
 
 /**
 The Attribute class represents a single model attribute, like 'account_id'.
 Subclasses of {Attribute} like {AttributeDateTime} know how to covert between
 the JSON representation of that type and the javascript representation.
 The Attribute class also exposes convenience methods for generating {Matcher} objects.
+
+Attributes can declare validations that are checked before models are
+persisted. See {Model::validate}.
+
+- `required`: The value cannot be null, undefined or an empty string.
+- `maxLength`: The maximum length of a string or array value.
+- `enum`: An array of the allowed values.
+- `min` / `max`: Bounds for number and date values.
+- `validate`: A function called with the value and the model. Return `false`
+  or an error message if the value is invalid.
+
+Other than `required`, validations are not applied to null values.
+
+Pass `defaultValue` to give the attribute a value when a model is created
+without one, or loaded from JSON that doesn't contain it. If `defaultValue` is
+a function, it is called to produce a new value each time - use a function
+for arrays and objects, so that models don't share them.
+
+Pass `unique: true` to prevent two models from having the same value for a
+queryable attribute. The constraint is enforced by a unique index, and
+{DatabaseTransaction::persistModels} can resolve conflicts for you. If the
+stored models already contain duplicate values, the index can't be created
+and database setup fails with a `UniqueIndexError`, like any other setup
+error. When you make an existing attribute unique, bump the
+`databaseVersion` and register a migration that removes the duplicates.
+
+Pass `collation: 'nocase'` or `collation: 'accentCaseInsensitiveOrder'` to
+change how string values are compared in matchers, sort orders, indexes and
+`min` / `max`. `accentCaseInsensitiveOrder` attributes can't be used with
+`min` / `max` - sort by the attribute and use `limit(1)` instead. See
+{@link collation}.
 */
 export default class Attribute {
-  constructor({modelKey, queryable, jsonKey}) {
+  constructor({modelKey, queryable, jsonKey, defaultValue, unique, collation, required, maxLength, min, max, validate, enum: enumValues}) {
+    assertValidCollation(collation, modelKey);
     this.modelKey = modelKey;
     this.jsonKey = jsonKey || modelKey;
     this.queryable = queryable;
+    this.unique = unique;
+    this.collation = collation || null;
+    this.defaultValue = defaultValue;
+    this.validations = {required, maxLength, min, max, validate, enum: enumValues};
+  }
+
+  /**
+  @returns - The default value of the attribute, or undefined if it has none.
+  */
+  getDefaultValue() {
+    return (this.defaultValue instanceof Function) ? this.defaultValue() : this.defaultValue;
+  }
+
+  /**
+  @param value - The attribute value
+  @param {Model} model - The model the value belongs to
+  @returns {Array} - An `{attribute, rule, message}` object for each of the
+    attribute's validations that the value fails.
+  */
+  validate(value, model) {
+    const {required, maxLength, min, max, validate} = this.validations;
+    const enumValues = this.validations.enum;
+    const errors = [];
+    const fail = (rule, message) => errors.push({attribute: this.modelKey, rule, message});
+
+    if ((value === null) || (value === undefined) || (value === '')) {
+      if (required) {
+        fail('required', `${this.modelKey} is required`);
+      }
+      return errors;
+    }
+    if ((maxLength !== undefined) && (value.length > maxLength)) {
+      fail('maxLength', `${this.modelKey} must be at most ${maxLength} long`);
+    }
+    if (enumValues && !enumValues.includes(value)) {
+      fail('enum', `${this.modelKey} must be one of ${enumValues.join(', ')}`);
+    }
+    if ((min !== undefined) && (value < min)) {
+      fail('min', `${this.modelKey} must be at least ${min}`);
+    }
+    if ((max !== undefined) && (value > max)) {
+      fail('max', `${this.modelKey} must be at most ${max}`);
+    }
+    if (validate) {
+      const result = validate(value, model);
+      if ((result === false) || (typeof result === 'string')) {
+        fail('validate', (typeof result === 'string') ? result : `${this.modelKey} is invalid`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+  @param {Model} klass - The model class being queried.
+  @returns {String} - The SQL expression for the attribute's value in queries.
+  */
+  columnRefSQL(klass) {
+    return `\`${klass.name}\`.\`${this.jsonKey}\``;
+  }
+
+  /**
+  @returns {String} - The SQL for the attribute's term in a CREATE INDEX statement.
+  */
+  indexTermSQL() {
+    return `\`${this.sortKeyColumn() || this.jsonKey}\``;
+  }
+
+  /**
+  @returns {String} - The COLLATE clause for the attribute's collation, or an
+    empty string if it uses the default binary collation.
+  */
+  collateSQL() {
+    return collateSQL(this.collation);
+  }
+
+  /**
+  @returns {String} - The name of the hidden column that stores the sort keys
+    of an attribute with `collation: 'accentCaseInsensitiveOrder'`, or null for
+    other attributes.
+  */
+  sortKeyColumn() {
+    return (this.collation === 'accentCaseInsensitiveOrder') ? sortKeyColumn(this.jsonKey) : null;
+  }
+
+  /**
+  @param {Model} klass - The model class being queried.
+  @returns {String} - The SQL expression used to order the attribute's values
+    in sort orders and range comparisons.
+  */
+  sortRefSQL(klass) {
+    const sortKeyColumn = this.sortKeyColumn();
+    if (sortKeyColumn) {
+      return `\`${klass.name}\`.\`${sortKeyColumn}\``;
+    }
+    return `${this.columnRefSQL(klass)}${this.collateSQL()}`;
+  }
+
+  /**
+  @param value - A JSON value of the attribute.
+  @returns - The value that `sortRefSQL` is compared with.
+  */
+  sortKey(value) {
+    return this.sortKeyColumn() ? sortKey(value) : value;
+  }
+
+  /**
+  @param {Model} model - A model of the attribute's class.
+  @returns - The attribute's value on `model`, as compared by matchers and
+    sort orders.
+  */
+  valueForModel(model) {
+    return model[this.modelKey];
   }
 
   _assertPresentAndQueryable(fnName, val) {
@@ -23,6 +169,19 @@ export default class Attribute {
     }
   }
 
+  _assertQueryableColumn(fnName) {
+    if (!this.queryable || !this.columnSQL) {
+      throw new Error(`Attribute::${fnName} (${this.modelKey}) - this field is not stored in a queryable column`);
+    }
+  }
+
+  // SQLite can only find the smallest sort key, not the value it belongs to.
+  _assertNoSortKey(fnName) {
+    if (this.sortKeyColumn()) {
+      throw new Error(`Attribute::${fnName} (${this.modelKey}) - attributes with collation 'accentCaseInsensitiveOrder' can't be aggregated. Sort by the attribute and use limit(1) instead.`);
+    }
+  }
+
   /**
   @param val - The attribute value
   @returns {Matcher} - Matcher for objects `=` to the provided value.
@@ -71,6 +230,26 @@ export default class Attribute {
     return new SortOrder(this, 'ASC');
   }
 
+  /**
+  @returns {Aggregate} - The smallest value of this attribute, for use with
+    {ModelQuery#aggregate}.
+  */
+  min() {
+    this._assertQueryableColumn('min');
+    this._assertNoSortKey('min');
+    return new Aggregate(this, 'MIN');
+  }
+
+  /**
+  @returns {Aggregate} - The largest value of this attribute, for use with
+    {ModelQuery#aggregate}.
+  */
+  max() {
+    this._assertQueryableColumn('max');
+    this._assertNoSortKey('max');
+    return new Aggregate(this, 'MAX');
+  }
+
   toJSON(val) {
     return val;
   }
@@ -78,4 +257,12 @@ export default class Attribute {
   fromJSON(val) {
     return val || null;
   }
+
+  /**
+  Converts a value read directly from the attribute's column into a
+  Javascript value. Unlike `fromJSON`, null values are preserved.
+  */
+  fromColumn(val) {
+    return (val === null || val === undefined) ? null : this.fromJSON(val);
+  }
 }
@@ -0,0 +1,130 @@
+/**
+Attributes can declare a `collation` that is used to compare and sort their
+values, both in SQL and when matchers and sort orders are evaluated in
+Javascript:
+
+- `nocase`: ASCII characters are compared ignoring case, using SQLite's
+  built-in `NOCASE` collation.
+- `accentCaseInsensitiveOrder`: Strings are ordered ignoring accents and case,
+  so "apple" sorts before "Zebra" and "résumé" sorts next to "resume". Strings
+  are only equal if they are identical.
+
+Attributes without a collation use SQLite's default binary collation.
+
+`accentCaseInsensitiveOrder` is not locale-aware. Accents are removed by
+decomposing strings into base letters and combining marks, so letters that
+don't decompose, like "ß" or "ø", and non-Latin scripts are ordered by code
+point, after the ASCII letters. Language-specific rules, like Swedish "å", "ä"
+and "ö" sorting after "z", are not applied. Locale-aware ordering would need a
+custom SQLite collation, which better-sqlite3 can't register.
+
+Instead, these attributes store a sort key in a hidden column of the model
+table. Sort orders, range matchers and indexes use the sort key column, which
+is compared using the binary collation. The key orders strings by:
+
+1. Their lowercase letters, ignoring accents.
+2. Their lowercase letters, with accents sorting after unaccented letters.
+3. The strings themselves, so uppercase letters sort before lowercase ones.
+
+If the algorithm changes, bump `SortKeyVersion`. The sort key columns are
+named after the version, so the next time the database is opened new columns
+are added and backfilled, indexes are rebuilt on them, and the stale columns
+are cleared. SQLite can't drop columns, so stale columns are set to null.
+*/
+export const SortKeyVersion = 1;
+
+const Collations = ['nocase', 'accentCaseInsensitiveOrder'];
+
+// Sorts before every other character, so that shorter strings sort before
+// longer strings that start with them.
+const SortKeySeparator = '\u0001';
+
+const CombiningMarks = /[\u0300-\u036f]/g;
+
+function compareBinary(a, b) {
+  if (a < b) {
+    return -1;
+  }
+  return (a > b) ? 1 : 0;
+}
+
+// SQLite compares text as UTF-8 bytes, which orders strings by code point
+// rather than by UTF-16 code unit.
+function compareCodePoints(a, b) {
+  for (let i = 0; (i < a.length) && (i < b.length);) {
+    const ca = a.codePointAt(i);
+    const cb = b.codePointAt(i);
+    if (ca !== cb) {
+      return ca - cb;
+    }
+    i += (ca > 0xFFFF) ? 2 : 1;
+  }
+  return a.length - b.length;
+}
+
+// SQLite's NOCASE collation only folds the case of ASCII characters.
+export function asciiLowerCase(val) {
+  return `${val}`.replace(/[A-Z]/g, (c) => c.toLowerCase());
+}
+
+/**
+@returns - The sort key stored for a value of an `accentCaseInsensitiveOrder`
+  attribute. Values that aren't strings are stored as they are.
+*/
+export function sortKey(val) {
+  if (typeof val !== 'string') {
+    return val;
+  }
+  const lower = val.normalize('NFD').toLowerCase();
+  return [lower.replace(CombiningMarks, ''), lower, val].join(SortKeySeparator);
+}
+
+/**
+@returns {String} - The name of the column that stores the sort keys of the
+  `accentCaseInsensitiveOrder` attribute with the JSON key.
+*/
+export function sortKeyColumn(jsonKey) {
+  return `rxdb_sortkey_v${SortKeyVersion}_${jsonKey}`;
+}
+
+/**
+@returns {Boolean} - True if the column stores sort keys, of any version.
+  Columns written before the collation was renamed are included.
+*/
+export function isSortKeyColumn(column) {
+  return /^rxdb_(sortkey|locale)_v\d+_/.test(column);
+}
+
+export function assertValidCollation(collation, modelKey) {
+  if (collation && !Collations.includes(collation)) {
+    throw new Error(`Attribute (${modelKey}) - collation must be one of ${Collations.join(', ')}, received ${collation}`);
+  }
+}
+
+/**
+@returns {String} - The COLLATE clause used to compare values for equality, or
+  an empty string for the binary collation. `accentCaseInsensitiveOrder`
+  strings are only equal if they are identical, so they are compared using the
+  binary collation.
+*/
+export function collateSQL(collation) {
+  if (collation === 'nocase') {
+    return ' COLLATE NOCASE';
+  }
+  return '';
+}
+
+/**
+Compares two strings the way SQLite compares them using the collation.
+@returns {Number} - Negative if `a` sorts before `b`, positive if it sorts
+  after `b`, and zero if they're equal.
+*/
+export function compareStrings(a, b, collation) {
+  if (collation === 'nocase') {
+    return compareBinary(asciiLowerCase(a), asciiLowerCase(b));
+  }
+  if (collation === 'accentCaseInsensitiveOrder') {
+    return compareCodePoints(sortKey(a), sortKey(b));
+  }
+  return compareBinary(a, b);
+}
@@ -1,16 +1,23 @@
 import Matcher from './matcher'
 import SortOrder from './sort-order'
+import Aggregate from './aggregate'
 import AttributeNumber from './attribute-number'
 import AttributeString from './attribute-string'
 import AttributeObject from './attribute-object'
+import AttributeObjectPath from './attribute-object-path'
 import AttributeBoolean from './attribute-boolean'
 import AttributeDateTime from './attribute-datetime'
 import AttributeCollection from './attribute-collection'
 import AttributeJoinedData from './attribute-joined-data'
+import AttributeComputed from './attribute-computed'
+import AttributeRelation from './attribute-relation'
+import AttributeBelongsTo from './attribute-belongs-to'
+import AttributeHasMany from './attribute-has-many'
 
 module.exports = {
   Matcher: Matcher,
   SortOrder: SortOrder,
+  Aggregate: Aggregate,
 
   Number: (...args) => new AttributeNumber(...args),
   String: (...args) => new AttributeString(...args),
@@ -19,12 +26,20 @@ module.exports = {
   DateTime: (...args) => new AttributeDateTime(...args),
   Collection: (...args) => new AttributeCollection(...args),
   JoinedData: (...args) => new AttributeJoinedData(...args),
+  Computed: (...args) => new AttributeComputed(...args),
+  BelongsTo: (...args) => new AttributeBelongsTo(...args),
+  HasMany: (...args) => new AttributeHasMany(...args),
 
   AttributeNumber: AttributeNumber,
   AttributeString: AttributeString,
   AttributeObject: AttributeObject,
+  AttributeObjectPath: AttributeObjectPath,
   AttributeBoolean: AttributeBoolean,
   AttributeDateTime: AttributeDateTime,
   AttributeCollection: AttributeCollection,
   AttributeJoinedData: AttributeJoinedData,
+  AttributeComputed: AttributeComputed,
+  AttributeRelation: AttributeRelation,
+  AttributeBelongsTo: AttributeBelongsTo,
+  AttributeHasMany: AttributeHasMany,
 };
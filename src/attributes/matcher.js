@@ -1,12 +1,110 @@
 import {tableNameForJoin} from '../utils';
-
-// https://www.sqlite.org/faq.html#q14
-// That's right. Two single quotes in a row…
-export const singleQuoteEscapeSequence = "''";
+import {asciiLowerCase, compareStrings} from './collation';
 
 // https://www.sqlite.org/fts5.html#section_3
 export const doubleQuoteEscapeSequence = '""';
 
+// Converts a matcher value into a value SQLite can bind. Dates are stored
+// as seconds since the epoch, and SQLite has no boolean type.
+function bindableValue(val) {
+  if (val instanceof Date) {
+    return val.getTime() / 1000;
+  }
+  if (val === true) {
+    return 1;
+  }
+  if (val === false) {
+    return 0;
+  }
+  return val;
+}
+
+// Dates can't be compared with ===, so compare their timestamps instead.
+function comparableValue(val) {
+  if (val instanceof Date) {
+    return val.getTime();
+  }
+  return (val === undefined) ? null : val;
+}
+
+// LIKE treats % and _ as wildcards. Matcher values are matched literally, so
+// they're escaped using `\` (see the ESCAPE clause in whereSQL).
+function escapeLike(val) {
+  return `${val}`.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+// GLOB treats *, ? and [ as wildcards. Wrapping them in brackets matches them literally.
+function escapeGlob(val) {
+  return `${val}`.replace(/[*?[]/g, (c) => `[${c}]`);
+}
+
+// Returns the smallest string greater than every string starting with `prefix`,
+// so that prefixes can be matched with a range that SQLite can use an index for.
+// Returns null if there is no such string.
+//
+// SQLite compares text as UTF-8 bytes, which orders strings by code point, so
+// the last code point is incremented. Surrogates can't be encoded in UTF-8, so
+// the code point after U+D7FF is U+E000. U+10FFFF can't be incremented, so it
+// is dropped and the code point before it is incremented instead.
+function prefixUpperBound(prefix) {
+  const codePoints = Array.from(prefix).map((c) => c.codePointAt(0));
+  while ((codePoints.length > 0) && (codePoints[codePoints.length - 1] === 0x10FFFF)) {
+    codePoints.pop();
+  }
+  if (codePoints.length === 0) {
+    return null;
+  }
+  let next = codePoints.pop() + 1;
+  if ((next >= 0xD800) && (next <= 0xDFFF)) {
+    next = 0xE000;
+  }
+  return String.fromCodePoint(...codePoints, next);
+}
+
+// The NOCASE collation compares strings as if ASCII letters were lowercase, so
+// prefixes are matched using the lowercased prefix. Incrementing '@' produces
+// 'A', which NOCASE treats as 'a', so '[' (the next character after 'Z') is used.
+function nocasePrefixUpperBound(prefix) {
+  const upperBound = prefixUpperBound(prefix);
+  if (upperBound && upperBound.endsWith('A')) {
+    return `${upperBound.substr(0, upperBound.length - 1)}[`;
+  }
+  return upperBound;
+}
+
+// Converts a GLOB pattern into an equivalent regular expression.
+function globRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*') {
+      source += '[\\s\\S]*';
+    } else if (c === '?') {
+      source += '[\\s\\S]';
+    } else if (c === '[') {
+      // A leading ^ negates the set, and a leading ] is part of the set
+      const start = (pattern[i + 1] === '^') ? i + 2 : i + 1;
+      const end = pattern.indexOf(']', start + 1);
+      if (end === -1) {
+        // SQLite never matches a pattern with an unterminated set
+        return /(?!)/;
+      }
+      const set = pattern.substring(start, end).replace(/[\\\]^]/g, (s) => `\\${s}`);
+      source += `[${(start === i + 2) ? '^' : ''}${set}]`;
+      i = end;
+    } else {
+      source += c.replace(/[.*+?^${}()|[\]\\]/g, (s) => `\\${s}`);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Array values are bound as a single JSON parameter and expanded with json_each,
+// so the SQL is the same regardless of the number of items in the array.
+function bindableArrayValue(val) {
+  return JSON.stringify(val.map(bindableValue));
+}
+
 
 /**
 The Matcher class encapsulates a particular comparison clause on an {@link Attribute}.
@@ -59,12 +157,36 @@ class Matcher {
   }
 
   evaluate(model) {
-    let modelValue = model[this.attr.modelKey];
+    let modelValue = this.attr.valueForModel(model);
     if (modelValue instanceof Function) {
       modelValue = modelValue()
     }
     const matcherValue = this.val;
 
+    // In SQL, comparisons with NULL are never true. (Use IS / IS NOT instead.)
+    const modelValueIsNull = (modelValue === null) || (modelValue === undefined);
+
+    // Strings are compared using the attribute's collation, like they are in SQL.
+    // Returns null if the values aren't compared using a collation.
+    const {collation} = this.attr;
+    const collatedComparison = (val) => {
+      if (!collation || (typeof modelValue !== 'string') || (typeof val !== 'string')) {
+        return null;
+      }
+      return compareStrings(modelValue, val, collation);
+    };
+    const isEqual = (val) => {
+      const comparison = collatedComparison(val);
+      return (comparison !== null) ? (comparison === 0) : (comparableValue(modelValue) === comparableValue(val));
+    };
+
+    // For ordering comparisons, a collated comparison is compared against zero.
+    const comparison = collatedComparison(matcherValue);
+    const left = (comparison !== null) ? comparison : comparableValue(modelValue);
+    const right = (comparison !== null) ? 0 : comparableValue(matcherValue);
+    const nocase = (collation === 'nocase');
+    const folded = (val) => (nocase ? asciiLowerCase(val) : `${val}`);
+
     // Given an array of strings or models, and a string or model search value,
     // will find if a match exists.
     const modelArrayContainsValue = (array, searchItem) => {
@@ -80,25 +202,37 @@ class Matcher {
 
     switch (this.comparator) {
       case '=':
-        return modelValue === matcherValue
+        return isEqual(matcherValue)
+      case '!=':
+        return !modelValueIsNull && !isEqual(matcherValue)
+      case 'IS':
+        return isEqual(matcherValue)
+      case 'IS NOT':
+        return !isEqual(matcherValue)
       case '<':
-        return modelValue < matcherValue
+        return !modelValueIsNull && left < right
       case '>':
-        return modelValue > matcherValue
+        return !modelValueIsNull && left > right
       case '<=':
-        return modelValue <= matcherValue
+        return !modelValueIsNull && left <= right
       case '>=':
-        return modelValue >= matcherValue
+        return !modelValueIsNull && left >= right
       case 'in':
-        return matcherValue.includes(modelValue)
+        return !!matcherValue.find((val) => isEqual(val))
       case 'contains':
         return modelArrayContainsValue(modelValue, matcherValue)
       case 'containsAny':
         return !!matcherValue.find((submatcherValue) => modelArrayContainsValue(modelValue, submatcherValue))
       case 'startsWith':
-        return modelValue.startsWith(matcherValue)
+        return !modelValueIsNull && folded(modelValue).startsWith(folded(matcherValue))
+      case 'endsWith':
+        return !modelValueIsNull && folded(modelValue).endsWith(folded(matcherValue))
       case 'like':
-        return modelValue.search(new RegExp(`.*${matcherValue}.*`, "gi")) >= 0
+        return !modelValueIsNull && asciiLowerCase(modelValue).includes(asciiLowerCase(matcherValue))
+      case 'notLike':
+        return !modelValueIsNull && !asciiLowerCase(modelValue).includes(asciiLowerCase(matcherValue))
+      case 'glob':
+        return !modelValueIsNull && globRegExp(matcherValue).test(`${modelValue}`)
       default:
         throw new Error(`Matcher.evaulate() not sure how to evaluate ${this.attr.modelKey} with comparator ${this.comparator}`)
     }
@@ -121,40 +255,72 @@ class Matcher {
     }
   }
 
-  whereSQL(klass) {
-    const val = (this.comparator === "like") ? `%${this.val}%` : this.val;
-    let escaped = null;
-
-    if (typeof val === 'string') {
-      escaped = `'${val.replace(/'/g, singleQuoteEscapeSequence)}'`;
-    } else if (val === true) {
-      escaped = 1
-    } else if (val === false) {
-      escaped = 0
-    } else if (val instanceof Date) {
-      escaped = val.getTime() / 1000
-    } else if (val instanceof Array) {
-      const escapedVals = []
-      for (const v of val) {
-        if (typeof v !== 'string') {
-          throw new Error(`${this.attr.jsonKey} value ${v} must be a string.`);
+  /**
+  @param {Model} klass - The model class being queried.
+  @param {Array} params - The matcher's values are appended to this array, in
+    the order of the `?` placeholders in the returned SQL.
+  @returns {String} - The SQL for the matcher's where clause.
+  */
+  whereSQL(klass, params) {
+    const column = this.attr.columnRefSQL(klass);
+    const nocase = (this.attr.collation === 'nocase');
+
+    switch (this.comparator) {
+      case 'startsWith': {
+        // A range comparison rather than LIKE, so that an index on the column can be used.
+        // Strings that start with the prefix don't have adjacent sort keys, so
+        // `accentCaseInsensitiveOrder` attributes use the binary collation.
+        const prefix = nocase ? asciiLowerCase(this.val) : this.val;
+        const upperBound = nocase ? nocasePrefixUpperBound(prefix) : prefixUpperBound(prefix);
+        const collated = nocase ? `${column} COLLATE NOCASE` : column;
+        params.push(prefix);
+        if (upperBound === null) {
+          return `${collated} >= ?`;
         }
-        escapedVals.push(`'${v.replace(/'/g, singleQuoteEscapeSequence)}'`);
+        params.push(upperBound);
+        return `(${collated} >= ? AND ${collated} < ?)`;
       }
-      escaped = `(${escapedVals.join(',')})`;
+      case 'endsWith':
+        if (nocase) {
+          // LIKE ignores the case of ASCII characters, just like NOCASE.
+          params.push(`%${escapeLike(this.val)}`);
+          return `${column} like ? ESCAPE '\\'`;
+        }
+        params.push(`*${escapeGlob(this.val)}`);
+        return `${column} GLOB ?`;
+      case 'glob':
+        params.push(this.val);
+        return `${column} GLOB ?`;
+      case 'like':
+      case 'notLike':
+        params.push(`%${escapeLike(this.val)}%`);
+        return `${column} ${(this.comparator === 'like') ? 'like' : 'not like'} ? ESCAPE '\\'`;
+      default:
+        break;
+    }
+
+    // Range comparisons order values the way sort orders do, which for
+    // `accentCaseInsensitiveOrder` attributes means comparing sort keys.
+    const isRange = ['<', '>', '<=', '>='].includes(this.comparator);
+
+    let placeholder = '?';
+    if (this.val instanceof Array) {
+      placeholder = '(SELECT `value` FROM json_each(?))';
+      params.push(bindableArrayValue(this.val));
     } else {
-      escaped = val;
+      params.push(bindableValue(isRange ? this.attr.sortKey(this.val) : this.val));
     }
 
     switch (this.comparator) {
-      case 'startsWith':
-        return " RAISE `TODO`; ";
       case 'contains':
-        return `\`${this.joinTableRef()}\`.\`value\` = ${escaped}`;
+        return `\`${this.joinTableRef()}\`.\`value\` = ${placeholder}`;
       case 'containsAny':
-        return `\`${this.joinTableRef()}\`.\`value\` IN ${escaped}`;
+        return `\`${this.joinTableRef()}\`.\`value\` IN ${placeholder}`;
       default:
-        return `\`${klass.name}\`.\`${this.attr.jsonKey}\` ${this.comparator} ${escaped}`;
+        if (isRange) {
+          return `${this.attr.sortRefSQL(klass)} ${this.comparator} ${placeholder}`;
+        }
+        return `${column}${this.attr.collateSQL()} ${this.comparator} ${placeholder}`;
     }
   }
 }
@@ -194,8 +360,8 @@ class OrCompositeMatcher extends Matcher {
     return (joins.length) ? joins.join(" ") : false;
   }
 
-  whereSQL(klass) {
-    const wheres = this.children.map((matcher) => matcher.whereSQL(klass));
+  whereSQL(klass, params) {
+    const wheres = this.children.map((matcher) => matcher.whereSQL(klass, params));
     return `(${wheres.join(" OR ")})`;
   }
 }
@@ -233,8 +399,8 @@ class AndCompositeMatcher extends Matcher {
     return joins;
   }
 
-  whereSQL(klass) {
-    const wheres = this.children.map((m) => m.whereSQL(klass));
+  whereSQL(klass, params) {
+    const wheres = this.children.map((m) => m.whereSQL(klass, params));
     return `(${wheres.join(" AND ")})`;
   }
 }
@@ -244,8 +410,8 @@ This subclass is publicly exposed as Matcher.Not.
 @private
 */
 class NotCompositeMatcher extends AndCompositeMatcher {
-  whereSQL(klass) {
-    return `NOT (${super.whereSQL(klass)})`;
+  whereSQL(klass, params) {
+    return `NOT (${super.whereSQL(klass, params)})`;
   }
 }
 
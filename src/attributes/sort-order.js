@@ -20,7 +20,7 @@ export default class SortOrder {
   }
 
   orderBySQL(klass) {
-    return `\`${klass.name}\`.\`${this.attr.jsonKey}\` ${this.direction}`;
+    return `${this.attr.sortRefSQL(klass)} ${this.direction}`;
   }
 
   attribute() {
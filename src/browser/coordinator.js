@@ -1,4 +1,4 @@
-import {BrowserWindow, ipcMain} from 'electron';
+/* eslint global-require: 0 */
 import fs from 'fs';
 
 /**
@@ -10,51 +10,47 @@ files when they need to be created before use. Just import it and instantiate on
 import {Coordinator} from 'electron-rxdb';
 global._coordinator = new Coordinator();
 ```
+
+To coordinate databases outside of Electron, pass a coordinator transport,
+like `Transports.InProcessCoordinatorTransport`. Databases must then be
+created with a client transport connected to it.
 */
 export default class Coordinator {
-  constructor() {
+  constructor({transport} = {}) {
     this._phase = 'setup';
+    this._transport = transport || new (require('../transports/electron-transport').ElectronCoordinatorTransport)();
 
-    ipcMain.on('rxdb-get-phase', (event) => {
-      event.returnValue = this._phase;
+    this._transport.on('get-phase', (reply) => {
+      reply(this._phase);
     });
 
-    ipcMain.on('rxdb-set-phase', (event, phase) => {
+    this._transport.on('set-phase', (phase) => {
       this.setPhase(phase);
     });
 
-    ipcMain.on('rxdb-handle-setup-error', () => {
-      this.recoverFromFatalDatabaseError();
+    this._transport.on('setup-error', (databasePath) => {
+      this.recoverFromFatalDatabaseError(databasePath);
     });
 
-    ipcMain.on('rxdb-trigger', (event, ...args) => {
-      const sender = BrowserWindow.fromWebContents(event.sender);
-      BrowserWindow.getAllWindows().forEach((win) => {
-        if (win !== sender) {
-          win.webContents.send('rxdb-trigger', ...args);
-        }
-      });
+    this._transport.on('trigger', (payload, sender) => {
+      this._transport.broadcastTrigger(payload, sender);
     });
   }
 
   setPhase(phase) {
     this._phase = phase;
-    BrowserWindow.getAllWindows().forEach((win) => {
-      win.webContents.send('rxdb-phase-changed', phase);
-    });
+    this._transport.broadcastPhase(phase);
   }
 
   recoverFromFatalDatabaseError(databasePath) {
     setTimeout(() => {
-      if (this._databasePhase === 'close') {
+      if (this._phase === 'close') {
         return;
       }
       this.setPhase('close');
       this.deleteDatabase(databasePath, () => {
         this.setPhase('setup');
-        BrowserWindow.getAllWindows().forEach((win) => {
-          win.reload();
-        });
+        this._transport.reloadClients();
       });
     }, 0);
   }
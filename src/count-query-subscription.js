@@ -0,0 +1,80 @@
+import QuerySubscription from './query-subscription';
+
+/**
+CountQuerySubscription keeps the result of a `COUNT` query up to date. Only the
+count is kept in memory, so change records can't tell whether a persisted model
+was already counted, and the count is queried again when models of the class
+are persisted. Unpersisted models are checked with `Model.matches`, and the
+count is only queried again if one of them could have been counted. Queries
+with matchers that can't be evaluated in Javascript, like full-text search,
+are counted again whenever models of the class change.
+
+You shouldn't need to instantiate this class directly. Call `observe` on a
+count query:
+
+```js
+db.count(Thread, {unread: true}).observe().subscribe((count) => {
+  // update the badge
+});
+```
+
+@private
+*/
+export default class CountQuerySubscription extends QuerySubscription {
+  constructor(query, options = {}) {
+    super(null, options);
+
+    this._query = query;
+    this._count = null;
+    this._query.finalize();
+    this._canEvaluateMatchers = this._query.matchersFlattened().every((m) => !!m.attribute());
+    this.update();
+  }
+
+  _processChangeRecords = () => {
+    if (this._queuedChangeRecords.length === 0) {
+      return;
+    }
+    const records = this._queuedChangeRecords;
+    this._queuedChangeRecords = [];
+
+    if (records.some((record) => this._recordMayChangeCount(record))) {
+      this.update();
+    }
+  }
+
+  // Unpersisted models that don't match the query weren't counted. Any other
+  // change may have added or removed a model from the count.
+  _recordMayChangeCount(record) {
+    if (!this._canEvaluateMatchers || (record.type !== 'unpersist')) {
+      return true;
+    }
+    return record.objects.some((item) => item.matches(this._query.matchers()));
+  }
+
+  update() {
+    this._updateInFlight = true;
+
+    const version = this._queryVersion;
+    this._query._database.run(this._query).then((count) => {
+      if (this._queryVersion !== version) {
+        return;
+      }
+      this._count = count;
+      this._createResultAndTrigger();
+    });
+  }
+
+  _createResultAndTrigger = () => {
+    if (this._count !== this._lastResult) {
+      this._lastResult = this._count;
+      this._callbacks.forEach((callback) => callback(this._lastResult));
+    }
+
+    // process any additional change records that have arrived
+    if (this._updateInFlight) {
+      this._updateInFlight = false;
+      this._processChangeRecords();
+    }
+  }
+}
@@ -1,27 +1,118 @@
 /* eslint global-require:0 */
 /* eslint import/newline-after-import:0 */
+import PromiseQueue from 'promise-queue';
 import Model from './model';
-import {tableNameForJoin} from './utils';
+import ModelQuery from './query';
+import {tableNameForJoin, REVISION_COLUMN} from './utils';
 
 import Attributes from './attributes';
+import {asciiLowerCase} from './attributes/collation';
 import DatabaseChangeRecord from './database-change-record';
 
 require('promise.prototype.finally').shim();
 require('promise.try').shim()
 
-const {AttributeCollection, AttributeJoinedData} = Attributes;
+const {AttributeCollection, AttributeJoinedData, AttributeComputed, AttributeRelation, AttributeHasMany} = Attributes;
+
+// SQLite allows at most 999 bound parameters per statement
+// (SQLITE_MAX_VARIABLE_NUMBER), so queries for large sets of ids are split
+// into chunks.
+const IDS_PER_QUERY = 500;
+
+/**
+Thrown by {DatabaseTransaction::persistModels} when models fail the
+validations declared on their attributes. `errors` lists every failing
+attribute, as `{objectClass, id, attribute, rule, message}` objects.
+*/
+export class ValidationError extends Error {
+  constructor(errors) {
+    super(`Validation failed: ${errors.map((e) => `${e.objectClass} ${e.id}: ${e.message}`).join('; ')}`);
+    this.errors = errors;
+  }
+}
+
+/**
+Thrown by {DatabaseTransaction::persistModels} when a model of a versioned
+class was modified in the database after it was loaded.
+*/
+export class ConflictError extends Error {
+  constructor({objectClass, id, expectedRevision, storedRevision}) {
+    super(`${objectClass} ${id} was modified after it was loaded (revision ${storedRevision}, expected ${expectedRevision})`);
+    this.objectClass = objectClass;
+    this.id = id;
+    this.expectedRevision = expectedRevision;
+    this.storedRevision = storedRevision;
+  }
+}
+
+/**
+Thrown by {DatabaseTransaction::persistModels} when a model has the same
+value for a `unique` attribute as another model, and the `onConflict`
+strategy is 'fail'. `existingId` is the id of the other model. If SQLite
+reported the conflict but the other model couldn't be found, only
+`objectClass` and `attribute` are set.
+*/
+export class UniqueConstraintError extends Error {
+  constructor({objectClass, id, attribute, value, existingId}) {
+    super((existingId === undefined)
+      ? `${objectClass} ${attribute} must be unique`
+      : `${objectClass} ${id} has the same ${attribute} as ${existingId} (${value})`);
+    this.objectClass = objectClass;
+    this.id = id;
+    this.attribute = attribute;
+    this.value = value;
+    this.existingId = existingId;
+  }
+}
+
+/**
+Thrown when unpersisting models that have related models through a HasMany
+attribute declared with `onDelete: 'restrict'`.
+*/
+export class DeleteRestrictedError extends Error {
+  constructor({objectClass, attribute, relatedClass, relatedIds}) {
+    super(`Cannot unpersist ${objectClass} models with ${relatedClass} models in ${attribute} (${relatedIds.join(', ')})`);
+    this.objectClass = objectClass;
+    this.attribute = attribute;
+    this.relatedClass = relatedClass;
+    this.relatedIds = relatedIds;
+  }
+}
+
+// Values that are equal in a unique attribute's collation conflict with each other.
+function uniqueKeyFor(attr, value) {
+  const json = attr.toJSON(value);
+  return JSON.stringify(((attr.collation === 'nocase') && (typeof json === 'string')) ? asciiLowerCase(json) : json);
+}
+
+// Returns the columns named by a UNIQUE constraint failure reported by
+// SQLite, or null if `err` is a different error.
+function uniqueFailureIn(err) {
+  const message = (err && err.message) || '';
+  const idx = message.lastIndexOf('UNIQUE constraint failed: ');
+  if (idx === -1) {
+    return null;
+  }
+  return message.slice(idx + 'UNIQUE constraint failed: '.length).split(',').map((column) =>
+    column.trim().split('.').pop()
+  );
+}
 
 /**
 DatabaseTransaction exposes a convenient API for querying and modifying an RxDB
 within a SQLite transaction.
 
 You shouldn't need to instantiate this class directly. Instead, use
-RxDatabase#inTransaction.
+RxDatabase#inTransaction, or DatabaseTransaction#inTransaction to open a
+nested transaction.
 */
 export default class DatabaseTransaction {
-  constructor(database) {
+  constructor(database, {parent} = {}) {
     this.database = database;
+    this._parent = parent || null;
+    this._depth = parent ? parent._depth + 1 : 0;
     this._changeRecords = [];
+    this._childQueue = new PromiseQueue(1, Infinity);
     this._opened = false;
   }
 
@@ -33,27 +124,91 @@ export default class DatabaseTransaction {
   findAll(...args) { return this.database.findAll(...args) }
   modelify(...args) { return this.database.modelify(...args) }
   count(...args) { return this.database.count(...args) }
+  aggregate(...args) { return this.database.aggregate(...args) }
   findJSONBlob(...args) { return this.database.findJSONBlob(...args) }
 
+  /**
+  Runs `fn` inside a SQLite transaction. If `fn` resolves, the transaction is
+  committed and the accumulated change records are relayed to the database.
+  If `fn` (or the COMMIT) fails, the transaction is rolled back, the change
+  records are discarded, and the returned promise rejects with the original error.
+
+  Nested transactions use a SQLite SAVEPOINT instead. Their change records are
+  handed to the parent transaction when the savepoint is released, and are only
+  relayed to the database if the outermost transaction commits.
+  */
   execute(fn) {
     if (this._opened) {
       throw new Error("DatabaseTransaction:execute was already called");
     }
 
-    return this._query("BEGIN IMMEDIATE TRANSACTION").then(() => {
+    return this._query(this._beginSQL()).then(() => {
       this._opened = true;
-      return fn(this);
-    }).finally(() => {
+      return Promise.try(() => fn(this));
+    }).then((result) => {
+      return this._query(this._commitSQL()).then(() => {
+        this._opened = false;
+        if (this._parent) {
+          this._parent._changeRecords.push(...this._changeRecords);
+        } else {
+          this.database.transactionDidCommitChanges(this._changeRecords);
+        }
+        return result;
+      });
+    }).catch((err) => {
       if (!this._opened) {
-        return null;
+        throw err;
       }
       this._opened = false;
-      return this._query("COMMIT").then(() => {
-        this.database.transactionDidCommitChanges(this._changeRecords);
+      this._changeRecords = [];
+      return this._rollback().catch((rollbackErr) => {
+        // SQLite may have already rolled back the transaction on its own
+        // (for example after SQLITE_FULL), in which case ROLLBACK fails.
+        if (!process.env.CI) {
+          console.warn(`DatabaseTransaction: ROLLBACK failed: ${rollbackErr.toString()}`);
+        }
+      }).then(() => {
+        throw err;
       });
     });
   }
 
+  /**
+  Opens a nested transaction within this one and executes `fn` inside it. Use
+  this instead of RxDatabase#inTransaction when you're already inside a
+  transaction - RxDatabase#inTransaction waits for this transaction to finish
+  and would never run.
+
+  If `fn` fails, only the changes made inside the nested transaction are rolled
+  back, and the returned promise rejects. The outer transaction can catch the
+  error and carry on. Nested transactions opened on the same transaction run
+  one at a time.
+
+  ```js
+  database.inTransaction((t) => {
+    return t.persistModel(thread).then(() =>
+      t.inTransaction((nested) => nested.persistModels(messages)).catch(() => {
+        // the thread is still saved
+      })
+    );
+  });
+  ```
+
+  @param {Function} fn - A callback that will be executed inside the nested
+    transaction. It receives a {DatabaseTransaction}.
+
+  @returns {Promise} - A promise that resolves with the value returned by `fn`
+    once the savepoint has been released.
+  */
+  inTransaction(fn) {
+    if (!this._opened) {
+      throw new Error("DatabaseTransaction::inTransaction - This transaction is not open.");
+    }
+    return this._childQueue.add(() =>
+      new DatabaseTransaction(this.database, {parent: this}).execute(fn)
+    );
+  }
+
   // Mutating the Database
 
   persistJSONBlob(id, json) {
@@ -72,18 +227,58 @@ export default class DatabaseTransaction {
     - rejects if any databse query fails or one of the triggering
       callbacks failed
   */
-  persistModel(model) {
+  persistModel(model, options) {
     if (!model || !(model instanceof Model)) {
       throw new Error("DatabaseTransaction::persistModel - You must pass an instance of the Model class.");
     }
-    return this.persistModels([model]);
+    return this.persistModels([model], options);
   }
 
   /**
-  Asynchronously writes `models` to the cache and triggers a single change
-  event. Note: Models must be of the same class to be persisted in a batch operation.
+  Asynchronously writes `models` to the cache. Models may be of different
+  classes: they are grouped by class, each group is written in batches, and
+  one change event is triggered for each class.
+
+  If a model's class is `versioned`, the revision the model was loaded with is
+  compared to the one in the database. If they differ, `resolveConflict` is
+  called with the model and the stored model, and can return the model to
+  write instead (or a promise for it). Otherwise, the promise rejects with a
+  {ConflictError}. Models are given their new revision once they're written.
+
+  ```js
+  t.persistModel(note, {
+    resolveConflict: (local, stored) => Object.assign(stored, {body: local.body}),
+  });
+  ```
 
   @param {Array} models - An {Array} of {Model} objects to write to the database.
+  @param {Object} options
+  @param {Function} options.resolveConflict - Optional. Called to merge
+    conflicting changes to versioned models.
+  @param {String} options.onConflict - Optional. How to resolve conflicts on
+    `unique` attributes.
+
+  Models are validated before anything is written (see {Model::validate}). If
+  any model is invalid, the promise rejects with a {ValidationError}.
+
+  If the class has `unique` attributes, models that share a unique value with
+  a stored model of a different id are resolved using `onConflict`. Conflicts
+  are detected by SQLite's unique indexes as the models are written, and
+  stored models are only loaded once SQLite reports a conflict:
+
+   - 'fail' (default): Reject with a {UniqueConstraintError}.
+   - 'ignore': Skip the model and keep the stored one.
+   - 'replace': Remove the stored model and write the model. Models related
+     to the stored model through HasMany attributes with an `onDelete` rule
+     are moved to the model, rather than having the rule applied.
+   - 'merge': Write the model's values onto the stored model, keeping the
+     stored id. Attributes the model doesn't define, or that only hold their
+     `defaultValue`, keep their stored values, and the model you passed is
+     given the stored id.
+
+  ```js
+  t.persistModels(contactsFromServer, {onConflict: 'merge'});
+  ```
 
   @returns {Promise} - A promise that:
     - resolves after the database queries are complete and any listening
@@ -91,50 +286,81 @@ export default class DatabaseTransaction {
     - rejects if any databse query fails or one of the triggering
       callbacks failed
   */
-  persistModels(models = []) {
+  persistModels(models = [], {resolveConflict, onConflict = 'fail'} = {}) {
     if (models.length === 0) {
       return Promise.resolve();
     }
 
-    const klass = models[0].constructor;
-    const clones = [];
-    const ids = {};
-
-    if (!(models[0] instanceof Model)) {
-      throw new Error(`DatabaseTransaction::persistModels - You must pass an array of items which descend from the Model class.`);
-    }
+    // Group the models by class, preserving the order in which each class
+    // first appears. Each group is written and reported separately.
+    const groups = {};
+    const groupOrder = [];
 
     for (const model of models) {
-      if (!model || (model.constructor !== klass)) {
-        throw new Error(`DatabaseTransaction::persistModels - When you batch persist objects, they must be of the same type`);
+      if (!model || !(model instanceof Model)) {
+        throw new Error(`DatabaseTransaction::persistModels - You must pass an array of items which descend from the Model class.`);
+      }
+      const klass = model.constructor;
+      if (model.isPartial()) {
+        throw new Error(`DatabaseTransaction::persistModels - ${klass.name} ${model.id} is a partial model loaded with query.select() and cannot be persisted.`);
       }
-      if (ids[model.id]) {
+      let group = groups[klass.name];
+      if (!group) {
+        group = groups[klass.name] = {klass, models: [], clones: [], ids: {}};
+        groupOrder.push(group);
+      }
+      if (group.klass !== klass) {
+        throw new Error(`DatabaseTransaction::persistModels - Two different classes are named ${klass.name}.`);
+      }
+      if (group.ids[model.id]) {
         throw new Error(`DatabaseTransaction::persistModels - You must pass an array of models with different ids. ID ${model.id} is in the set multiple times.`)
       }
-      clones.push(model.clone());
-      ids[model.id] = true;
+      group.models.push(model);
+      group.clones.push(model.clone().compute());
+      group.ids[model.id] = true;
     }
 
-    // Note: It's important that we clone the objects since other code could mutate
-    // them during the save process. We want to guaruntee that the models you send to
-    // persistModels are saved exactly as they were sent.
-    const metadata = {
-      objectClass: clones[0].constructor.name,
-      objectIds: Object.keys(ids),
-      objects: clones,
-      type: 'persist',
-    };
+    const invalid = this._validationErrors(groupOrder.reduce((all, group) => all.concat(group.clones), []));
+    if (invalid) {
+      return Promise.reject(invalid);
+    }
 
-    return this._runMutationHooks('beforeDatabaseChange', metadata).then((data) => {
-      return this._writeModels(clones).then(() => {
-        this._runMutationHooks('afterDatabaseChange', metadata, data);
-        return this._changeRecords.push(new DatabaseChangeRecord(this.database, metadata));
+    const persistGroup = ({klass, models: originals, clones}) => {
+      let write = null;
+      if (this._uniqueAttributes(klass).length) {
+        if (!['fail', 'ignore', 'replace', 'merge'].includes(onConflict)) {
+          return Promise.reject(new Error(`DatabaseTransaction::persistModels - Unknown onConflict strategy ${onConflict}`));
+        }
+        const duplicate = this._batchUniqueConflict(klass, clones);
+        if (duplicate) {
+          return Promise.reject(duplicate);
+        }
+        write = (models) => this._writeUniqueModels(klass, models, onConflict);
+      }
+      const persist = (resolved) => this._persistModels(resolved, resolved.map((m) => m.id), write).then((written) => {
+        // Merged models take the id of the stored model they were merged into.
+        written.forEach((model, idx) => {
+          if (model) {
+            originals[idx].id = model.id;
+            if (klass.versioned) {
+              originals[idx].setRevision(model.__revision);
+            }
+          }
+        });
       });
-    });
+      return klass.versioned ? this._resolveRevisions(klass, clones, resolveConflict).then(persist) : persist(clones);
+    };
+
+    const [first, ...rest] = groupOrder;
+    return rest.reduce((promise, group) =>
+      promise.then(() => persistGroup(group))
+    , persistGroup(first));
   }
 
   /**
   Asynchronously removes `model` from the cache and triggers a change event.
+  Models related through HasMany attributes are cascaded, nullified or
+  restricted according to the attribute's `onDelete` rule.
 
   @param {Model} model - A {Model} to write to the database.
 
@@ -145,28 +371,237 @@ export default class DatabaseTransaction {
       callbacks failed
   */
   unpersistModel(model) {
-    const clone = model.clone();
-    const metadata = {
-      objectClass: clone.constructor.name,
-      objectIds: [clone.id],
-      objects: [clone],
-      type: 'unpersist',
+    if (!model || !(model instanceof Model)) {
+      throw new Error("DatabaseTransaction::unpersistModel - You must pass an instance of the Model class.");
     }
+    return this.unpersistModels([model]);
+  }
 
-    return this._runMutationHooks('beforeDatabaseChange', metadata).then((data) => {
-      return this._deleteModel(clone).then(() => {
-        this._runMutationHooks('afterDatabaseChange', metadata, data);
-        return this._changeRecords.push(new DatabaseChangeRecord(this.database, metadata));
+  /**
+  Asynchronously removes `models` from the cache and triggers a single change
+  event. The models are deleted in chunks using `IN (...)`, and mutation hooks
+  run once for the entire set. Note: Models must be of the same class.
+
+  @param {Array} models - An {Array} of {Model} objects to remove.
+
+  @returns {Promise} - A promise that:
+    - resolves after the database queries are complete and any listening
+      database callbacks have finished
+    - rejects if any databse query fails or one of the triggering
+      callbacks failed
+  */
+  unpersistModels(models = []) {
+    if (models.length === 0) {
+      return Promise.resolve();
+    }
+
+    const klass = models[0].constructor;
+    const clones = [];
+    const ids = {};
+
+    if (!(models[0] instanceof Model)) {
+      throw new Error(`DatabaseTransaction::unpersistModels - You must pass an array of items which descend from the Model class.`);
+    }
+
+    for (const model of models) {
+      if (!model || (model.constructor !== klass)) {
+        throw new Error(`DatabaseTransaction::unpersistModels - When you batch unpersist objects, they must be of the same type`);
+      }
+      if (!ids[model.id]) {
+        clones.push(model.clone());
+        ids[model.id] = true;
+      }
+    }
+
+    return this._unpersistModels(klass, clones);
+  }
+
+  /**
+  Asynchronously removes the models of class `klass` with the given `ids` from
+  the cache and triggers a single change event. The models are loaded first
+  so that mutation hooks and observers receive them. Ids that are not in the
+  cache are ignored.
+
+  @param {Class} klass - The {Model} subclass of the models to remove.
+  @param {Array} ids - The ids of the models to remove.
+
+  @returns {Promise} - A promise that resolves after the database queries are
+    complete, or rejects if any database query fails.
+  */
+  unpersistIds(klass, ids = []) {
+    if (!klass || !(klass.prototype instanceof Model)) {
+      throw new Error(`DatabaseTransaction::unpersistIds - You must pass a subclass of Model.`);
+    }
+    if (ids.length === 0) {
+      return Promise.resolve();
+    }
+    return this._loadModelsWithIds(klass, ids).then((models) =>
+      this._unpersistModels(klass, models)
+    );
+  }
+
+  /**
+  Sets the provided attribute values on every model matching `query`, using a
+  single UPDATE for the model table (and one for each affected join table or
+  joined data table), rather than writing each model individually.
+
+  ```js
+  t.updateAll(db.findAll(Thread).where({accountId: 'a'}), {starred: false});
+  ```
+
+  The ids of the matching models are loaded first, and then the models
+  themselves in chunks, so that mutation hooks and the change record contain
+  the updated models and observed queries update as usual. The UPDATE matches
+  the loaded ids rather than repeating the query's conditions, so the model,
+  join and joined data tables are updated for exactly the same models. If the
+  model class has computed attributes, their values are recalculated and the
+  models are updated with one UPDATE for each distinct set of computed values.
+
+  If `values` contains `unique` attributes, updated models that would share a
+  value with another model are resolved using `onConflict`, as in
+  `persistModels`. Only 'fail' and 'ignore' are supported: the UPDATE fails,
+  or skips the rows that would conflict. Setting a unique attribute to the
+  same value on several models is always rejected.
+
+  @param {ModelQuery} query - A query returning the models to update.
+  @param {Object} values - New attribute values, keyed by model key.
+  @param {Object} options
+  @param {String} options.onConflict - Optional. 'fail' (default) or 'ignore'.
+
+  @returns {Promise} - A promise that resolves with the number of models
+    updated once the database queries are complete.
+  */
+  updateAll(query, values, {onConflict = 'fail'} = {}) {
+    const klass = this._assertBulkQuery('updateAll', query);
+    const keys = Object.keys(values || {});
+    if (keys.length === 0) {
+      throw new Error(`DatabaseTransaction::updateAll - You must provide values to update`);
+    }
+    if (!['fail', 'ignore'].includes(onConflict)) {
+      throw new Error(`DatabaseTransaction::updateAll - Unknown onConflict strategy ${onConflict}`);
+    }
+    for (const key of keys) {
+      const attr = klass.attributes[key];
+      if (!attr || (key === 'id') || (attr instanceof AttributeComputed) || (attr instanceof AttributeRelation)) {
+        throw new Error(`DatabaseTransaction::updateAll - ${key} is not an attribute of ${klass.name} that can be updated`);
+      }
+    }
+    const hasComputedAttributes = Object.keys(klass.attributes).some((key) =>
+      klass.attributes[key] instanceof AttributeComputed
+    );
+
+    // Computed attributes are recalculated, so they may change too.
+    const updatesUniqueAttributes = this._uniqueAttributes(klass).some((attr) =>
+      keys.includes(attr.modelKey) || (attr instanceof AttributeComputed)
+    );
+
+    return this._loadBulkIds(query).then((ids) =>
+      this._loadModelsWithIds(klass, ids, query._includeJoinedData)
+    ).then((models) => {
+      if (models.length === 0) {
+        return 0;
+      }
+      const clones = models.map((model) => Object.assign(model.clone(), values).compute());
+      const invalid = this._validationErrors(clones);
+      if (invalid) {
+        throw invalid;
+      }
+      const duplicate = updatesUniqueAttributes && this._batchUniqueConflict(klass, clones);
+      if (duplicate) {
+        throw duplicate;
+      }
+      if (klass.versioned) {
+        clones.forEach((clone) => clone.setRevision((clone.__revision || 0) + 1));
+      }
+      const metadata = {
+        objectClass: klass.name,
+        objectIds: clones.map((m) => m.id),
+        objects: clones,
+        type: 'persist',
+      };
+      const groups = hasComputedAttributes ? this._groupByComputedValues(klass, clones, values) : [{ids: metadata.objectIds, values}];
+
+      return this._runMutationHooks('beforeDatabaseChange', metadata).then((data) => {
+        let write = null;
+        if (!updatesUniqueAttributes) {
+          write = Promise.all(groups.map((group) =>
+            this._updateModelsWithIds(klass, group.ids, group.values)
+          )).then(() => clones);
+        } else if (onConflict === 'ignore') {
+          write = this._updateModelsOrIgnore(klass, clones, groups);
+        } else {
+          write = this.inTransaction((nested) => Promise.all(groups.map((group) =>
+            nested._updateModelsWithIds(klass, group.ids, group.values)
+          ))).then(() => clones, (err) =>
+            this._rejectUniqueFailure(klass, clones, err)
+          );
+        }
+        return write.then((written) => {
+          this._recordWrittenModels(metadata, data, written);
+          return written.length;
+        });
       });
     });
   }
 
+  /**
+  Removes every model matching `query` from the cache. Like `unpersistModels`,
+  the models are deleted from the model table and each of its join and joined
+  data tables with `IN (...)` queries, rather than one model at a time.
+
+  The ids of the matching models are loaded first, and then the models
+  themselves in chunks, so that mutation hooks and the change record contain
+  the deleted models. The deletes match the loaded ids rather than repeating
+  the query's conditions, because once the model table rows are deleted the
+  conditions no longer find the join and joined data table rows.
+
+  @param {ModelQuery} query - A query returning the models to delete.
+
+  @returns {Promise} - A promise that resolves with the number of models
+    deleted once the database queries are complete.
+  */
+  deleteAll(query) {
+    const klass = this._assertBulkQuery('deleteAll', query);
+
+    return this._loadBulkIds(query).then((ids) =>
+      this._loadModelsWithIds(klass, ids, query._includeJoinedData)
+    ).then((models) => {
+      if (models.length === 0) {
+        return 0;
+      }
+      return this._unpersistModels(klass, models).then(() => models.length);
+    });
+  }
+
   // PRIVATE METHODS ////////////////////////////////////////////////////////
 
   _query = (...args) => {
     return this.database._query(...args);
   }
 
+  _savepointName() {
+    return `rxdb_sp_${this._depth}`;
+  }
+
+  _beginSQL() {
+    return this._parent ? `SAVEPOINT ${this._savepointName()}` : "BEGIN IMMEDIATE TRANSACTION";
+  }
+
+  _commitSQL() {
+    return this._parent ? `RELEASE ${this._savepointName()}` : "COMMIT";
+  }
+
+  _rollback() {
+    if (!this._parent) {
+      return this._query("ROLLBACK");
+    }
+    // ROLLBACK TO rewinds the savepoint but leaves it on the stack, so it
+    // must also be released.
+    return this._query(`ROLLBACK TO ${this._savepointName()}`).then(() =>
+      this._query(`RELEASE ${this._savepointName()}`)
+    );
+  }
+
   _runMutationHooks(selectorName, metadata, data = []) {
     const beforePromises = this.database.mutationHooks().map((hook, idx) =>
       Promise.try(() => hook[selectorName](this._query, metadata, data[idx]))
@@ -180,33 +615,86 @@ export default class DatabaseTransaction {
     });
   }
 
-  // Fires the queries required to write models to the DB
+  // Fires the queries required to write models to the DB. `conflict` decides
+  // what happens when a model's row has the same value in a unique index as a
+  // stored row:
+  //
+  //   - 'replace' (default): The row is written with REPLACE INTO, which
+  //     deletes the stored row.
+  //   - 'abort': The models' stored rows are deleted and the rows are written
+  //     with INSERT INTO, so SQLite fails the statement.
+  //   - 'ignore': The row is left as it is, and so are the join table and
+  //     joined data rows of the model.
   //
   // Returns a promise that:
-  //   - resolves when all write queries are complete
+  //   - resolves with an array containing each model that was written, or
+  //     null if it was ignored
   //   - rejects if any query fails
-  _writeModels(models) {
-    const promises = [];
-
+  _writeModels(models, {conflict = 'replace'} = {}) {
     // IMPORTANT: This method assumes that all the models you
     // provide are of the same class, and have different ids!
 
+    if (conflict === 'ignore') {
+      return this._writeModelsOrIgnore(models);
+    }
+
     // Avoid trying to write too many objects a time - sqlite can only handle
     // value sets `(?,?)...` of less than SQLITE_MAX_COMPOUND_SELECT (500),
     // and we don't know ahead of time whether we'll hit that or not.
     if (models.length > 50) {
       return Promise.all([
-        this._writeModels(models.slice(0, 50)),
-        this._writeModels(models.slice(50)),
-      ]);
+        this._writeModels(models.slice(0, 50), {conflict}),
+        this._writeModels(models.slice(50), {conflict}),
+      ]).then(([first, rest]) => first.concat(rest));
+    }
+
+    return Promise.all([
+      this._writeModelRows(models, conflict),
+      this._writeRelatedRows(models),
+    ]).then(() => models);
+  }
+
+  // Writes the model table rows with INSERT OR IGNORE, then reads them back to
+  // find out which models were written, and writes the join table and joined
+  // data rows of those models.
+  _writeModelsOrIgnore(models) {
+    const klass = models[0].constructor;
+    const writes = [];
+    for (let start = 0; start < models.length; start += 50) {
+      writes.push(this._writeModelRows(models.slice(start, start + 50), 'ignore'));
     }
+    return Promise.all(writes).then(() => {
+      const reads = [];
+      for (let start = 0; start < models.length; start += IDS_PER_QUERY) {
+        const chunkJSON = JSON.stringify(models.slice(start, start + IDS_PER_QUERY).map((m) => m.id));
+        reads.push(this._query(`SELECT \`id\`, \`data\` FROM \`${klass.name}\` WHERE \`id\` IN (SELECT \`value\` FROM json_each(?))`, [chunkJSON]));
+      }
+      return Promise.all(reads);
+    }).then((results) => {
+      const stored = {};
+      for (const rows of results) {
+        for (const row of rows) {
+          stored[row.id] = row.data;
+        }
+      }
+      const written = models.map((model) =>
+        ((stored[model.id] === JSON.stringify(model.toJSON({joined: false}), this.database.models.JSONReplacer)) ? model : null)
+      );
+      const kept = written.filter((model) => model !== null);
+      return ((kept.length > 0) ? this._writeRelatedRows(kept) : Promise.resolve()).then(() => written);
+    });
+  }
 
+  // Fires the queries required to write the model table rows of at most 50
+  // models, using the `conflict` strategy described in `_writeModels`.
+  _writeModelRows(models, conflict) {
     const klass = models[0].constructor;
     const attributes = Object.keys(klass.attributes).map(key => klass.attributes[key])
 
     const columnAttributes = attributes.filter((attr) =>
       attr.queryable && attr.columnSQL && attr.jsonKey !== 'id'
     );
+    const sortKeyAttributes = columnAttributes.filter((attr) => attr.sortKeyColumn());
 
     // Compute the columns in the model table and a question mark string
     const columns = ['id', 'data'];
@@ -215,29 +703,68 @@ export default class DatabaseTransaction {
       columns.push(attr.jsonKey);
       columnMarks.push('?');
     });
+    sortKeyAttributes.forEach((attr) => {
+      columns.push(attr.sortKeyColumn());
+      columnMarks.push('?');
+    });
+    if (klass.versioned) {
+      columns.push(REVISION_COLUMN);
+      columnMarks.push('?');
+    }
     const columnsSQL = columns.join(',');
     const marksSet = `(${columnMarks.join(',')})`;
 
     // Prepare a batch insert VALUES (?,?,?), (?,?,?)... by assembling
     // an array of the values and a corresponding question mark set
-    const values = [];
+    const rows = [];
     const marks = [];
-    const ids = [];
-    const modelsJSONs = [];
     for (const model of models) {
       const json = model.toJSON({joined: false});
-      modelsJSONs.push(json);
-      ids.push(model.id);
-      values.push(model.id, JSON.stringify(json, this.database.models.JSONReplacer));
+      const row = [model.id, JSON.stringify(json, this.database.models.JSONReplacer)];
       columnAttributes.forEach((attr) => {
-        values.push(json[attr.jsonKey]);
+        row.push(json[attr.jsonKey]);
+      });
+      sortKeyAttributes.forEach((attr) => {
+        row.push(attr.sortKey(json[attr.jsonKey]));
       });
+      if (klass.versioned) {
+        row.push(model.__revision);
+      }
+      rows.push(row);
       marks.push(marksSet);
     }
 
+    const values = [].concat(...rows);
     const marksSQL = marks.join(',');
 
-    promises.push(this._query(`REPLACE INTO \`${klass.name}\` (${columnsSQL}) VALUES ${marksSQL}`, values));
+    if (conflict === 'abort') {
+      const idsJSON = JSON.stringify(models.map((m) => m.id));
+      return Promise.all([
+        this._query(`DELETE FROM \`${klass.name}\` WHERE \`id\` IN (SELECT \`value\` FROM json_each(?))`, [idsJSON]),
+        this._query(`INSERT INTO \`${klass.name}\` (${columnsSQL}) VALUES ${marksSQL}`, values),
+      ]);
+    }
+    if (conflict === 'ignore') {
+      // SQLite only supports upserts from 3.24, so stored rows are updated one
+      // at a time, and the rows that weren't stored yet are inserted.
+      const setsSQL = columns.slice(1).map((column) => `\`${column}\` = ?`).join(', ');
+      const promises = rows.map((row) =>
+        this._query(`UPDATE OR IGNORE \`${klass.name}\` SET ${setsSQL} WHERE \`id\` = ?`, row.slice(1).concat([row[0]]))
+      );
+      promises.push(this._query(`INSERT OR IGNORE INTO \`${klass.name}\` (${columnsSQL}) VALUES ${marksSQL}`, values));
+      return Promise.all(promises);
+    }
+    return this._query(`REPLACE INTO \`${klass.name}\` (${columnsSQL}) VALUES ${marksSQL}`, values);
+  }
+
+  // Fires the queries required to write the join table and joined data rows
+  // of models.
+  _writeRelatedRows(models) {
+    const promises = [];
+    const klass = models[0].constructor;
+    const attributes = Object.keys(klass.attributes).map(key => klass.attributes[key])
+    const ids = models.map((m) => m.id);
+    const modelsJSONs = models.map((m) => m.toJSON({joined: false}));
 
     // For each join table property, find all the items in the join table for this
     // model and delete them. Insert each new value back into the table.
@@ -308,39 +835,576 @@ export default class DatabaseTransaction {
     return Promise.all(promises);
   }
 
-  // Fires the queries required to delete models to the DB
+  _assertBulkQuery(fnName, query) {
+    if (!(query instanceof ModelQuery)) {
+      throw new Error(`DatabaseTransaction::${fnName} - You must pass a ModelQuery.`);
+    }
+    if (query._count || query._isAggregate()) {
+      throw new Error(`DatabaseTransaction::${fnName} - The query must return models, not a count or aggregate.`);
+    }
+    return query._klass;
+  }
+
+  // Loads complete models for the bulk operations, even if the query returns
+  // ids or partial models.
+  _loadBulkModels(query) {
+    const q = query.clone();
+    q._returnIds = false;
+    q._select = null;
+    const {sql, params} = q.statement();
+    return this._query(sql, params).then((rows) => q.inflateResult(rows));
+  }
+
+  // Loads the ids of the models matching a bulk query.
+  _loadBulkIds(query) {
+    const q = query.clone();
+    q._returnIds = true;
+    q._select = null;
+    const {sql, params} = q.statement();
+    return this._query(sql, params).then((rows) => q.inflateResult(rows));
+  }
+
+  // Loads the models with the given ids in chunks of IDS_PER_QUERY, in the
+  // order of `ids`. Ids that are not in the cache are ignored.
+  _loadModelsWithIds(klass, ids, includeJoinedData = []) {
+    const byId = {};
+    const chunks = [];
+    for (let start = 0; start < ids.length; start += IDS_PER_QUERY) {
+      chunks.push(ids.slice(start, start + IDS_PER_QUERY));
+    }
+    return chunks.reduce((promise, chunk) => promise.then(() => {
+      const query = new ModelQuery(klass, this.database).where(klass.attributes.id.in(chunk));
+      includeJoinedData.forEach((attr) => query.include(attr));
+      return this._loadBulkModels(query).then((models) => {
+        models.forEach((model) => { byId[model.id] = model; });
+      });
+    }), Promise.resolve()).then(() =>
+      ids.filter((id) => byId[id]).map((id) => byId[id])
+    );
+  }
+
+  // Fires the queries required to update the given attributes of many models
+  // at once. Ids are bound as a single JSON array parameter.
   //
   // Returns a promise that:
-  //   - resolves when all deltion queries are complete
+  //   - resolves when all update queries are complete
   //   - rejects if any query fails
-  _deleteModel(model) {
-    const promises = []
+  _updateModelsWithIds(klass, ids, values) {
+    return Promise.all([
+      this._updateModelRowsWithIds(klass, ids, values),
+      this._updateRelatedRowsWithIds(klass, ids, values),
+    ]);
+  }
 
-    const klass = model.constructor;
-    const attributes = Object.keys(klass.attributes).map(key => klass.attributes[key]);
+  // Fires the query that updates the model table rows. With `conflict`
+  // 'ignore', rows that would have the same value in a unique index as another
+  // stored row are left as they are.
+  _updateModelRowsWithIds(klass, ids, values, conflict) {
+    const attributes = Object.keys(values).map((key) => klass.attributes[key]);
+
+    // Rewrite the JSON `data` and the queryable columns of the model table
+    const sets = [];
+    const setValues = [];
+    const dataAttributes = attributes.filter((attr) => !(attr instanceof AttributeJoinedData));
+    if (dataAttributes.length > 0) {
+      const paths = [];
+      for (const attr of dataAttributes) {
+        paths.push('?, json(?)');
+        setValues.push(`$.${attr.jsonKey}`, JSON.stringify(attr.toJSON(values[attr.modelKey]), this.database.models.JSONReplacer) || 'null');
+      }
+      sets.push(`\`data\` = json_set(\`data\`, ${paths.join(', ')})`);
+    }
+    for (const attr of dataAttributes) {
+      if (attr.queryable && attr.columnSQL) {
+        sets.push(`\`${attr.jsonKey}\` = ?`);
+        setValues.push(attr.toJSON(values[attr.modelKey]));
+        if (attr.sortKeyColumn()) {
+          sets.push(`\`${attr.sortKeyColumn()}\` = ?`);
+          setValues.push(attr.sortKey(attr.toJSON(values[attr.modelKey])));
+        }
+      }
+    }
+    if (klass.versioned) {
+      sets.push(`\`${REVISION_COLUMN}\` = \`${REVISION_COLUMN}\` + 1`);
+    }
+    if (sets.length === 0) {
+      return Promise.resolve();
+    }
+    const verb = (conflict === 'ignore') ? 'UPDATE OR IGNORE' : 'UPDATE';
+    return this._query(`${verb} \`${klass.name}\` SET ${sets.join(', ')} WHERE \`id\` IN (SELECT \`value\` FROM json_each(?))`, setValues.concat([JSON.stringify(ids)]));
+  }
 
-    // Delete the primary record
-    promises.push(this._query(`DELETE FROM \`${klass.name}\` WHERE \`id\` = ?`, [model.id]))
+  // Fires the queries that update the join table and joined data rows.
+  _updateRelatedRowsWithIds(klass, ids, values) {
+    const promises = [];
+    const idsJSON = JSON.stringify(ids);
+    const idsSQL = `(SELECT \`value\` FROM json_each(?))`;
+    const attributes = Object.keys(values).map((key) => klass.attributes[key]);
 
-    // For each join table property, find all the items in the join table for this
-    // model and delte them. Insert each new value back into the table.
-    const collectionAttributes = attributes.filter(attr =>
+    const allAttributes = Object.keys(klass.attributes).map(key => klass.attributes[key]);
+    const collectionAttributes = allAttributes.filter((attr) =>
       attr.queryable && attr instanceof AttributeCollection
     );
 
     collectionAttributes.forEach((attr) => {
       const joinTable = tableNameForJoin(klass, attr.itemClass);
-      promises.push(this._query(`DELETE FROM \`${joinTable}\` WHERE \`id\` = ?`, [model.id]))
+      const joinQueryableByJSONKeys = attr.joinQueryableBy.map(joinedModelKey =>
+        klass.attributes[joinedModelKey].jsonKey
+      );
+
+      // Replace the association records, copying queryableBy columns from the
+      // (already updated) model table.
+      if (values[attr.modelKey] !== undefined) {
+        if (!attr.joinOnField) {
+          throw new Error(`Queryable collection attribute ${attr.modelKey} must specify a joinOnField`);
+        }
+        const joinColumns = ['id', 'value'].concat(joinQueryableByJSONKeys);
+        const selectColumns = [`\`${klass.name}\`.\`id\``, '?'].concat(joinQueryableByJSONKeys.map((key) => `\`${klass.name}\`.\`${key}\``));
+        promises.push(this._query(`DELETE FROM \`${joinTable}\` WHERE \`id\` IN ${idsSQL}`, [idsJSON]));
+        for (const joined of (values[attr.modelKey] || [])) {
+          promises.push(this._query(`INSERT OR IGNORE INTO \`${joinTable}\` (\`${joinColumns.join('`,`')}\`) SELECT ${selectColumns.join(', ')} FROM \`${klass.name}\` WHERE \`id\` IN ${idsSQL}`, [joined[attr.joinOnField], idsJSON]));
+        }
+        return;
+      }
+
+      // Otherwise, keep the queryableBy columns of the join table in sync
+      const updated = attributes.filter((a) => attr.joinQueryableBy.includes(a.modelKey));
+      if (updated.length > 0) {
+        const joinSets = updated.map((a) => `\`${a.jsonKey}\` = ?`);
+        const joinValues = updated.map((a) => a.toJSON(values[a.modelKey]));
+        promises.push(this._query(`UPDATE \`${joinTable}\` SET ${joinSets.join(', ')} WHERE \`id\` IN ${idsSQL}`, joinValues.concat([idsJSON])));
+      }
     });
 
-    const joinedDataAttributes = attributes.filter(attr =>
-      attr instanceof AttributeJoinedData
+    // Joined data attributes are stored in their own tables
+    attributes.filter((attr) => attr instanceof AttributeJoinedData).forEach((attr) => {
+      promises.push(this._query(`REPLACE INTO \`${attr.modelTable}\` (\`id\`, \`value\`) SELECT \`value\`, ? FROM json_each(?)`, [values[attr.modelKey], idsJSON]));
+    });
+
+    return Promise.all(promises);
+  }
+
+  // Updates the model table rows with UPDATE OR IGNORE, then reads them back
+  // to find out which models were updated, and updates the join table and
+  // joined data rows of those models. Resolves with the updated models.
+  _updateModelsOrIgnore(klass, clones, groups) {
+    const uniqueAttributes = this._uniqueAttributes(klass);
+    const updated = {};
+
+    return Promise.all(groups.map((group) =>
+      this._updateModelRowsWithIds(klass, group.ids, group.values, 'ignore')
+    )).then(() => Promise.all(groups.map((group) => {
+      // Rows that were updated hold the new unique values.
+      const changed = uniqueAttributes.filter((attr) => group.values[attr.modelKey] !== undefined);
+      const wheres = ['`id` IN (SELECT `value` FROM json_each(?))'].concat(changed.map((attr) => `\`${attr.jsonKey}\` IS ?`));
+      const params = [JSON.stringify(group.ids)].concat(changed.map((attr) => attr.toJSON(group.values[attr.modelKey])));
+      return this._query(`SELECT \`id\` FROM \`${klass.name}\` WHERE ${wheres.join(' AND ')}`, params).then((rows) => {
+        rows.forEach(({id}) => { updated[id] = true; });
+        const ids = group.ids.filter((id) => updated[id]);
+        return (ids.length > 0) && this._updateRelatedRowsWithIds(klass, ids, group.values);
+      });
+    }))).then(() =>
+      clones.filter((clone) => updated[clone.id])
     );
+  }
 
-    joinedDataAttributes.forEach((attr) => {
-      promises.push(this._query(`DELETE FROM \`${attr.modelTable}\` WHERE \`id\` = ?`, [model.id]));
+  // Groups models updated by `updateAll` by the values of their computed
+  // attributes, so that each group can be updated with a single UPDATE.
+  _groupByComputedValues(klass, clones, values) {
+    const computed = Object.keys(klass.attributes).filter((key) =>
+      klass.attributes[key] instanceof AttributeComputed
+    );
+    const groups = {};
+    for (const clone of clones) {
+      const computedValues = {};
+      computed.forEach((key) => { computedValues[key] = clone[key]; });
+      const groupKey = JSON.stringify(computed.map((key) => computedValues[key]));
+      if (!groups[groupKey]) {
+        groups[groupKey] = {ids: [], values: Object.assign({}, values, computedValues)};
+      }
+      groups[groupKey].ids.push(clone.id);
+    }
+    return Object.keys(groups).map((groupKey) => groups[groupKey]);
+  }
+
+  // Writes models of a single class and records the change. `write` resolves
+  // like `_writeModels`, and the change record only contains the models it
+  // wrote. Resolves with the result of `write`.
+  _persistModels(clones, ids, write) {
+    // Note: It's important that we clone the objects since other code could mutate
+    // them during the save process. We want to guaruntee that the models you send to
+    // persistModels are saved exactly as they were sent.
+    const metadata = {
+      objectClass: clones[0].constructor.name,
+      objectIds: ids,
+      objects: clones,
+      type: 'persist',
+    };
+
+    return this._runMutationHooks('beforeDatabaseChange', metadata).then((data) => {
+      const writing = write ? write(clones) : this._writeModels(clones).then(() => clones);
+      return writing.then((written) => {
+        this._recordWrittenModels(metadata, data, written.filter((model) => model !== null));
+        return written;
+      });
     });
+  }
+
+  // Runs the afterDatabaseChange hooks and records the change for the models
+  // that were written, which may be fewer than the before hooks were given.
+  _recordWrittenModels(metadata, data, written) {
+    Object.assign(metadata, {objectIds: written.map((m) => m.id), objects: written});
+    this._runMutationHooks('afterDatabaseChange', metadata, data);
+    if (written.length > 0) {
+      this._changeRecords.push(new DatabaseChangeRecord(this.database, metadata));
+    }
+  }
 
+  // Returns a ValidationError describing the invalid models, or null
+  _validationErrors(models) {
+    const errors = [];
+    for (const model of models) {
+      for (const error of model.validate()) {
+        errors.push(Object.assign({objectClass: model.constructor.name, id: model.id}, error));
+      }
+    }
+    return (errors.length > 0) ? new ValidationError(errors) : null;
+  }
+
+  _uniqueAttributes(klass) {
+    return Object.keys(klass.attributes)
+      .map((key) => klass.attributes[key])
+      .filter((attr) => attr.unique && attr.jsonKey !== 'id');
+  }
+
+  // Returns a UniqueConstraintError if two of `clones` share a value for a
+  // unique attribute, or null. There's no stored model to resolve such a
+  // conflict against, so it's always an error.
+  _batchUniqueConflict(klass, clones) {
+    for (const attr of this._uniqueAttributes(klass)) {
+      const seen = {};
+      for (const clone of clones) {
+        const value = clone[attr.modelKey];
+        if ((value === null) || (value === undefined)) {
+          continue;
+        }
+        const key = uniqueKeyFor(attr, value);
+        if (seen[key]) {
+          return new UniqueConstraintError({objectClass: klass.name, id: clone.id, attribute: attr.modelKey, value, existingId: seen[key]});
+        }
+        seen[key] = clone.id;
+      }
+    }
+    return null;
+  }
+
+  // Writes models of a class with unique attributes. SQLite only supports
+  // upserts from 3.24, so conflicts are left to the unique indexes: the rows
+  // are inserted with a conflict clause, and stored models are only loaded
+  // when SQLite reports a conflict. With 'replace' and 'merge', the conflicts
+  // are then resolved and the models written again. Resolves like `_writeModels`.
+  _writeUniqueModels(klass, clones, onConflict) {
+    if (onConflict === 'ignore') {
+      return this._writeModels(clones, {conflict: 'ignore'});
+    }
+    return this.inTransaction((nested) =>
+      nested._writeModels(clones, {conflict: 'abort'})
+    ).catch((err) => {
+      if ((onConflict === 'fail') || !uniqueFailureIn(err)) {
+        return this._rejectUniqueFailure(klass, clones, err);
+      }
+      return this._resolveUniqueConflicts(klass, clones, onConflict).then(({resolved, displaced, replacedBy}) => {
+        if ((displaced.length === 0) && resolved.every((clone, idx) => clone === clones[idx])) {
+          return this._rejectUniqueFailure(klass, clones, err);
+        }
+        return this._removeDisplacedModels(klass, displaced, replacedBy).then(() =>
+          this._writeUniqueModels(klass, resolved, 'fail')
+        );
+      });
+    });
+  }
+
+  // Rejects with a UniqueConstraintError describing the stored model that
+  // conflicts with one of `clones`, if `err` is a UNIQUE constraint failure
+  // reported by SQLite. Other errors are passed through.
+  _rejectUniqueFailure(klass, clones, err) {
+    const columns = uniqueFailureIn(err);
+    if (!columns) {
+      return Promise.reject(err);
+    }
+    return this._resolveUniqueConflicts(klass, clones, 'fail').then(() => {
+      // The conflicting model couldn't be found, so only the attribute is known.
+      const attr = this._uniqueAttributes(klass).find((a) =>
+        columns.includes(a.jsonKey) || columns.includes(a.sortKeyColumn())
+      );
+      throw new UniqueConstraintError({objectClass: klass.name, attribute: attr ? attr.modelKey : columns.join(', ')});
+    });
+  }
+
+  // Finds stored models that share a unique attribute value with one of
+  // `clones` and applies the `onConflict` strategy: 'fail', 'replace' or
+  // 'merge'. Resolves with the models to write, the stored models that should
+  // be removed first, and the id of the model replacing each of them.
+  _resolveUniqueConflicts(klass, clones, onConflict) {
+    const attributes = this._uniqueAttributes(klass);
+    const batchIds = {};
+    clones.forEach((clone) => { batchIds[clone.id] = true; });
+    const hasValue = (value) => (value !== null) && (value !== undefined);
+
+    const lookups = attributes.map((attr) => {
+      const values = clones.map((clone) => clone[attr.modelKey]).filter(hasValue);
+      if (values.length === 0) {
+        return Promise.resolve([]);
+      }
+      const query = new ModelQuery(klass, this.database).where(attr.in(values));
+      return this._loadBulkModels(query);
+    });
+
+    return Promise.all(lookups).then((results) => {
+      // Index the stored models by attribute and value. Models that are being
+      // persisted in this batch are about to be overwritten, so they're ignored.
+      const stored = attributes.map((attr, idx) => {
+        const byValue = {};
+        for (const model of results[idx]) {
+          if (!batchIds[model.id]) {
+            byValue[uniqueKeyFor(attr, model[attr.modelKey])] = model;
+          }
+        }
+        return byValue;
+      });
+
+      const displaced = [];
+      const replacedBy = {};
+      const mergedIds = {};
+      const resolved = clones.map((clone) => {
+        const conflicts = [];
+        attributes.forEach((attr, idx) => {
+          const value = clone[attr.modelKey];
+          const existing = hasValue(value) && stored[idx][uniqueKeyFor(attr, value)];
+          if (existing && !conflicts.find(({model}) => model.id === existing.id)) {
+            conflicts.push({attr, value, model: existing});
+          }
+        });
+        if (conflicts.length === 0) {
+          return clone;
+        }
+
+        const [{attr, value, model: existing}] = conflicts;
+        if (onConflict === 'replace') {
+          for (const {model} of conflicts) {
+            if (!displaced.includes(model)) {
+              displaced.push(model);
+              replacedBy[model.id] = clone.id;
+            }
+          }
+          return clone;
+        }
+        if ((onConflict === 'merge') && (conflicts.length === 1) && !mergedIds[existing.id]) {
+          mergedIds[existing.id] = true;
+          const merged = existing.clone();
+          // Attributes the model didn't provide a value for, including ones
+          // that only hold their default value, keep their stored values.
+          Object.keys(klass.attributes).forEach((key) => {
+            if ((key !== 'id') && (clone[key] !== undefined) && !clone.hasDefaultValue(key)) {
+              merged[key] = clone[key];
+            }
+          });
+          if (klass.versioned) {
+            merged.setRevision((existing.__revision || 0) + 1);
+          }
+          return merged.compute();
+        }
+        // 'fail', or a merge that would combine several stored models
+        throw new UniqueConstraintError({
+          objectClass: klass.name,
+          id: clone.id,
+          attribute: attr.modelKey,
+          value: value,
+          existingId: existing.id,
+        });
+      });
+
+      const invalid = this._validationErrors(resolved);
+      if (invalid) {
+        throw invalid;
+      }
+      return {resolved, displaced, replacedBy};
+    });
+  }
+
+  // Compares the revisions of versioned models to the ones in the database
+  // and assigns their new revisions. Resolves with the models to write.
+  _resolveRevisions(klass, clones, resolveConflict) {
+    const ids = clones.map((m) => m.id);
+    const queries = [];
+    for (let start = 0; start < ids.length; start += IDS_PER_QUERY) {
+      const chunk = ids.slice(start, start + IDS_PER_QUERY);
+      queries.push(this._query(`SELECT \`id\`, \`${REVISION_COLUMN}\` FROM \`${klass.name}\` WHERE \`id\` IN (${chunk.map(() => '?').join(',')})`, chunk));
+    }
+
+    return Promise.all(queries).then((results) => {
+      const stored = {};
+      for (const rows of results) {
+        for (const row of rows) {
+          stored[row.id] = row[REVISION_COLUMN];
+        }
+      }
+
+      return Promise.all(clones.map((clone) => {
+        const storedRevision = stored[clone.id];
+        const expectedRevision = clone.__revision;
+
+        // Models that are new, or unchanged since they were loaded
+        if ((storedRevision === undefined) || (storedRevision === expectedRevision)) {
+          return clone.setRevision((expectedRevision || 0) + 1);
+        }
+
+        const conflict = new ConflictError({objectClass: klass.name, id: clone.id, expectedRevision, storedRevision});
+        if (!resolveConflict) {
+          throw conflict;
+        }
+        const query = new ModelQuery(klass, this.database).where({id: clone.id});
+        return this._loadBulkModels(query).then(([storedModel]) =>
+          resolveConflict(clone, storedModel)
+        ).then((merged) => {
+          if (!merged) {
+            throw conflict;
+          }
+          if (!(merged instanceof klass) || (merged.id !== clone.id)) {
+            throw new Error(`DatabaseTransaction::persistModels - resolveConflict must return a ${klass.name} with the id ${clone.id}`);
+          }
+          return merged.clone().setRevision(storedRevision + 1);
+        });
+      }));
+    });
+  }
+
+  // Deletes models of a single class and records the change. `deleting`
+  // tracks the models removed by the current operation, so that cascades
+  // between classes that refer to each other terminate.
+  _unpersistModels(klass, models, deleting = {}) {
+    const remaining = models.filter((m) => !deleting[`${klass.name}:${m.id}`]);
+    if (remaining.length === 0) {
+      return Promise.resolve();
+    }
+    remaining.forEach((m) => { deleting[`${klass.name}:${m.id}`] = true; });
+
+    const metadata = {
+      objectClass: klass.name,
+      objectIds: remaining.map((m) => m.id),
+      objects: remaining,
+      type: 'unpersist',
+    };
+
+    const unpersist = () =>
+      this._runMutationHooks('beforeDatabaseChange', metadata).then((data) => {
+        return this._deleteModelsWithIds(klass, metadata.objectIds).then(() => {
+          this._runMutationHooks('afterDatabaseChange', metadata, data);
+          return this._changeRecords.push(new DatabaseChangeRecord(this.database, metadata));
+        });
+      });
+
+    const rules = Object.keys(klass.attributes)
+      .map((key) => klass.attributes[key])
+      .filter((attr) => (attr instanceof AttributeHasMany) && attr.onDelete);
+    if (rules.length === 0) {
+      return unpersist();
+    }
+    return this._applyDeleteRules(klass, rules, metadata.objectIds, deleting).then(unpersist);
+  }
+
+  // Removes stored models that were replaced by models sharing their unique
+  // values (onConflict: 'replace'). The replacing model represents the same
+  // object, so models related through HasMany attributes with an `onDelete`
+  // rule are moved to it instead of having the rule applied. Relations
+  // without a rule are left alone, as they are when models are unpersisted.
+  _removeDisplacedModels(klass, displaced, replacedBy) {
+    if (displaced.length === 0) {
+      return Promise.resolve();
+    }
+    const fromIds = displaced.map((m) => m.id);
+    const relations = Object.keys(klass.attributes)
+      .map((key) => klass.attributes[key])
+      .filter((attr) => (attr instanceof AttributeHasMany) && attr.onDelete);
+
+    return relations.reduce((promise, attr) => promise.then(() => {
+      const itemClass = attr.itemClassIn(this.database);
+      const foreignKey = attr.foreignKeyAttributeIn(this.database);
+      const query = new ModelQuery(itemClass, this.database).where(foreignKey.in(fromIds));
+      return this._loadBulkModels(query).then((related) => {
+        if (related.length === 0) {
+          return null;
+        }
+        related.forEach((m) => { m[foreignKey.modelKey] = replacedBy[m[foreignKey.modelKey]]; });
+        return this.persistModels(related);
+      });
+    }), Promise.resolve()).then(() =>
+      this._unpersistModels(klass, displaced)
+    );
+  }
+
+  // Loads the models related to the models being deleted and applies the
+  // `onDelete` rule of each relation. Restrictions are checked before any
+  // related model is changed.
+  _applyDeleteRules(klass, rules, ids, deleting) {
+    return Promise.all(rules.map((attr) => {
+      const itemClass = attr.itemClassIn(this.database);
+      const query = new ModelQuery(itemClass, this.database).where(attr.foreignKeyAttributeIn(this.database).in(ids));
+      return this._loadBulkModels(query).then((related) => ({
+        attr,
+        itemClass,
+        related: related.filter((m) => !deleting[`${itemClass.name}:${m.id}`]),
+      }));
+    })).then((results) => {
+      for (const {attr, itemClass, related} of results) {
+        if ((attr.onDelete === 'restrict') && (related.length > 0)) {
+          throw new DeleteRestrictedError({
+            objectClass: klass.name,
+            attribute: attr.modelKey,
+            relatedClass: itemClass.name,
+            relatedIds: related.map((m) => m.id),
+          });
+        }
+      }
+      return results.reduce((promise, {attr, itemClass, related}) => promise.then(() => {
+        if ((related.length === 0) || (attr.onDelete === 'restrict')) {
+          return null;
+        }
+        if (attr.onDelete === 'cascade') {
+          return this._unpersistModels(itemClass, related, deleting);
+        }
+        const query = new ModelQuery(itemClass, this.database).where(itemClass.attributes.id.in(related.map((m) => m.id)));
+        return this.updateAll(query, {[attr.foreignKey]: null});
+      }), Promise.resolve());
+    });
+  }
+
+  // Fires the queries required to delete models from the DB, in chunks of
+  // IDS_PER_QUERY ids. Each chunk is bound as a single JSON array parameter,
+  // so every chunk uses the same SQL.
+  //
+  // Returns a promise that:
+  //   - resolves when all deletion queries are complete
+  //   - rejects if any query fails
+  _deleteModelsWithIds(klass, ids) {
+    const promises = [];
+    const attributes = Object.keys(klass.attributes).map(key => klass.attributes[key]);
+    const tables = [klass.name];
+
+    attributes.forEach((attr) => {
+      if (attr.queryable && attr instanceof AttributeCollection) {
+        tables.push(tableNameForJoin(klass, attr.itemClass));
+      } else if (attr instanceof AttributeJoinedData) {
+        tables.push(attr.modelTable);
+      }
+    });
+
+    for (let start = 0; start < ids.length; start += IDS_PER_QUERY) {
+      const chunkJSON = JSON.stringify(ids.slice(start, start + IDS_PER_QUERY));
+      for (const table of tables) {
+        promises.push(this._query(`DELETE FROM \`${table}\` WHERE \`id\` IN (SELECT \`value\` FROM json_each(?))`, [chunkJSON]));
+      }
+    }
     return Promise.all(promises);
   }
 }
@@ -1,22 +1,29 @@
 /* eslint global-require:0 */
 
-if (process.type === 'renderer') {
-  module.exports = {
-    RxDatabase: require('./rx-database').default,
-    Model: require('./model').default,
-    ModelRegistry: require('./model-registry').default,
+const RxDB = {
+  RxDatabase: require('./rx-database').default,
+  Model: require('./model').default,
+  ModelRegistry: require('./model-registry').default,
 
-    // Just making the public API more consistent with Attributes in case there
-    // are other types of search indexes in the future.
-    Attributes: require('./attributes'),
-    SearchIndexes: require('./search-indexes'),
-  };
-} else if (process.type === 'browser') {
-  module.exports = () => {
-    const Coordinator = require('./browser/coordinator').default;
+  // Just making the public API more consistent with Attributes in case there
+  // are other types of search indexes in the future.
+  Attributes: require('./attributes'),
+  SearchIndexes: require('./search-indexes'),
+  Migrations: require('./migrations'),
 
+  Coordinator: require('./browser/coordinator').default,
+  Transports: require('./transports'),
+};
+
+if (process.type === 'browser') {
+  // In the Electron browser process, the module is a function that attaches
+  // the coordinator. The rest of the API is available for use with other
+  // transports, for example when opening databases in the main process.
+  module.exports = Object.assign(() => {
     global._rxdb = {
-      coordinator: new Coordinator(),
+      coordinator: new RxDB.Coordinator(),
     };
-  };
+  }, RxDB);
+} else {
+  module.exports = RxDB;
 }
@@ -0,0 +1,25 @@
+import MigrationRegistry from './migration-registry'
+import {
+  MigrationStep,
+  AddColumnStep,
+  BackfillStep,
+  RenameTableStep,
+  TransformJSONStep,
+  RunStep,
+} from './migration-steps'
+
+module.exports = {
+  AddColumn: (...args) => new AddColumnStep(...args),
+  Backfill: (...args) => new BackfillStep(...args),
+  RenameTable: (...args) => new RenameTableStep(...args),
+  TransformJSON: (...args) => new TransformJSONStep(...args),
+  Run: (...args) => new RunStep(...args),
+
+  MigrationRegistry: MigrationRegistry,
+  MigrationStep: MigrationStep,
+  AddColumnStep: AddColumnStep,
+  BackfillStep: BackfillStep,
+  RenameTableStep: RenameTableStep,
+  TransformJSONStep: TransformJSONStep,
+  RunStep: RunStep,
+};
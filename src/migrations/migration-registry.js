@@ -0,0 +1,97 @@
+/**
+The MigrationRegistry keeps track of the schema migrations an application
+has declared. Each migration is keyed by the `databaseVersion` it produces
+and contains an ordered list of steps:
+
+```js
+db.migrations.register({
+  version: '2',
+  steps: [
+    Migrations.AddColumn({klass: Note, attribute: Note.attributes.starred}),
+    Migrations.Backfill({klass: Note, attribute: Note.attributes.starred}),
+  ],
+});
+```
+
+When the primary window opens a database whose schema version is older than
+the `databaseVersion` provided to the {RxDatabase}, the migrations between the
+two versions are run in order, inside a single transaction. Every version
+between the two must have a registered migration - register a migration with
+no steps for versions that didn't change the schema. The database is only
+rebuilt from scratch if a version in the range has no migration, or if a
+migration step throws.
+
+Database versions must be integer strings, since they are stored in SQLite's
+`user_version` pragma.
+*/
+export default class MigrationRegistry {
+  constructor() {
+    this._migrations = {};
+  }
+
+  /**
+  @param {Object} migration
+  @param {String} migration.version - The database version produced by the migration.
+  @param {Array} migration.steps - The steps to run, in order.
+  */
+  register({version, steps}) {
+    if (!/^\d+$/.test(`${version}`)) {
+      throw new Error(`MigrationRegistry: Migration versions must be integer strings, received ${version}`);
+    }
+    if (!(steps instanceof Array)) {
+      throw new Error(`MigrationRegistry: You must provide an array of steps for version ${version}`);
+    }
+    for (const step of steps) {
+      if (!step || !(step.run instanceof Function)) {
+        throw new Error(`MigrationRegistry: Migration ${version} contains an invalid step. Use the factories in Migrations to create steps.`);
+      }
+    }
+    this._migrations[`${version}`] = {version: `${version}`, steps};
+  }
+
+  /**
+  Remove a previously registered migration.
+  */
+  unregister(version) {
+    delete this._migrations[`${version}`];
+  }
+
+  /**
+  @returns {Array} - The versions after `from`, up to and including `to`,
+    that have no registered migration.
+  */
+  missingVersions(from, to) {
+    const missing = [];
+    for (let version = Number(from) + 1; version <= Number(to); version++) {
+      if (!this._migrations[`${version}`]) {
+        missing.push(`${version}`);
+      }
+    }
+    return missing;
+  }
+
+  /**
+  @returns {Boolean} - True if the registered migrations can bring a database
+    at version `from` up to version `to`.
+  */
+  canMigrate(from, to) {
+    return (Number(from) < Number(to)) && (this.missingVersions(from, to).length === 0);
+  }
+
+  /**
+  @returns {Array} - The migrations that should be run, in order, to bring a
+    database at version `from` up to version `to`. Throws if a version in the
+    range has no registered migration.
+  */
+  migrationsBetween(from, to) {
+    const missing = this.missingVersions(from, to);
+    if (missing.length > 0) {
+      throw new Error(`MigrationRegistry: Cannot migrate from version ${from} to ${to}, no migration is registered for version ${missing.join(', ')}`);
+    }
+    const migrations = [];
+    for (let version = Number(from) + 1; version <= Number(to); version++) {
+      migrations.push(this._migrations[`${version}`]);
+    }
+    return migrations;
+  }
+}
@@ -0,0 +1,136 @@
+function tableNameFor(klassOrName) {
+  return (typeof klassOrName === 'string') ? klassOrName : klassOrName.name;
+}
+
+/**
+The base class for a single step of a schema migration. Steps run synchronously
+against the underlying SQLite connection while the database is in the Setup
+phase, inside the transaction opened for the migration.
+
+You shouldn't need to instantiate steps directly. Use the factory methods
+exposed as `Migrations.AddColumn`, `Migrations.Backfill`, etc.
+
+@private
+*/
+export class MigrationStep {
+  run() {
+    throw new Error(`${this.constructor.name} must implement run()`);
+  }
+
+  _exec(sqlite, query, values = []) {
+    return sqlite.prepare(query).run(values);
+  }
+}
+
+/**
+Adds a column to an existing model table. Pass the attribute you're making
+queryable and the column is created using the attribute's column type:
+
+```js
+Migrations.AddColumn({klass: Thread, attribute: Thread.attributes.starred})
+```
+
+To add columns that are not described by an attribute, pass `columnSQL` instead.
+*/
+export class AddColumnStep extends MigrationStep {
+  constructor({klass, table, attribute, columnSQL}) {
+    super();
+    this.table = tableNameFor(table || klass);
+    this.columnSQL = columnSQL || (attribute && attribute.columnSQL && attribute.columnSQL());
+    if (!this.columnSQL) {
+      throw new Error(`Migrations.AddColumn: You must provide a queryable attribute or columnSQL`);
+    }
+  }
+
+  run(sqlite) {
+    this._exec(sqlite, `ALTER TABLE \`${this.table}\` ADD COLUMN ${this.columnSQL}`);
+  }
+}
+
+/**
+Copies the value of an attribute out of each model's JSON `data` into the
+attribute's column. Use this after `AddColumn` so that existing rows can be
+matched and sorted on the new column.
+*/
+export class BackfillStep extends MigrationStep {
+  constructor({klass, table, attribute}) {
+    super();
+    if (!attribute) {
+      throw new Error(`Migrations.Backfill: You must provide an attribute`);
+    }
+    this.table = tableNameFor(table || klass);
+    this.attribute = attribute;
+  }
+
+  run(sqlite) {
+    const {jsonKey} = this.attribute;
+    this._exec(sqlite, `UPDATE \`${this.table}\` SET \`${jsonKey}\` = json_extract(\`data\`, ?)`, [`$.${jsonKey}`]);
+  }
+}
+
+/**
+Renames a table. This is useful when a Model class is renamed, since model
+tables are named after their class.
+*/
+export class RenameTableStep extends MigrationStep {
+  constructor({from, to}) {
+    super();
+    if (!from || !to) {
+      throw new Error(`Migrations.RenameTable: You must provide \`from\` and \`to\``);
+    }
+    this.from = tableNameFor(from);
+    this.to = tableNameFor(to);
+  }
+
+  run(sqlite) {
+    this._exec(sqlite, `ALTER TABLE \`${this.from}\` RENAME TO \`${this.to}\``);
+  }
+}
+
+/**
+Rewrites the JSON `data` of every row in a model table. The `transform` function
+is called with the parsed JSON of each model and should return the new JSON.
+Returning `null` or `undefined` leaves the row unchanged.
+
+Note: Only the `data` column is rewritten. If the transform changes the value
+of a queryable attribute, follow this step with a `Backfill` for that attribute.
+*/
+export class TransformJSONStep extends MigrationStep {
+  constructor({klass, table, transform}) {
+    super();
+    if (!(transform instanceof Function)) {
+      throw new Error(`Migrations.TransformJSON: You must provide a transform function`);
+    }
+    this.table = tableNameFor(table || klass);
+    this.transform = transform;
+  }
+
+  run(sqlite) {
+    const rows = sqlite.prepare(`SELECT \`id\`, \`data\` FROM \`${this.table}\``).all();
+    const update = sqlite.prepare(`UPDATE \`${this.table}\` SET \`data\` = ? WHERE \`id\` = ?`);
+    for (const row of rows) {
+      const json = this.transform(JSON.parse(row.data));
+      if (json) {
+        update.run([JSON.stringify(json), row.id]);
+      }
+    }
+  }
+}
+
+/**
+Runs an arbitrary function with the underlying SQLite connection. Use this
+for migrations that can't be expressed with the other steps.
+*/
+export class RunStep extends MigrationStep {
+  constructor(fn) {
+    super();
+    if (!(fn instanceof Function)) {
+      throw new Error(`Migrations.Run: You must provide a function`);
+    }
+    this.fn = fn;
+  }
+
+  run(sqlite) {
+    this.fn(sqlite);
+  }
+}
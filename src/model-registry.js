@@ -43,6 +43,9 @@ export default class ModelRegistry {
         const type = this[k].constructor.name;
         if (registry.has(type)) {
           v.__constructorName = type;
+          if (this[k].__revision !== undefined) {
+            v.__revision = this[k].__revision;
+          }
         }
       }
       return v;
@@ -81,7 +84,7 @@ export default class ModelRegistry {
     })
 
     this.registerDeferred({
-      name: klass.constructor.name,
+      name: klass.name,
       resolver: () => klass,
     })
   }
@@ -128,6 +131,9 @@ export default class ModelRegistry {
       throw new Error(`ModelRegistry: ${name} is not a subclass of RxDB.Model.`);
     }
     object.fromJSON(data);
+    if (data.__revision !== undefined) {
+      object.setRevision(data.__revision);
+    }
 
     return object;
   }
@@ -13,6 +13,11 @@ Your RxDB data classes should extend Model and extend it's attributes:
 - {AttributeString} id: The resolved canonical ID of the model used in the
 database and generally throughout the app.
 
+Set `static versioned = true` on your subclass to enable optimistic concurrency
+control. The database keeps a revision number for each model, and persisting a
+model that was changed (by another window, for example) since it was loaded
+fails with a {ConflictError}. See {DatabaseTransaction::persistModels}.
+
 */
 export default class Model {
 
@@ -23,19 +28,94 @@ export default class Model {
     }),
   }
 
+  static versioned = false;
+
+  // Indexes on the model's queryable columns. See `indexDefinitionsForClass`
+  // in query-builder.js for the format.
+  static indexes = [];
+
   static naturalSortOrder() {
     return null;
   }
 
   constructor(values = {}) {
     for (const key of Object.keys(this.constructor.attributes)) {
-      this[key] = values[key];
+      if (values[key] !== undefined) {
+        this[key] = values[key];
+      } else {
+        this[key] = this.constructor.attributes[key].getDefaultValue();
+        this._markDefaulted(key);
+      }
     }
     this.id = this.id || generateTempId();
   }
 
   clone() {
-    return (new this.constructor()).fromJSON(this.toJSON())
+    const clone = (new this.constructor()).fromJSON(this.toJSON());
+    // Related models aren't part of the JSON, so they're shared with the clone
+    for (const key of Object.keys(this.constructor.attributes)) {
+      if (this.constructor.attributes[key] instanceof Attributes.AttributeRelation) {
+        clone[key] = this[key];
+      }
+    }
+    if (clone.__defaulted) {
+      Object.keys(clone.__defaulted).forEach((key) => delete clone.__defaulted[key]);
+    }
+    for (const key of Object.keys(this.__defaulted || {})) {
+      if (this.hasDefaultValue(key)) {
+        clone._markDefaulted(key);
+      }
+    }
+    if (this.__revision !== undefined) {
+      clone.setRevision(this.__revision);
+    }
+    return this.__partial ? clone.markPartial(this.__partial) : clone;
+  }
+
+  // Public: Returns true if the model was loaded with {ModelQuery::select} and
+  // only contains some of its attributes. Partial models cannot be persisted.
+  //
+  isPartial() {
+    return !!this.__partial;
+  }
+
+  // Public: Returns true if the attribute still holds the default value it was
+  // given because no value was provided when the model was created. Assigning
+  // a different value to the attribute clears this. Used to tell default values
+  // apart from values the caller set, for example when merging the model into
+  // a stored one.
+  //
+  hasDefaultValue(key) {
+    const defaulted = this.__defaulted;
+    return !!defaulted && Object.prototype.hasOwnProperty.call(defaulted, key) && (this[key] === defaulted[key]);
+  }
+
+  // Private: Records that the attribute was given its default value.
+  //
+  _markDefaulted(key) {
+    if (this[key] === undefined) {
+      return;
+    }
+    if (!this.__defaulted) {
+      Object.defineProperty(this, '__defaulted', {value: {}, enumerable: false, configurable: true});
+    }
+    this.__defaulted[key] = this[key];
+  }
+
+  // Private: Sets the revision of a versioned model. The revision is the one
+  // the model was loaded with, and is checked when the model is persisted.
+  //
+  setRevision(revision) {
+    Object.defineProperty(this, '__revision', {value: revision, writable: true, enumerable: false, configurable: true});
+    return this;
+  }
+
+  // Private: Flags the model as partial. `keys` are the model keys of the
+  // attributes that were loaded.
+  //
+  markPartial(keys) {
+    Object.defineProperty(this, '__partial', {value: keys, enumerable: false, configurable: true});
+    return this;
   }
 
   // Public: Returns an {Array} of {Attribute} objects defined on the Model's constructor
@@ -57,16 +137,40 @@ export default class Model {
     //
     for (const key of Object.keys(this.constructor.attributes)) {
       const attr = this.constructor.attributes[key];
+      if (attr instanceof Attributes.AttributeRelation) {
+        continue;
+      }
       const attrValue = json[attr.jsonKey];
       if (attrValue !== undefined) {
         this[key] = attr.fromJSON(attrValue);
+        if (this.__defaulted) {
+          delete this.__defaulted[key];
+        }
+      } else if (this[key] === undefined) {
+        this[key] = attr.getDefaultValue();
+        this._markDefaulted(key);
+      }
+    }
+    return this;
+  }
+
+  // Public: Recalculates the values of the model's computed attributes. This is
+  // called automatically when the model is persisted.
+  //
+  // This method is chainable.
+  //
+  compute() {
+    for (const key of Object.keys(this.constructor.attributes)) {
+      const attr = this.constructor.attributes[key];
+      if (attr instanceof Attributes.AttributeComputed) {
+        this[key] = attr.compute(this);
       }
     }
     return this;
   }
 
   // Public: Deflates the model to a plain JSON object. Only attributes defined
-  // on the model are included in the JSON.
+  // on the model are included in the JSON. Related models are not included.
   //
   // - `options` (optional) An {Object} with additional options. To skip joined
   //    data attributes in the toJSON representation, pass the `joined:false`
@@ -79,7 +183,7 @@ export default class Model {
       const attr = this.constructor.attributes[key];
       const attrValue = this[key];
 
-      if (attrValue === undefined) {
+      if ((attrValue === undefined) || (attr instanceof Attributes.AttributeRelation)) {
         continue;
       }
       if (attr instanceof Attributes.AttributeJoinedData && (options.joined === false)) {
@@ -94,6 +198,25 @@ export default class Model {
     return JSON.stringify(this.toJSON());
   }
 
+  // Public: Runs the validations declared on the model's attributes. Joined
+  // data attributes that were not loaded are not validated.
+  //
+  // Returns an {Array} of `{attribute, rule, message}` objects, one for each
+  // failing validation. The array is empty if the model is valid.
+  //
+  validate() {
+    let errors = [];
+    for (const key of Object.keys(this.constructor.attributes)) {
+      const attr = this.constructor.attributes[key];
+      const value = this[key];
+      if ((attr instanceof Attributes.AttributeJoinedData) && (value === undefined)) {
+        continue;
+      }
+      errors = errors.concat(attr.validate(value, this));
+    }
+    return errors;
+  }
+
   // Public: Evaluates the model against one or more {Matcher} objects.
   //
   // - `criteria` An {Array} of {Matcher}s to run on the model.
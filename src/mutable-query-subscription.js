@@ -3,13 +3,13 @@ import QuerySubscription from './query-subscription'
 class MutableQuerySubscription extends QuerySubscription {
 
   replaceQuery(nextQuery) {
-    if (this._query && this._query.sql() === nextQuery.sql()) {
+    if (this._query && this._query.isEqual(nextQuery)) {
       return
     }
 
     let rangeIsOnlyChange = false;
     if (this._query) {
-      rangeIsOnlyChange = this._query.clone().offset(0).limit(0).sql() === nextQuery.clone().offset(0).limit(0).sql()
+      rangeIsOnlyChange = this._query.clone().offset(0).limit(0).isEqual(nextQuery.clone().offset(0).limit(0))
     }
 
     this.cancelPendingUpdate()
@@ -22,11 +22,31 @@ class MutableQuerySubscription extends QuerySubscription {
     this.update()
   }
 
-  replaceRange = ({start, end}) => {
+  /**
+  Changes the range of the query. Pass `start` and `end` offsets to page with
+  LIMIT / OFFSET, or an `after` or `before` model and a `limit` to page with a
+  cursor. (See ModelQuery.after)
+  */
+  replaceRange = ({start, end, after, before, limit}) => {
     if (!this._query) {
       return
     }
 
+    if (after || before) {
+      const next = this._query.clone();
+      if (after) {
+        next.after(after);
+      } else {
+        next.before(before);
+      }
+      next.offset(0);
+      if (limit !== undefined) {
+        next.limit(limit);
+      }
+      this.replaceQuery(next);
+      return
+    }
+
     const next = this._query.clone().page(start, end);
     if (!next.range().isEqual(this._query.range())) {
       this.replaceQuery(next);
@@ -1,8 +1,10 @@
 /* eslint global-require:0 */
-import {tableNameForJoin} from './utils';
+import {tableNameForJoin, REVISION_COLUMN} from './utils';
 import Attributes from './attributes';
 
-const {AttributeCollection, AttributeJoinedData} = Attributes;
+const {AttributeCollection, AttributeJoinedData, AttributeObjectPath, SortOrder} = Attributes;
+
+const ManagedIndexPrefix = 'rxdb_idx_';
 
 /**
 The factory methods in this class assemble SQL queries that build Model
@@ -26,6 +28,189 @@ export function analyzeQueriesForClass(klass) {
   return queries;
 }
 
+// The hidden columns that store the sort keys of `accentCaseInsensitiveOrder` attributes
+function sortKeyColumnsForAttributes(attributes) {
+  return attributes.map(attr => attr.sortKeyColumn()).filter(column => !!column);
+}
+
+/**
+Returns the queries required to bring an existing model table (and its join
+tables) in line with the model's current attributes. `describeTable` is called
+with a table name and should return `null` if the table does not exist, or an
+object of the form `{columns: ['id', ...], indexes: [{name, columns}]}`.
+
+Missing columns are added and backfilled from the JSON `data` of each row, and
+indexes that reference columns which are no longer queryable are dropped.
+Missing sort key columns (see {@link collation}) are added, but must be
+backfilled by the caller.
+Tables that do not exist yet are left to `setupQueriesForClass`.
+
+@private
+*/
+export function reconcileQueriesForClass(klass, describeTable) {
+  const attributes = Object.keys(klass.attributes).map(k => klass.attributes[k]);
+  const queries = [];
+
+  const table = describeTable(klass.name);
+  if (!table) {
+    return queries;
+  }
+
+  const staleIndexQueries = ({indexes}, staleColumns) =>
+    indexes.filter(({name, columns}) =>
+      !name.startsWith('sqlite_autoindex') && columns.some(c => staleColumns.includes(c))
+    ).map(({name}) =>
+      `DROP INDEX IF EXISTS \`${name}\``
+    );
+
+  const columnAttributes = attributes.filter(attr =>
+    attr.queryable && attr.columnSQL && attr.jsonKey !== 'id'
+  );
+  columnAttributes.forEach((attr) => {
+    if (!table.columns.includes(attr.jsonKey)) {
+      queries.push(`ALTER TABLE \`${klass.name}\` ADD COLUMN ${attr.columnSQL()}`);
+      queries.push(`UPDATE \`${klass.name}\` SET \`${attr.jsonKey}\` = json_extract(\`data\`, '$.${attr.jsonKey}')`);
+    }
+    // Sort keys are computed in Javascript, so RxDatabase backfills them.
+    const sortKeyColumn = attr.sortKeyColumn();
+    if (sortKeyColumn && !table.columns.includes(sortKeyColumn)) {
+      queries.push(`ALTER TABLE \`${klass.name}\` ADD COLUMN \`${sortKeyColumn}\` TEXT`);
+    }
+  });
+
+  if (klass.versioned && !table.columns.includes(REVISION_COLUMN)) {
+    queries.push(`ALTER TABLE \`${klass.name}\` ADD COLUMN \`${REVISION_COLUMN}\` INTEGER NOT NULL DEFAULT 0`);
+  }
+
+  const expectedColumns = ['id', 'data'].concat(columnAttributes.map(attr => attr.jsonKey));
+  expectedColumns.push(...sortKeyColumnsForAttributes(columnAttributes));
+  if (klass.versioned) {
+    expectedColumns.push(REVISION_COLUMN);
+  }
+  const staleColumns = table.columns.filter(c => !expectedColumns.includes(c));
+  queries.push(...staleIndexQueries(table, staleColumns));
+
+  const collectionAttributes = attributes.filter(attr =>
+    attr.queryable && attr instanceof AttributeCollection
+  );
+  collectionAttributes.forEach((attribute) => {
+    const joinTableName = tableNameForJoin(klass, attribute.itemClass);
+    const joinTable = describeTable(joinTableName);
+    if (!joinTable) {
+      return;
+    }
+
+    const joinAttributes = attribute.joinQueryableBy.map(name => klass.attributes[name]);
+    joinAttributes.forEach((attr) => {
+      if (!joinTable.columns.includes(attr.jsonKey)) {
+        queries.push(`ALTER TABLE \`${joinTableName}\` ADD COLUMN ${attr.columnSQL()}`);
+        queries.push(`UPDATE \`${joinTableName}\` SET \`${attr.jsonKey}\` = (SELECT \`${attr.jsonKey}\` FROM \`${klass.name}\` WHERE \`${klass.name}\`.\`id\` = \`${joinTableName}\`.\`id\`)`);
+      }
+    });
+
+    const expectedJoinColumns = ['id', 'value'].concat(joinAttributes.map(attr => attr.jsonKey));
+    const staleJoinColumns = joinTable.columns.filter(c => !expectedJoinColumns.includes(c));
+    queries.push(...staleIndexQueries(joinTable, staleJoinColumns));
+  });
+
+  return queries;
+}
+
+/**
+Returns the indexes declared in the model's `static indexes`, followed by a
+unique index for each `unique` attribute, as `{name, sql}` objects. Each
+declaration has the form:
+
+```js
+static indexes = [{
+  columns: ['accountId', Thread.attributes.lastMessageReceivedTimestamp.descending()],
+  where: '`unread` = 1',
+  unique: false,
+  name: 'unread_by_account',
+}];
+```
+
+`columns` contains the model keys of queryable attributes, nested object
+values (see {AttributeObject::path}) or {SortOrder}s on either. `where` is
+optional SQL that makes the index partial, and `name` is optional.
+Index names are prefixed with `rxdb_idx_` and the class name, which is how
+RxDB recognizes the indexes it manages.
+
+Note: SQLite only uses a partial index when the query's WHERE clause contains
+the terms of the index's `where` clause, and matcher values are bound as
+parameters. Partial indexes are most useful with `IS NOT NULL` conditions.
+
+@private
+*/
+export function indexDefinitionsForClass(klass) {
+  const uniqueIndexes = Object.keys(klass.attributes)
+    .map(key => klass.attributes[key])
+    .filter(attr => attr.unique && attr.jsonKey !== 'id')
+    .map(attr => ({columns: [attr.modelKey], unique: true, name: `${attr.jsonKey}_unique`}));
+
+  return (klass.indexes || []).concat(uniqueIndexes).map((index) => {
+    const {columns, where, unique, name} = index;
+    if (!(columns instanceof Array) || columns.length === 0) {
+      throw new Error(`${klass.name}.indexes: Each index must have an array of columns`);
+    }
+
+    const terms = columns.map((column) => {
+      const order = (column instanceof SortOrder) ? column : null;
+      let attr = order ? order.attribute() : column;
+      if (typeof attr === 'string') {
+        attr = klass.attributes[attr];
+      }
+      const isPath = (attr instanceof AttributeObjectPath);
+      if (!attr || !(isPath || (attr.queryable && attr.columnSQL))) {
+        throw new Error(`${klass.name}.indexes: ${attr ? attr.modelKey : column} is not a queryable attribute with a column`);
+      }
+      return {attr, direction: order ? order.direction : 'ASC'};
+    });
+
+    const suffix = name || terms.map(({attr}) => attr.jsonKey.replace(/[^\w-]+/g, '_')).join('_');
+    const indexName = `${ManagedIndexPrefix}${klass.name}_${suffix}`;
+    const columnsSQL = terms.map(({attr, direction}) => `${attr.indexTermSQL()}${attr.collateSQL()} ${direction}`).join(', ');
+    const whereSQL = where ? ` WHERE ${where}` : '';
+
+    return {
+      name: indexName,
+      sql: `CREATE ${unique ? 'UNIQUE ' : ''}INDEX \`${indexName}\` ON \`${klass.name}\` (${columnsSQL})${whereSQL}`,
+    };
+  });
+}
+
+/**
+Returns the queries required to bring the indexes RxDB manages on the model's
+table in line with `static indexes`. `existingIndexes` is an array of
+`{name, sql}` objects from `sqlite_master`. Declared indexes are created if
+they're missing and rebuilt if their definition changed. Managed indexes that
+are no longer declared are dropped. Other indexes are left alone.
+
+@private
+*/
+export function indexQueriesForClass(klass, existingIndexes) {
+  const declared = indexDefinitionsForClass(klass);
+  const queries = [];
+  const prefix = `${ManagedIndexPrefix}${klass.name}_`;
+
+  for (const existing of existingIndexes) {
+    if (!existing.name.startsWith(prefix)) {
+      continue;
+    }
+    const match = declared.find((index) => index.name === existing.name);
+    if (!match || (match.sql !== existing.sql)) {
+      queries.push(`DROP INDEX IF EXISTS \`${existing.name}\``);
+    }
+  }
+  for (const index of declared) {
+    const existing = existingIndexes.find(({name}) => name === index.name);
+    if (!existing || (existing.sql !== index.sql)) {
+      queries.push(index.sql);
+    }
+  }
+  return queries;
+}
+
 export function setupQueriesForClass(klass) {
   const attributes = Object.keys(klass.attributes).map(k => klass.attributes[k]);
   let queries = [];
@@ -38,6 +223,10 @@ export function setupQueriesForClass(klass) {
 
   const columns = ['id TEXT PRIMARY KEY', 'data BLOB']
   columnAttributes.forEach(attr => columns.push(attr.columnSQL()));
+  sortKeyColumnsForAttributes(columnAttributes).forEach(column => columns.push(`\`${column}\` TEXT`));
+  if (klass.versioned) {
+    columns.push(`\`${REVISION_COLUMN}\` INTEGER NOT NULL DEFAULT 0`);
+  }
 
   const columnsSQL = columns.join(',');
   queries.unshift(`CREATE TABLE IF NOT EXISTS \`${klass.name}\` (${columnsSQL})`);
@@ -0,0 +1,115 @@
+// Returns the subset of `values` that form the longest increasing subsequence,
+// as a hash of value => true. Items in the LIS kept their relative order.
+function longestIncreasingSubsequence(values) {
+  const tails = [];
+  const tailIndexes = [];
+  const previous = [];
+
+  values.forEach((value, idx) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (tails[mid] < value) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    tails[lo] = value;
+    tailIndexes[lo] = idx;
+    previous[idx] = (lo > 0) ? tailIndexes[lo - 1] : -1;
+  });
+
+  const result = {};
+  let idx = tailIndexes[tails.length - 1];
+  while (idx !== undefined && idx !== -1) {
+    result[values[idx]] = true;
+    idx = previous[idx];
+  }
+  return result;
+}
+
+/**
+A QueryChangeSet describes the differences between two consecutive results of
+an observed query. Pass `emitChangeSets: true` to {ModelQuery#observe} to
+receive change sets instead of arrays of models. This is useful for large
+virtualized lists, which can patch the affected rows instead of rendering
+the entire result again.
+
+```js
+query.observe({emitChangeSets: true}).subscribe((changes) => {
+  changes.removed  // [{id, offset}] - offsets in the previous result
+  changes.added    // [{id, offset}] - offsets in the new result
+  changes.moved    // [{id, from, to}]
+  changes.updated  // [Model] - models that were replaced with new versions
+  changes.resultSet.models()
+});
+```
+
+The first change set emitted to each subscriber lists every model in the
+result as `added`.
+*/
+export default class QueryChangeSet {
+
+  /**
+  @param {QueryResultSet} previous - The previous result, or null.
+  @param {QueryResultSet} next - The new result.
+  @returns {QueryChangeSet}
+  */
+  static between(previous, next) {
+    const added = [];
+    const removed = [];
+    const moved = [];
+    const updated = [];
+
+    if (previous) {
+      for (const id of previous.ids()) {
+        if (next.offsetOfId(id) === -1) {
+          removed.push({id, offset: previous.offsetOfId(id)});
+        }
+      }
+    }
+
+    // Walk the ids present in both results in their previous order. The ids
+    // whose new offsets form the longest increasing subsequence stayed in place
+    // relative to each other - everything else moved.
+    const retained = previous ? previous.ids().filter((id) => next.offsetOfId(id) !== -1) : [];
+    const stationary = longestIncreasingSubsequence(retained.map((id) => next.offsetOfId(id)));
+
+    for (const id of retained) {
+      const from = previous.offsetOfId(id);
+      const to = next.offsetOfId(id);
+      if (!stationary[to]) {
+        moved.push({id, from, to});
+      }
+      const model = next.modelWithId(id);
+      if (model && (model !== previous.modelWithId(id))) {
+        updated.push(model);
+      }
+    }
+
+    for (const id of next.ids()) {
+      if (!previous || previous.offsetOfId(id) === -1) {
+        added.push({id, offset: next.offsetOfId(id)});
+      }
+    }
+
+    return new QueryChangeSet({resultSet: next, added, removed, moved, updated});
+  }
+
+  constructor({resultSet, added = [], removed = [], moved = [], updated = []}) {
+    this.resultSet = resultSet;
+    this.added = added;
+    this.removed = removed;
+    this.moved = moved;
+    this.updated = updated;
+  }
+
+  /**
+  @returns {Boolean} - True if the result did not change.
+  */
+  isEmpty() {
+    return (this.added.length + this.removed.length + this.moved.length + this.updated.length) === 0;
+  }
+}
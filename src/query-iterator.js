@@ -0,0 +1,129 @@
+/**
+QueryIterator walks the results of a {ModelQuery} in batches. Each batch is a
+separate query that starts after the last model of the previous batch (see
+ModelQuery.after), so only one batch of rows is held in memory at a time and
+the event loop gets a chance to run between batches. Rows are only parsed
+into models as they are consumed, unless the query includes relations - then
+each batch is parsed up front so its related models can be loaded at once.
+
+Note: We don't keep a single SQLite statement open and step through it, because
+an open statement occupies the connection and would block every other query
+(including transactions) until iteration finished.
+
+You shouldn't need to instantiate this class directly. Use
+{ModelQuery#iterate} or {ModelQuery#forEachBatch}.
+
+@private
+*/
+export default class QueryIterator {
+  constructor(query, {batchSize = 500} = {}) {
+    if (!Number.isInteger(batchSize) || batchSize <= 0) {
+      throw new Error(`QueryIterator: batchSize must be a positive integer`);
+    }
+    query._assertIterable();
+
+    this._query = query;
+    this._batchSize = batchSize;
+    this._batchQuery = null;
+    this._rows = [];
+    this._rowsInflated = false;
+    this._rowIndex = 0;
+    this._cursor = null;
+    this._fetchedBatch = false;
+    this._done = false;
+
+    const range = query.range();
+    this._remaining = Number.isInteger(range.limit) ? range.limit : Infinity;
+
+    if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+      this[Symbol.asyncIterator] = () => this;
+    }
+  }
+
+  /**
+  @returns {Promise} - Resolves with `{value, done}`, following the async
+    iterator protocol.
+  */
+  next() {
+    if (this._rowIndex < this._rows.length) {
+      const model = this._inflateRow(this._rows[this._rowIndex]);
+      this._rows[this._rowIndex] = null;
+      this._rowIndex += 1;
+      this._cursor = model;
+      return Promise.resolve({value: model, done: false});
+    }
+    if (this._done) {
+      return Promise.resolve({value: undefined, done: true});
+    }
+    return this._fetchBatch().then(() => this.next());
+  }
+
+  /**
+  Stops the iteration. Called automatically when breaking out of a
+  `for await` loop.
+  */
+  return() {
+    this._done = true;
+    this._rows = [];
+    this._rowIndex = 0;
+    return Promise.resolve({value: undefined, done: true});
+  }
+
+  /**
+  @returns {Promise} - Resolves with an array containing the models in the
+    next batch, or null if there are no more results.
+  */
+  nextBatch() {
+    if (this._done) {
+      return Promise.resolve(null);
+    }
+    return this._fetchBatch().then(() => {
+      if (this._rows.length === 0) {
+        return null;
+      }
+      const models = this._rows.map((row) => this._inflateRow(row));
+      this._cursor = models[models.length - 1];
+      this._rows = [];
+      this._rowIndex = 0;
+      return models;
+    });
+  }
+
+  _inflateRow(row) {
+    return this._rowsInflated ? row : this._batchQuery.inflateResult([row])[0];
+  }
+
+  _fetchBatch() {
+    const limit = Math.min(this._batchSize, this._remaining);
+    if (limit <= 0) {
+      this._done = true;
+      this._rows = [];
+      return Promise.resolve();
+    }
+
+    // Yield to the event loop between batches so the UI stays responsive.
+    const delay = this._fetchedBatch ? new Promise((resolve) => setTimeout(resolve, 0)) : Promise.resolve();
+
+    return delay.then(() => {
+      this._batchQuery = this._query._batchQuery(this._cursor, limit);
+      const {sql, params} = this._batchQuery.statement();
+      return this._query._database._query(sql, params);
+    }).then((rows) => {
+      this._fetchedBatch = true;
+      this._rows = rows;
+      this._rowsInflated = false;
+      this._rowIndex = 0;
+      this._remaining -= rows.length;
+      if (rows.length < limit) {
+        this._done = true;
+      }
+      if (this._batchQuery._includeRelations.length === 0) {
+        return null;
+      }
+      return this._batchQuery.loadRelations(this._batchQuery.inflateResult(rows)).then((models) => {
+        this._rows = models;
+        this._rowsInflated = true;
+      });
+    });
+  }
+}
@@ -1,5 +1,6 @@
 /* eslint global-require: 0 */
 import QuerySubscription from './query-subscription';
+import CountQuerySubscription from './count-query-subscription';
 
 /**
 The QuerySubscriptionPool maintains a list of all of the query
@@ -16,16 +17,16 @@ export default class QuerySubscriptionPool {
     this._setup();
   }
 
-  add(query, callback) {
+  add(query, callback, options = {}) {
     // TODO
     // if (NylasEnv.inDevMode()) {
     //   callback._registrationPoint = this._formatRegistrationPoint((new Error).stack);
     // }
 
-    const key = this._keyForQuery(query);
+    const key = this._keyForQuery(query, options);
     let subscription = this._subscriptions[key];
     if (!subscription) {
-      subscription = new QuerySubscription(query);
+      subscription = query._count ? new CountQuerySubscription(query) : new QuerySubscription(query, options);
       this._subscriptions[key] = subscription;
     }
 
@@ -98,8 +99,11 @@ export default class QuerySubscriptionPool {
     return stack.slice(ii, ii + 4).join('\n');
   }
 
-  _keyForQuery(query) {
-    return query.sql();
+  _keyForQuery(query, {emitChangeSets} = {}) {
+    const {sql, params} = query.statement();
+    const relations = query.includedRelationKeys();
+    const include = (relations.length > 0) ? ` (include ${relations.join(', ')})` : '';
+    return `${sql} ${JSON.stringify(params)}${include}${emitChangeSets ? ' (change sets)' : ''}`;
   }
 
   _setup() {
@@ -1,5 +1,7 @@
 import QueryRange from './query-range';
 import MutableQueryResultSet from './mutable-query-result-set';
+import QueryChangeSet from './query-change-set';
+import {compareStrings} from './attributes/collation';
 
 export default class QuerySubscription {
   constructor(query, options = {}) {
@@ -9,6 +11,7 @@ export default class QuerySubscription {
     this._set = null;
     this._callbacks = [];
     this._lastResult = null;
+    this._lastResultSet = null;
     this._updateInFlight = false;
     this._queuedChangeRecords = [];
     this._queryVersion = 1;
@@ -17,6 +20,12 @@ export default class QuerySubscription {
       if (this._query._count) {
         throw new Error("QuerySubscription::constructor - You cannot listen to count queries.")
       }
+      if (this._query._isAggregate()) {
+        throw new Error("QuerySubscription::constructor - You cannot listen to aggregate queries.")
+      }
+      if (this._query._select) {
+        throw new Error("QuerySubscription::constructor - You cannot listen to queries that select partial models.")
+      }
 
       this._query.finalize();
 
@@ -43,10 +52,15 @@ export default class QuerySubscription {
     }
     this._callbacks.push(callback);
 
-    if (this._lastResult) {
+    if (this._lastResult !== null) {
       process.nextTick(() => {
-        if (!this._lastResult) { return; }
-        callback(this._lastResult);
+        if (this._lastResult === null) { return; }
+        if (this._options.emitChangeSets) {
+          // New subscribers haven't seen any previous result
+          callback(QueryChangeSet.between(null, this._lastResultSet));
+        } else {
+          callback(this._lastResult);
+        }
       });
     }
   }
@@ -74,7 +88,10 @@ export default class QuerySubscription {
   }
 
   applyChangeRecord = (record) => {
-    if (!this._query || record.objectClass !== this._query.objectClass()) {
+    if (!this._query) {
+      return;
+    }
+    if ((record.objectClass !== this._query.objectClass()) && !this._query.relatedObjectClasses().includes(record.objectClass)) {
       return;
     }
     if (record.objects.length === 0) {
@@ -102,6 +119,15 @@ export default class QuerySubscription {
       return;
     }
 
+    // Change records don't carry related models, so queries that include
+    // relations are loaded again, with their relations, when anything changes.
+    if (this._query._includeRelations.length > 0) {
+      this._queuedChangeRecords = [];
+      this._set = null;
+      this.update();
+      return;
+    }
+
     let knownImpacts = 0;
     let unknownImpacts = 0;
 
@@ -157,8 +183,17 @@ export default class QuerySubscription {
 
   _itemSortOrderHasChanged(old, updated) {
     for (const descriptor of this._query.orderSortDescriptors()) {
-      const oldSortValue = old[descriptor.attr.modelKey];
-      const updatedSortValue = updated[descriptor.attr.modelKey];
+      const {attr} = descriptor;
+      const oldSortValue = attr.valueForModel(old);
+      const updatedSortValue = attr.valueForModel(updated);
+
+      // Strings that are equal in the attribute's collation sort in the same place.
+      if (attr.collation && (typeof oldSortValue === 'string') && (typeof updatedSortValue === 'string')) {
+        if (compareStrings(oldSortValue, updatedSortValue, attr.collation) !== 0) {
+          return true;
+        }
+        continue;
+      }
 
       // http://stackoverflow.com/questions/4587060/determining-date-equality-in-javascript
       if (!(oldSortValue >= updatedSortValue && oldSortValue <= updatedSortValue)) {
@@ -253,7 +288,9 @@ export default class QuerySubscription {
     if (missingIds.length === 0) {
       return Promise.resolve([]);
     }
-    return this._query._database.findAll(this._query._klass, {id: missingIds});
+    const query = this._query._database.findAll(this._query._klass, {id: missingIds});
+    this._query._includeRelations.forEach((attr) => query.include(attr));
+    return query;
   }
 
   _createResultAndTrigger = () => {
@@ -284,7 +321,18 @@ export default class QuerySubscription {
       return;
     }
 
-    if (this._options.emitResultSet) {
+    if (this._options.emitChangeSets) {
+      this._set.setQuery(this._query);
+      const next = this._set.immutableClone();
+      const changeSet = QueryChangeSet.between(this._lastResultSet, next);
+      const isFirstResult = (this._lastResultSet === null);
+      this._lastResultSet = next;
+      this._lastResult = changeSet;
+      if (changeSet.isEmpty() && !isFirstResult) {
+        this._finishUpdate();
+        return;
+      }
+    } else if (this._options.emitResultSet) {
       this._set.setQuery(this._query);
       this._lastResult = this._set.immutableClone();
     } else {
@@ -292,7 +340,10 @@ export default class QuerySubscription {
     }
 
     this._callbacks.forEach((callback) => callback(this._lastResult));
+    this._finishUpdate();
+  }
 
+  _finishUpdate() {
     // process any additional change records that have arrived
     if (this._updateInFlight) {
       this._updateInFlight = false;
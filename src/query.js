@@ -3,13 +3,22 @@
 import Rx from 'rx-lite';
 import Attributes from './attributes';
 import QueryRange from './query-range';
-import {tableNameForJoin} from './utils';
-
-const {Matcher, AttributeJoinedData, AttributeCollection} = Attributes;
+import QueryIterator from './query-iterator';
+import {tableNameForJoin, REVISION_COLUMN} from './utils';
+
+const {
+  Matcher,
+  SortOrder,
+  Aggregate,
+  AttributeJoinedData,
+  AttributeCollection,
+  AttributeObject,
+  AttributeRelation,
+} = Attributes;
 
 /**
 ModelQuery exposes an ActiveRecord-style syntax for building database queries
-that return models and model counts. Model queries are returned from the factory methods
+that return models, model counts and aggregate values. Model queries are returned from the factory methods
 {RxDatabase::find}, {RxDatabase::findBy}, {RxDatabase::findAll},
 and {RxDatabase::count}, and are the primary interface for retrieving data
 from the app's local cache.
@@ -56,7 +65,14 @@ export default class ModelQuery {
     this._returnOne = false;
     this._returnIds = false;
     this._includeJoinedData = [];
+    this._includeRelations = [];
     this._count = false;
+    this._aggregates = null;
+    this._groupBy = [];
+    this._cursor = null;
+    this._cursorMatcher = null;
+    this._stableOrder = false;
+    this._select = null;
   }
 
   /**
@@ -66,11 +82,17 @@ export default class ModelQuery {
     const q = new ModelQuery(this._klass, this._database).where(this._matchers).order(this._orders);
     q._orders = [].concat(this._orders);
     q._includeJoinedData = [].concat(this._includeJoinedData);
+    q._includeRelations = [].concat(this._includeRelations);
     q._range = this._range.clone();
     q._distinct = this._distinct;
     q._returnOne = this._returnOne;
     q._returnIds = this._returnIds;
     q._count = this._count;
+    q._aggregates = this._aggregates ? Object.assign({}, this._aggregates) : null;
+    q._groupBy = [].concat(this._groupBy);
+    q._cursor = this._cursor;
+    q._stableOrder = this._stableOrder;
+    q._select = this._select ? [].concat(this._select) : null;
     return q;
   }
 
@@ -125,18 +147,27 @@ export default class ModelQuery {
   }
 
   /**
-  Include specific joined data attributes in result objects.
+  Include specific joined data attributes or related models in result objects.
 
-  @param {AttributeJoinedData} attr - Attribute that you want to be populated in
-  the returned models. Note: This results in a LEFT OUTER JOIN.
-  See {AttributeJoinedData} for more information.
+  @param {AttributeJoinedData|AttributeRelation} attr - Attribute that you want
+  to be populated in the returned models. Joined data attributes result in a
+  LEFT OUTER JOIN - see {AttributeJoinedData} for more information. Related
+  models are loaded for all of the results at once, in one additional query -
+  see {AttributeRelation}.
 
   This method is chainable.
   */
   include(attr) {
     this._assertNotFinalized();
+    if (attr instanceof AttributeRelation) {
+      if (this._klass.attributes[attr.modelKey] !== attr) {
+        throw new Error(`query.include() - ${attr.modelKey} is not an attribute of ${this._klass.name}`);
+      }
+      this._includeRelations.push(attr);
+      return this;
+    }
     if (!(attr instanceof AttributeJoinedData)) {
-      throw new Error("query.include() must be called with a joined data attribute");
+      throw new Error("query.include() must be called with a joined data or relation attribute");
     }
     this._includeJoinedData.push(attr);
     return this;
@@ -213,6 +244,44 @@ export default class ModelQuery {
     return this;
   }
 
+  /**
+  Only return models that come after `model` in the query's sort order. Unlike
+  `offset`, cursors stay fast deep into large result sets and are not affected
+  by models inserted above the cursor. Combine with `limit` to fetch a page:
+
+  ```js
+  db.findAll(Thread).order(Thread.attributes.lastMessageReceivedTimestamp.descending())
+    .after(lastThreadOnPage).limit(50)
+  ```
+
+  The query's sort orders, followed by the model `id`, are used to locate the
+  cursor, so the model must have values for the sorted attributes.
+
+  @param {Model} model - The model to start after.
+
+  This method is chainable.
+  */
+  after(model) {
+    this._assertNotFinalized();
+    this._cursor = {model, before: false};
+    return this;
+  }
+
+  /**
+  Only return models that come before `model` in the query's sort order. When
+  combined with `limit`, the models closest to `model` are returned, in the
+  query's sort order. See `after` for more information.
+
+  @param {Model} model - The model to end before.
+
+  This method is chainable.
+  */
+  before(model) {
+    this._assertNotFinalized();
+    this._cursor = {model, before: true};
+    return this;
+  }
+
   /**
   A convenience method for setting both limit and offset given a desired page size.
   */
@@ -223,6 +292,49 @@ export default class ModelQuery {
     return this;
   }
 
+  /**
+  Only load the provided attributes, instead of inflating each model from its
+  full JSON `data`. Queryable attributes are read directly from their columns
+  and other attributes are extracted from the JSON with `json_extract`.
+  Joined data attributes are loaded as if you'd called `include`.
+
+  ```js
+  db.findAll(Thread)
+    .select([Thread.attributes.subject, Thread.attributes.lastMessageReceivedTimestamp])
+    .then((threads) => {
+      // threads[0].subject is defined, threads[0].participants is undefined
+    });
+  ```
+
+  The `id` and the attributes the query is sorted by are always loaded. The
+  returned models are partial: `model.isPartial()` returns true, and they
+  cannot be persisted or observed, since the attributes that were not loaded
+  would be lost.
+
+  @param {Array} attrs - The {Attribute}s to load.
+
+  This method is chainable.
+  */
+  select(attrs) {
+    this._assertNotFinalized();
+    if (!(attrs instanceof Array) || attrs.length === 0) {
+      throw new Error("query.select() must be called with an array of attributes");
+    }
+    for (const attr of attrs) {
+      if (this._klass.attributes[attr.modelKey] !== attr) {
+        throw new Error(`query.select() - ${attr.modelKey} is not an attribute of ${this._klass.name}`);
+      }
+      if (attr instanceof AttributeRelation) {
+        throw new Error(`query.select() - ${attr.modelKey} is a relation. Use query.include() to load related models.`);
+      }
+      if ((attr instanceof AttributeJoinedData) && !this._includeJoinedData.includes(attr)) {
+        this.include(attr);
+      }
+    }
+    this._select = [].concat(this._select || [], attrs);
+    return this;
+  }
+
   /**
   Set the `count` flag - instead of returning inflated models,
   the query will return the result `COUNT`.
@@ -241,6 +353,59 @@ export default class ModelQuery {
     return this;
   }
 
+  /**
+  Instead of returning inflated models, the query will return plain objects
+  containing the results of the provided aggregates, keyed by name. Combine
+  with `groupBy` to compute the aggregates for each group, or with `one` to
+  return a single object rather than an array.
+
+  ```js
+  db.findAll(Thread)
+    .aggregate({total: Thread.attributes.version.sum()})
+    .groupBy(Thread.attributes.accountId)
+    .then((rows) => {
+      // [{accountId: 'a', total: 12}, {accountId: 'b', total: 4}]
+    });
+  ```
+
+  @param {Object} aggregates - An object mapping result keys to {Aggregate}s
+    obtained from attributes, like `Thread.attributes.version.sum()`.
+
+  This method is chainable.
+  */
+  aggregate(aggregates) {
+    this._assertNotFinalized();
+    if (!(aggregates instanceof Object) || Object.keys(aggregates).length === 0) {
+      throw new Error("query.aggregate() must be called with an object of aggregates");
+    }
+    for (const key of Object.keys(aggregates)) {
+      if (!(aggregates[key] instanceof Aggregate)) {
+        throw new Error(`query.aggregate() - ${key} is not an Aggregate. Use attribute methods like \`sum()\` or \`max()\``);
+      }
+    }
+    this._aggregates = Object.assign({}, this._aggregates, aggregates);
+    return this;
+  }
+
+  /**
+  Group the results of an aggregate query by the value of one or more
+  queryable attributes. The value of each attribute is included in the
+  returned objects, keyed by the attribute's `modelKey`.
+
+  @param {Array} attrOrAttrs - One or more queryable {Attribute}s.
+
+  This method is chainable.
+  */
+  groupBy(attrOrAttrs) {
+    this._assertNotFinalized();
+    const attrs = (attrOrAttrs instanceof Array) ? attrOrAttrs : [attrOrAttrs];
+    for (const attr of attrs) {
+      attr._assertQueryableColumn('groupBy');
+    }
+    this._groupBy = this._groupBy.concat(attrs);
+    return this;
+  }
+
   // Query Execution
 
   /**
@@ -261,6 +426,75 @@ export default class ModelQuery {
     return this._database.run(this);
   }
 
+  /**
+  Returns an async iterator over the models matching the query, for working
+  with result sets that are too large to load at once. Models are fetched in
+  batches using a cursor and parsed one at a time as you consume them.
+
+  ```js
+  const iterator = db.findAll(Message).iterate({batchSize: 1000});
+  const step = () => iterator.next().then(({value, done}) => {
+    if (done) { return null; }
+    exportMessage(value);
+    return step();
+  });
+  step();
+  ```
+
+  In environments that support `for await`, the iterator can be used directly.
+
+  @param {Object} options
+  @param {Number} options.batchSize - The number of rows to load at a time.
+    Defaults to 500.
+  @returns {QueryIterator}
+  */
+  iterate({batchSize = 500} = {}) {
+    return new QueryIterator(this, {batchSize});
+  }
+
+  /**
+  Calls `fn` with successive batches of models matching the query. If `fn`
+  returns a promise, the next batch is not loaded until it resolves. The event
+  loop runs between batches.
+
+  @param {Number} batchSize - The maximum number of models in each batch.
+  @param {Function} fn - Called with an array of models and the batch index.
+  @returns {Promise} - Resolves when every batch has been processed, or
+    rejects if `fn` or a query fails.
+  */
+  forEachBatch(batchSize, fn) {
+    const iterator = new QueryIterator(this, {batchSize});
+    const step = (index) =>
+      iterator.nextBatch().then((models) => {
+        if (!models) {
+          return null;
+        }
+        return new Promise((resolve) => resolve(fn(models, index))).then(() => step(index + 1));
+      });
+    return step(0);
+  }
+
+  _assertIterable() {
+    if (this._count || this._isAggregate() || this._returnIds || this._returnOne) {
+      throw new Error("ModelQuery: You can only iterate over queries that return models");
+    }
+    if (this._cursor && this._cursor.before) {
+      throw new Error("ModelQuery: You cannot iterate over a query that uses before()");
+    }
+  }
+
+  // Returns a copy of the query that loads the `limit` models after `cursor`
+  _batchQuery(cursor, limit) {
+    const q = this.clone();
+    q._stableOrder = true;
+    if (cursor) {
+      q.after(cursor);
+      q.offset(0);
+    }
+    q.limit(limit);
+    return q;
+  }
+
   inflateResult(result) {
     if (!result) {
       return null;
@@ -270,11 +504,27 @@ export default class ModelQuery {
       return result[0].count / 1;
     }
     if (this._returnIds) {
-      return result.map(row => row.id);
+      return this._inCursorOrder(result.map(row => row.id));
+    }
+    if (this._isAggregate()) {
+      return result.map((row) => {
+        const object = {};
+        for (const attr of this._groupBy) {
+          object[attr.modelKey] = attr.fromColumn(row[attr.modelKey]);
+        }
+        for (const key of Object.keys(this._aggregates || {})) {
+          object[key] = this._aggregates[key].fromResult(row[key]);
+        }
+        return object;
+      });
+    }
+
+    if (this._select) {
+      return this._inCursorOrder(result.map((row) => this._inflatePartial(row)));
     }
 
     try {
-      return result.map((row) => {
+      return this._inCursorOrder(result.map((row) => {
         const json = JSON.parse(row.data, this._database.models.JSONReviver);
         const object = (new this._klass()).fromJSON(json);
         for (const attr of this._includeJoinedData) {
@@ -284,13 +534,77 @@ export default class ModelQuery {
           }
           object[attr.modelKey] = value;
         }
+        if (row[REVISION_COLUMN] !== undefined) {
+          object.setRevision(row[REVISION_COLUMN]);
+        }
         return object;
-      });
+      }));
     } catch (jsonError) {
       throw new Error(`Query could not parse the database result. Query: ${this.sql()}, Error: ${jsonError.toString()}`);
     }
   }
 
+  _inflatePartial(row) {
+    const object = new this._klass();
+    for (const key of Object.keys(this._klass.attributes)) {
+      object[key] = undefined;
+    }
+    const keys = [];
+    for (const attr of this._selectedAttributes()) {
+      let value = row[attr.modelKey];
+      if (attr instanceof AttributeJoinedData) {
+        value = (value === AttributeJoinedData.NullPlaceholder) ? null : value;
+        object[attr.modelKey] = attr.fromJSON(value);
+      } else {
+        // json_extract returns objects and arrays as JSON text
+        if (((attr instanceof AttributeObject) || (attr instanceof AttributeCollection)) && (typeof value === 'string')) {
+          try {
+            value = JSON.parse(value, this._database.models.JSONReviver);
+          } catch (err) {
+            // The value was a plain string
+          }
+        }
+        object[attr.modelKey] = attr.fromColumn(value);
+      }
+      keys.push(attr.modelKey);
+    }
+    return object.markPartial(keys);
+  }
+
+  /**
+  Loads the related models requested with `include` and assigns them to the
+  inflated models.
+
+  @returns {Promise} - Resolves with `inflated`.
+  @private
+  */
+  loadRelations(inflated) {
+    const returnsModels = !(this._count || this._returnIds || this._isAggregate());
+    if (!inflated || !returnsModels || (this._includeRelations.length === 0)) {
+      return Promise.resolve(inflated);
+    }
+    return Promise.all(this._includeRelations.map((attr) =>
+      attr.load(this._database, inflated)
+    )).then(() => inflated);
+  }
+
+  /**
+  @returns {Array} - The names of the classes loaded by the query's included
+    relations.
+  */
+  relatedObjectClasses() {
+    return this._includeRelations.map((attr) => attr.itemClassIn(this._database).name);
+  }
+
+  /**
+  @returns {Array} - The sorted model keys of the query's included relations.
+    Queries that only differ in the relations they include have the same SQL,
+    so this is used to tell them apart.
+  */
+  includedRelationKeys() {
+    return this._includeRelations.map((attr) => attr.modelKey).sort();
+  }
+
   formatResult(inflated) {
     if (this._returnOne) {
       return inflated[0];
@@ -304,25 +618,43 @@ export default class ModelQuery {
   // Query SQL Building
 
   /**
-  @returns {String} - The SQL generated for the query.
+  @returns {String} - The SQL generated for the query. Matcher values are
+  represented by `?` placeholders - see {ModelQuery#statement}.
   */
   sql() {
+    return this.statement().sql;
+  }
+
+  /**
+  @returns {Object} - The SQL generated for the query, along with the `params`
+  to bind to its `?` placeholders. Because values are bound rather than
+  inlined, queries that differ only by their values share a prepared statement.
+  */
+  statement() {
     this.finalize();
 
     let result = null;
 
     if (this._count) {
       result = `COUNT(*) as count`;
+    } else if (this._isAggregate()) {
+      result = this._aggregateColumnsSQL();
     } else if (this._returnIds) {
       result = `\`${this._klass.name}\`.\`id\``;
+    } else if (this._select) {
+      result = this._selectColumnsSQL();
     } else {
       result = `\`${this._klass.name}\`.\`data\``;
+      if (this._klass.versioned) {
+        result += `, \`${this._klass.name}\`.\`${REVISION_COLUMN}\``;
+      }
       this._includeJoinedData.forEach((attr) => {
         result += `, ${attr.selectSQL(this._klass)} `;
       })
     }
 
     const order = this._count ? '' : this._orderClause();
+    const group = this._groupByClause();
 
     let limit = '';
     if (Number.isInteger(this._range.limit)) {
@@ -336,15 +668,33 @@ export default class ModelQuery {
 
     const distinct = this._distinct ? ' DISTINCT' : '';
     const allMatchers = this.matchersFlattened();
+    const params = [];
 
     const joins = allMatchers.filter((matcher) => matcher.attr instanceof AttributeCollection)
 
     if ((joins.length === 1) && this._canSubselectForJoin(joins[0], allMatchers)) {
-      const subSql = this._subselectSQL(joins[0], this._matchers, order, limit);
-      return `SELECT${distinct} ${result} FROM \`${this._klass.name}\` WHERE \`id\` IN (${subSql}) ${order}`;
+      const subSql = this._subselectSQL(joins[0], this._matchers, order, limit, params);
+      return {
+        sql: `SELECT${distinct} ${result} FROM \`${this._klass.name}\` WHERE \`id\` IN (${subSql}) ${order}`,
+        params,
+      };
     }
 
-    return `SELECT${distinct} ${result} FROM \`${this._klass.name}\` ${this._whereClause()} ${order} ${limit}`;
+    return {
+      sql: `SELECT${distinct} ${result} FROM \`${this._klass.name}\` ${this._whereClause(params)}${group} ${order} ${limit}`,
+      params,
+    };
+  }
+
+  /**
+  @returns {Boolean} - True if the query produces the same SQL and parameters
+  as `other`.
+  */
+  isEqual(other) {
+    const a = this.statement();
+    const b = other.statement();
+    return (a.sql === b.sql) && (JSON.stringify(a.params) === JSON.stringify(b.params)) &&
+      (this.includedRelationKeys().join(',') === other.includedRelationKeys().join(','));
   }
 
   // If one of our matchers requires a join, and the attribute configuration lists
@@ -358,25 +708,26 @@ export default class ModelQuery {
   _canSubselectForJoin(matcher, allMatchers) {
     const joinAttribute = matcher.attribute();
 
-    if (!Number.isInteger(this._range.limit)) {
+    if (!Number.isInteger(this._range.limit) || this._isAggregate() || this._cursor) {
       return false;
     }
 
+    // Join tables don't store sort keys.
     const allMatchersOnJoinTable = allMatchers.every((m) =>
-      (m === matcher) || (joinAttribute.joinQueryableBy.includes(m.attr.modelKey)) || (m.attr.modelKey === 'id')
+      (m === matcher) || (joinAttribute.joinQueryableBy.includes(m.attr.modelKey) && !m.attr.sortKeyColumn()) || (m.attr.modelKey === 'id')
     );
     const allOrdersOnJoinTable = this._orders.every((o) =>
-      (joinAttribute.joinQueryableBy.includes(o.attr.modelKey))
+      (joinAttribute.joinQueryableBy.includes(o.attr.modelKey) && !o.attr.sortKeyColumn())
     );
 
     return (allMatchersOnJoinTable && allOrdersOnJoinTable);
   }
 
-  _subselectSQL(returningMatcher, subselectMatchers, order, limit) {
+  _subselectSQL(returningMatcher, subselectMatchers, order, limit, params) {
     const returningAttribute = returningMatcher.attribute()
 
     const table = tableNameForJoin(this._klass, returningAttribute.itemClass);
-    const wheres = subselectMatchers.map(c => c.whereSQL(this._klass)).filter(c => !!c);
+    const wheres = subselectMatchers.map(c => c.whereSQL(this._klass, params)).filter(c => !!c);
 
     let innerSQL = `SELECT \`id\` FROM \`${table}\` WHERE ${wheres.join(' AND ')} ${order} ${limit}`;
     innerSQL = innerSQL.replace(new RegExp(`\`${this._klass.name}\``, 'g'), `\`${table}\``);
@@ -384,9 +735,9 @@ export default class ModelQuery {
     return innerSQL;
   }
 
-  _whereClause() {
+  _whereClause(params) {
     const joins = [];
-    this._matchers.forEach((c) => {
+    this.matchers().forEach((c) => {
       const join = c.joinSQL(this._klass)
       if (join) {
         joins.push(join);
@@ -401,8 +752,8 @@ export default class ModelQuery {
     });
 
     const wheres = [];
-    this._matchers.forEach(c => {
-      const where = c.whereSQL(this._klass);
+    this.matchers().forEach(c => {
+      const where = c.whereSQL(this._klass, params);
       if (where) {
         wheres.push(where)
       }
@@ -415,16 +766,110 @@ export default class ModelQuery {
     return sql;
   }
 
+  _isAggregate() {
+    return !!this._aggregates || (this._groupBy.length > 0);
+  }
+
+  _aggregateColumnsSQL() {
+    const columns = this._groupBy.map((attr) =>
+      `\`${this._klass.name}\`.\`${attr.jsonKey}\` AS \`${attr.modelKey}\``
+    );
+    for (const key of Object.keys(this._aggregates || {})) {
+      columns.push(`${this._aggregates[key].selectSQL(this._klass)} AS \`${key}\``);
+    }
+    return columns.join(', ');
+  }
+
+  // The id and sort attributes are always selected, so that partial models can
+  // be compared, sorted and used as cursors.
+  _selectedAttributes() {
+    const attrs = [this._klass.attributes.id];
+    const add = (attr) => {
+      if (!attrs.includes(attr)) {
+        attrs.push(attr);
+      }
+    };
+    // Sort orders on nested values (see AttributeObject.path) aren't attributes
+    // of the model, so they can't be loaded into partial models.
+    this._orders.forEach((order) => {
+      const attr = order.attribute();
+      if (this._klass.attributes[attr.modelKey] === attr) {
+        add(attr);
+      }
+    });
+    this._select.forEach(add);
+    return attrs;
+  }
+
+  _selectColumnsSQL() {
+    return this._selectedAttributes().map((attr) => {
+      if (attr instanceof AttributeJoinedData) {
+        return attr.selectSQL(this._klass);
+      }
+      if (attr.queryable && attr.columnSQL) {
+        return `\`${this._klass.name}\`.\`${attr.jsonKey}\` AS \`${attr.modelKey}\``;
+      }
+      const path = `$.${attr.jsonKey}`.replace(/'/g, "''");
+      return `json_extract(\`${this._klass.name}\`.\`data\`, '${path}') AS \`${attr.modelKey}\``;
+    }).join(', ');
+  }
+
+  _groupByClause() {
+    if (this._groupBy.length === 0) {
+      return '';
+    }
+    return ` GROUP BY ${this._groupBy.map((attr) => `${attr.columnRefSQL(this._klass)}${attr.collateSQL()}`).join(', ')}`;
+  }
+
   _orderClause() {
     if (this._orders.length === 0) {
       return ''
     }
 
-    let sql = ' ORDER BY '
-    this._orders.forEach((sort) => {
-      sql += sort.orderBySQL(this._klass);
-    });
-    return sql;
+    // When paging backwards from a cursor, we fetch the closest models by
+    // reversing the sort order, and then reverse the results.
+    let orders = this._orders;
+    if (this._cursor && this._cursor.before) {
+      orders = orders.map((o) => new SortOrder(o.attr, (o.direction === 'ASC') ? 'DESC' : 'ASC'));
+    }
+
+    return ` ORDER BY ${orders.map((sort) => sort.orderBySQL(this._klass)).join(', ')}`;
+  }
+
+  _inCursorOrder(results) {
+    return (this._cursor && this._cursor.before) ? results.reverse() : results;
+  }
+
+  // Builds a matcher for the models after the cursor (or before it) in the
+  // query's sort order. For orders (a ASC, b DESC, id ASC) and cursor values
+  // (A, B, ID), this is equivalent to:
+  //
+  //   (a > A) OR (a IS A AND (b < B OR b IS NULL)) OR (a IS A AND b IS B AND id > ID)
+  //
+  // SQLite sorts NULL before all other values, so NULLs are handled explicitly.
+  _keysetMatcher({model, before}) {
+    const branches = [];
+    const equalities = [];
+
+    for (const order of this._orders) {
+      const attr = order.attribute();
+      const modelValue = attr.valueForModel(model);
+      const value = (modelValue === undefined) ? null : modelValue;
+      const ascending = (order.direction === 'ASC') !== before;
+
+      let beyond = null;
+      if (ascending) {
+        beyond = (value === null) ? new Matcher(attr, 'IS NOT', null) : new Matcher(attr, '>', value);
+      } else if (value !== null) {
+        beyond = new Matcher.Or([new Matcher(attr, '<', value), new Matcher(attr, 'IS', null)]);
+      }
+      if (beyond) {
+        branches.push(new Matcher.And(equalities.concat([beyond])));
+      }
+      equalities.push(new Matcher(attr, 'IS', value));
+    }
+
+    return new Matcher.Or(branches);
   }
 
   // Private: Marks the object as final, preventing any changes to the where
@@ -434,7 +879,7 @@ export default class ModelQuery {
       return this;
     }
 
-    if (this._orders.length === 0) {
+    if (this._orders.length === 0 && !this._isAggregate()) {
       const natural = this._klass.naturalSortOrder();
       if (natural) {
         this._orders.push(natural);
@@ -445,6 +890,17 @@ export default class ModelQuery {
       this.limit(1);
     }
 
+    if (this._cursor || this._stableOrder) {
+      // The id breaks ties between models with the same sort values, so that
+      // the cursor position is always unambiguous.
+      if (!this._orders.find((o) => o.attr.modelKey === 'id')) {
+        this._orders.push(this._klass.attributes.id.ascending());
+      }
+    }
+    if (this._cursor) {
+      this._cursorMatcher = this._keysetMatcher(this._cursor);
+    }
+
     this._finalized = true;
     return this;
   }
@@ -458,14 +914,30 @@ export default class ModelQuery {
 
   // Observables
 
-  observe({allowQueryChanges = false, name = null} = {}) {
+  /**
+  @param {Object} options
+  @param {Boolean} options.emitChangeSets - Pass `true` to receive a
+    {QueryChangeSet} describing the rows that were added, removed, moved and
+    updated, instead of the full array of models. Cannot be combined with
+    `allowQueryChanges` or used with count queries.
+
+  @returns {Rx.Observable} - An observable that emits the query's results
+  now and each time they change. Count queries emit the updated count.
+  */
+  observe({allowQueryChanges = false, name = null, emitChangeSets = false} = {}) {
+    if (emitChangeSets && this._count) {
+      throw new Error("ModelQuery::observe - Count queries cannot emit change sets.");
+    }
+    if (emitChangeSets && allowQueryChanges) {
+      throw new Error("ModelQuery::observe - Queries that allow query changes cannot emit change sets.");
+    }
     return Rx.Observable.create((observer) => {
       const pool = this._database._querySubscriptionPool;
       let unsubscribe = null;
       if (allowQueryChanges) {
         unsubscribe = pool.addPrivateSubscription(name, this, (v) => observer.onNext(v));
       } else {
-        unsubscribe = pool.add(this, (v) => observer.onNext(v));
+        unsubscribe = pool.add(this, (v) => observer.onNext(v), {emitChangeSets});
       }
       return Rx.Disposable.create(unsubscribe);
     });
@@ -475,7 +947,7 @@ export default class ModelQuery {
   // (These are here to make specs easy)
 
   matchers() {
-    return this._matchers;
+    return this._cursorMatcher ? this._matchers.concat([this._cursorMatcher]) : this._matchers;
   }
 
   matchersFlattened() {
@@ -492,7 +964,7 @@ export default class ModelQuery {
         }
       }
     }
-    traverse(this._matchers);
+    traverse(this.matchers());
     return all;
   }
 
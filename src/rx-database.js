@@ -1,19 +1,31 @@
 /* eslint global-require: 0 */
 import Sqlite3 from 'better-sqlite3';
 import PromiseQueue from 'promise-queue';
-import {ipcRenderer} from 'electron';
 import LRU from 'lru-cache';
 import {EventEmitter} from 'events';
 
 import Query from './query';
 import {logSQLString} from './console-utils';
 import ModelRegistry from './model-registry';
+import MigrationRegistry from './migrations/migration-registry';
 import DatabaseChangeRecord from './database-change-record';
 import DatabaseChangeRecordDebouncer from './database-change-record-debouncer';
 import QuerySubscriptionPool from './query-subscription-pool';
-import DatabaseTransaction from './database-transaction';
-import {analyzeQueriesForClass, setupQueriesForClass} from './query-builder';
+import DatabaseTransaction, {
+  ConflictError,
+  ValidationError,
+  UniqueConstraintError,
+  DeleteRestrictedError,
+} from './database-transaction';
+import {
+  analyzeQueriesForClass,
+  setupQueriesForClass,
+  reconcileQueriesForClass,
+  indexDefinitionsForClass,
+  indexQueriesForClass,
+} from './query-builder';
 import JSONBlob from './json-blob';
+import {isSortKeyColumn} from './attributes/collation';
 
 const DatabasePhase = {
   Setup: 'setup',
@@ -26,15 +38,39 @@ class IncorrectVersionError extends Error {
     super(`Incorrect database schema version: ${actual} not ${expected}`);
   }
 }
+
+class MigrationError extends Error {
+  constructor({from, to, error}) {
+    super(`Migration from schema version ${from} to ${to} failed: ${error.toString()}`);
+    this.originalError = error;
+  }
+}
+
+class UniqueIndexError extends Error {
+  constructor({objectClass, indexName, error}) {
+    super(`The unique index ${indexName} could not be created because ${objectClass} contains duplicate values: ${error.toString()}`);
+    this.objectClass = objectClass;
+    this.indexName = indexName;
+    this.originalError = error;
+  }
+}
 /**
 The RxDatabase is the central database object of RxDB. You can instantiate
 as many databases as you'd like at the same time, and opening the same
 database path in multiple windows is fine - RxDB uses SQLite transactions and
 dispatches change events across windows via the Electron IPC module.
 
+Outside of Electron renderer processes, pass a `transport` to connect the
+database to a {Coordinator}. See the `Transports` module for the in-process
+and `worker_threads` transports.
+
 This class extends EventEmitter, and you can subscribe to all changes to the
 database by subscribing to the `trigger` event.
 
+When you change your models in a way that requires changes to existing tables,
+bump the `databaseVersion` and register a migration with `db.migrations`.
+See {MigrationRegistry} for more information.
+
 For more information about getting started with RxDB, see the Getting Started
 guide.
 
@@ -45,8 +81,14 @@ export default class RxDatabase extends EventEmitter {
 
   static ChangeRecord = DatabaseChangeRecord;
   static IncorrectVersionError = IncorrectVersionError;
-
-  constructor({primary, databasePath, databaseVersion, logQueries, logQueryPlans} = {}) {
+  static MigrationError = MigrationError;
+  static UniqueIndexError = UniqueIndexError;
+  static ConflictError = ConflictError;
+  static ValidationError = ValidationError;
+  static UniqueConstraintError = UniqueConstraintError;
+  static DeleteRestrictedError = DeleteRestrictedError;
+
+  constructor({primary, databasePath, databaseVersion, logQueries, logQueryPlans, transport} = {}) {
     super();
 
     this.setMaxListeners(100);
@@ -59,6 +101,7 @@ export default class RxDatabase extends EventEmitter {
     }
 
     this.models = new ModelRegistry();
+    this.migrations = new MigrationRegistry();
 
     this._options = {primary, databasePath, databaseVersion, logQueries, logQueryPlans};
 
@@ -66,6 +109,7 @@ export default class RxDatabase extends EventEmitter {
     this._transactionQueue = new PromiseQueue(1, Infinity);
     this._preparedStatementCache = LRU({max: 500});
     this._inflightTransactions = 0;
+    this._indexUsage = {used: {}, queriedTables: {}, missing: []};
     this._open = false;
     this._waiting = [];
     this._mutationHooks = [];
@@ -74,15 +118,18 @@ export default class RxDatabase extends EventEmitter {
       maxTriggerDelay: 10,
     })
 
+    // The Electron transport is loaded lazily so that RxDB can be used in
+    // processes where the electron module is not available.
+    this._transport = transport || new (require('./transports/electron-transport').ElectronTransport)();
+
     // Listen for trigger events originating in other windows
-    ipcRenderer.on('rxdb-trigger', this._onIPCTrigger);
+    this._transport.on('trigger', this._onIPCTrigger);
 
     // Listen to events from the application telling us when the database is ready,
     // should be closed so it can be deleted, etc.
-    ipcRenderer.on('rxdb-phase-changed', this._onPhaseChanged);
+    this._transport.on('phase-changed', this._onPhaseChanged);
     setTimeout(() => {
-      const phase = ipcRenderer.sendSync('rxdb-get-phase');
-      this._onPhaseChanged(null, phase);
+      this._transport.getPhase((phase) => this._onPhaseChanged(phase));
     }, 0);
   }
 
@@ -92,8 +139,9 @@ export default class RxDatabase extends EventEmitter {
   of RxDatabase, call `disconnect`.
   */
   disconnect() {
-    ipcRenderer.removeListener('rxdb-phase-changed', this._onPhaseChanged);
-    ipcRenderer.removeListener('rxdb-trigger', this._onIPCTrigger);
+    this._transport.removeListener('phase-changed', this._onPhaseChanged);
+    this._transport.removeListener('trigger', this._onIPCTrigger);
+    this._transport.disconnect();
   }
 
   _onIPCTrigger = ({json, path}) => {
@@ -102,15 +150,15 @@ export default class RxDatabase extends EventEmitter {
     }
   }
 
-  _onPhaseChanged = (event, phase) => {
+  _onPhaseChanged = (phase) => {
     if (phase === DatabasePhase.Setup) {
       if (!this._options.primary) {
         return;
       }
       this._openDatabase(() => {
-        this._checkDatabaseVersion({allowUnset: true}, () => {
+        this._checkDatabaseVersion({allowUnset: true, allowMigration: true}, () => {
           this._runDatabaseSetup(() => {
-            ipcRenderer.send('rxdb-set-phase', DatabasePhase.Ready);
+            this._transport.setPhase(DatabasePhase.Ready);
             setTimeout(() => this._runDatabaseAnalyze(), 60 * 1000);
           });
         });
@@ -165,11 +213,14 @@ export default class RxDatabase extends EventEmitter {
     });
   }
 
-  _checkDatabaseVersion({allowUnset} = {}, ready) {
-    const result = this._db.pragma('user_version', true);
+  _checkDatabaseVersion({allowUnset, allowMigration} = {}, ready) {
+    const result = `${this._db.pragma('user_version', true)}`;
     const isUnsetVersion = (result === '0');
     const isWrongVersion = (result !== this._options.databaseVersion);
     if (isWrongVersion && !(isUnsetVersion && allowUnset)) {
+      if (allowMigration && !isUnsetVersion && this.migrations.canMigrate(result, this._options.databaseVersion)) {
+        return this._runDatabaseMigrations(result, ready);
+      }
       return this._handleSetupError(new IncorrectVersionError({
         actual: result,
         expected: this._options.databaseVersion,
@@ -178,10 +229,54 @@ export default class RxDatabase extends EventEmitter {
     return ready();
   }
 
+  _runDatabaseMigrations(fromVersion, ready) {
+    const toVersion = this._options.databaseVersion;
+    const migrations = this.migrations.migrationsBetween(fromVersion, toVersion);
+
+    try {
+      this._db.prepare(`BEGIN IMMEDIATE TRANSACTION`).run();
+      for (const {version, steps} of migrations) {
+        if (this._options.logQueries) {
+          console.log(`RxDatabase: Running migration to version ${version}`);
+        }
+        for (const step of steps) {
+          step.run(this._db);
+        }
+      }
+      this._db.pragma(`user_version=${toVersion}`);
+      this._db.prepare(`COMMIT`).run();
+    } catch (err) {
+      try {
+        this._db.prepare(`ROLLBACK`).run();
+      } catch (rollbackErr) {
+        // The transaction may not have been opened, or SQLite may have already
+        // rolled it back. Either way, the original error is the one to report.
+      }
+      return this._handleSetupError(new MigrationError({from: fromVersion, to: toVersion, error: err}));
+    }
+
+    /**
+    @event RxDatabase#did-migrate-database
+    @type {object}
+    @property {object} sqlite - The underlying SQLite3 database instance.
+    @property {String} fromVersion - The schema version before migrating.
+    @property {String} toVersion - The schema version after migrating.
+    */
+    this.emit('did-migrate-database', {sqlite: this._db, fromVersion, toVersion});
+
+    return ready();
+  }
+
   _runDatabaseSetup(ready) {
     try {
       for (const klass of this.models.getAllConstructors()) {
-        const queries = setupQueriesForClass(klass);
+        // bring existing tables in line with the model's queryable attributes
+        // before creating indexes that may reference new columns
+        const table = this._describeTable(klass.name);
+        const queries = reconcileQueriesForClass(klass, (name) =>
+          ((name === klass.name) ? table : this._describeTable(name))
+        );
+        queries.push(...setupQueriesForClass(klass));
 
         // setup search index objects that actually maintain the FTS5 tables
         Object.keys(klass.searchIndexes).forEach((name) => {
@@ -189,13 +284,20 @@ export default class RxDatabase extends EventEmitter {
           queries.push(searchIndex.tableCreateQuery());
         });
 
-        // run queries to create tables and indexes
-        for (const query of queries) {
+        const run = (query) => {
           if (this._options.logQueries) {
             console.log(`RxDatabase: ${query}`);
           }
           this._db.prepare(query).run();
-        }
+        };
+
+        // run queries to create tables and indexes
+        queries.forEach(run);
+        this._backfillSortKeys(klass, table, run);
+
+        // create, rebuild or drop the indexes declared in `static indexes`
+        // once the table and its columns are in place
+        this._runIndexQueries(klass, run);
 
         // activate search indexes
         Object.keys(klass.searchIndexes).forEach((name) => {
@@ -218,6 +320,77 @@ export default class RxDatabase extends EventEmitter {
     return ready();
   }
 
+  // Creates, rebuilds and drops the indexes declared by the model. If stored
+  // rows contain duplicate values of a `unique` attribute, its index can't be
+  // created, and setup fails rather than running without the constraint.
+  _runIndexQueries(klass, run) {
+    for (const query of indexQueriesForClass(klass, this._listIndexes(klass.name))) {
+      try {
+        run(query);
+      } catch (err) {
+        if (/^CREATE UNIQUE INDEX/.test(query) && /UNIQUE constraint failed/.test(err.message)) {
+          const indexName = /INDEX `([^`]+)`/.exec(query)[1];
+          throw new UniqueIndexError({objectClass: klass.name, indexName, error: err});
+        }
+        throw err;
+      }
+    }
+  }
+
+  // Sort keys are computed in Javascript, so when their columns are added to an
+  // existing table they're filled in here. This happens when `SortKeyVersion`
+  // is bumped, so the sort key columns of older versions are cleared at the
+  // same time. SQLite can't drop columns, so they're set to null.
+  _backfillSortKeys(klass, table, run) {
+    if (!table) {
+      return;
+    }
+    const sortKeyAttributes = Object.keys(klass.attributes).map(key => klass.attributes[key]).filter((attr) =>
+      attr.queryable && attr.columnSQL && attr.sortKeyColumn()
+    );
+    const attributes = sortKeyAttributes.filter((attr) => !table.columns.includes(attr.sortKeyColumn()));
+    if (attributes.length === 0) {
+      return;
+    }
+    const current = sortKeyAttributes.map((attr) => attr.sortKeyColumn());
+    const stale = table.columns.filter((column) => isSortKeyColumn(column) && !current.includes(column));
+
+    run('SAVEPOINT rxdb_sort_keys');
+    try {
+      for (const attr of attributes) {
+        const update = this._db.prepare(`UPDATE \`${klass.name}\` SET \`${attr.sortKeyColumn()}\` = ? WHERE \`id\` = ?`);
+        const rows = this._db.prepare(`SELECT \`id\`, \`${attr.jsonKey}\` AS \`value\` FROM \`${klass.name}\` WHERE \`${attr.jsonKey}\` IS NOT NULL`).all();
+        for (const {id, value} of rows) {
+          update.run([attr.sortKey(value), id]);
+        }
+      }
+      if (stale.length > 0) {
+        run(`UPDATE \`${klass.name}\` SET ${stale.map((column) => `\`${column}\` = NULL`).join(', ')}`);
+      }
+      run('RELEASE rxdb_sort_keys');
+    } catch (err) {
+      run('ROLLBACK TO rxdb_sort_keys');
+      run('RELEASE rxdb_sort_keys');
+      throw err;
+    }
+  }
+
+  _describeTable(table) {
+    const columns = this._db.pragma(`table_info(\`${table}\`)`);
+    if (!columns || columns.length === 0) {
+      return null;
+    }
+    const indexes = this._db.pragma(`index_list(\`${table}\`)`).map(({name}) => ({
+      name: name,
+      columns: this._db.pragma(`index_info(\`${name}\`)`).map(c => c.name),
+    }));
+    return {columns: columns.map(c => c.name), indexes};
+  }
+
+  _listIndexes(table) {
+    return this._db.prepare(`SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ?`).all([table]);
+  }
+
   _runDatabaseAnalyze() {
     const queries = [];
     for (const klass of this.models.getAllConstructors()) {
@@ -247,7 +420,7 @@ export default class RxDatabase extends EventEmitter {
     @property {Error} error - The error that occurred.
     */
     this.emit('will-rebuild-database', {sqlite: this._db, error: error});
-    ipcRenderer.sendSync('rxdb-handle-setup-error');
+    this._transport.reportSetupError(this._options.databasePath);
   }
 
   /**
@@ -283,6 +456,7 @@ export default class RxDatabase extends EventEmitter {
 
       if (query.startsWith(`SELECT `) && this._options.logQueryPlans) {
         const plan = this._db.prepare(`EXPLAIN QUERY PLAN ${query}`).all(values);
+        this._recordQueryPlan(query, plan);
         const planString = `${plan.map(row => row.detail).join('\n')} for ${query}`;
         if (planString.includes('ThreadCounts')) {
           return;
@@ -302,6 +476,12 @@ export default class RxDatabase extends EventEmitter {
         this._inflightTransactions += 1;
       }
 
+      // Whether or not the ROLLBACK succeeds, the transaction is over afterwards.
+      // (If it fails, SQLite has already rolled the transaction back.)
+      if (query === 'ROLLBACK') {
+        this._inflightTransactions = Math.max(0, this._inflightTransactions - 1);
+      }
+
       const fn = query.startsWith('SELECT') ? 'all' : 'run';
       let tries = 0;
       let results = null;
@@ -340,6 +520,32 @@ export default class RxDatabase extends EventEmitter {
     });
   }
 
+  _recordQueryPlan(query, plan) {
+    for (const {detail} of plan) {
+      // Virtual tables (json_each, which binds `in` matchers, and FTS5 search
+      // indexes), subqueries and constant rows can't be indexed, so scanning
+      // them isn't a missing index.
+      if (/VIRTUAL TABLE/.test(detail) || /^SCAN (?:CONSTANT ROW|SUBQUERY|\()/.test(detail)) {
+        continue;
+      }
+      const tableMatch = /^(SCAN|SEARCH) (?:TABLE )?(\S+)/.exec(detail);
+      if (tableMatch) {
+        this._indexUsage.queriedTables[tableMatch[2]] = true;
+      }
+      const indexMatch = /USING (?:COVERING )?INDEX (\S+)/.exec(detail);
+      if (indexMatch) {
+        this._indexUsage.used[indexMatch[1]] = true;
+        continue;
+      }
+      if (tableMatch && (tableMatch[1] === 'SCAN')) {
+        const table = tableMatch[2];
+        if (!this._indexUsage.missing.find(m => m.table === table && m.query === query)) {
+          this._indexUsage.missing.push({table, query});
+        }
+      }
+    }
+  }
+
   // PUBLIC METHODS #############################
 
   // ActiveRecord-style Querying
@@ -421,6 +627,32 @@ export default class RxDatabase extends EventEmitter {
     return new Query(klass, this).where(predicates).count();
   }
 
+  /**
+  Creates a new Query that returns aggregate values (sums, averages, minimums
+  and maximums) computed over the models matching the predicates provided.
+
+  ```js
+  db.aggregate(Thread, {total: Thread.attributes.version.sum()})
+    .groupBy(Thread.attributes.accountId)
+    .then((rows) => {
+      // [{accountId: 'a', total: 12}, ...]
+    });
+  ```
+
+  @param {Model} klass - The Model class you're trying to retrieve.
+  @param {Object} aggregates - An object mapping result keys to {Aggregate}s.
+  @param {Matcher[]} predicates - The set of predicates the aggregated models
+  must match.
+
+  @returns {Query}
+  */
+  aggregate(klass, aggregates, predicates = []) {
+    if (!klass) {
+      throw new Error(`RxDatabase::aggregate - You must provide a class`);
+    }
+    return new Query(klass, this).where(predicates).aggregate(aggregates);
+  }
+
   /**
   Modelify takes a mixed array of model IDs or model instances, and
   queries for items that are missing. The returned array contains just model
@@ -479,8 +711,11 @@ export default class RxDatabase extends EventEmitter {
   @returns {Promise} - A promise that resolves with the result of the database query.
   */
   run(modelQuery, options = {format: true}) {
-    return this._query(modelQuery.sql(), []).then((result) => {
-      let transformed = modelQuery.inflateResult(result);
+    const {sql, params} = modelQuery.statement();
+    return this._query(sql, params).then((result) =>
+      modelQuery.loadRelations(modelQuery.inflateResult(result))
+    ).then((inflated) => {
+      let transformed = inflated;
       if (options.format !== false) {
         transformed = modelQuery.formatResult(transformed)
       }
@@ -492,6 +727,38 @@ export default class RxDatabase extends EventEmitter {
     return new JSONBlob.Query(JSONBlob, this).where({id}).one();
   }
 
+  /**
+  Summarizes the `EXPLAIN QUERY PLAN` output of the SELECT queries run since
+  the database was opened. Requires the `logQueryPlans` option.
+
+  @returns {Object} - An object with two keys:
+    - `unused`: The names of indexes declared in `static indexes` that no
+      query has used. Indexes are only reported once a query on their table
+      has been recorded.
+    - `missing`: `{table, query}` objects describing queries that scanned a
+      table without using an index.
+  */
+  indexUsageReport() {
+    if (!this._options.logQueryPlans) {
+      throw new Error("RxDatabase::indexUsageReport - You must enable the `logQueryPlans` option to collect index usage.");
+    }
+    const unused = [];
+    for (const klass of this.models.getAllConstructors()) {
+      if (!this._indexUsage.queriedTables[klass.name]) {
+        continue;
+      }
+      for (const {name} of indexDefinitionsForClass(klass)) {
+        if (!this._indexUsage.used[name]) {
+          unused.push(name);
+        }
+      }
+    }
+    return {
+      unused: unused,
+      missing: this._indexUsage.missing.slice(),
+    };
+  }
+
   /**
   Mutation hooks allow you to observe changes to the database and
   add functionality within the transaction, before and/or after the standard
@@ -546,6 +813,10 @@ export default class RxDatabase extends EventEmitter {
   - Serial Execution: Once started, no other calls to `inTransaction` will
     excute until the promise returned by `fn` has finished.
 
+  - Atomicity: If `fn` throws or returns a promise that rejects, the
+    transaction is rolled back, no change records are emitted, and the
+    promise returned by `inTransaction` rejects with the original error.
+
   - Single Process Writing: No other process will be able to write to the
     database while the provided function is running. RxDB uses SQLite's
     `BEGIN IMMEDIATE TRANSACTION`, with the following semantics:
@@ -553,6 +824,10 @@ export default class RxDatabase extends EventEmitter {
       + Other connections can read from the database, but they will not see
         pending changes.
 
+  - Nesting: To compose transactions, call `inTransaction` on the
+    {DatabaseTransaction} passed to `fn` rather than on the database. Nested
+    transactions use SQLite savepoints and can be rolled back on their own.
+
   @param {Function} fn - A callback that will be executed inside a database
     transaction
 
@@ -611,7 +886,7 @@ export default class RxDatabase extends EventEmitter {
   @protected
   */
   trigger(record) {
-    ipcRenderer.send('rxdb-trigger', {
+    this._transport.sendTrigger({
       path: this._options.databasePath,
       json: record.toJSON(),
     });
@@ -1,5 +1,5 @@
 const {Matcher} = require('../attributes');
-const {singleQuoteEscapeSequence, doubleQuoteEscapeSequence} = require('../attributes/matcher');
+const {doubleQuoteEscapeSequence} = require('../attributes/matcher');
 
 const INDEXING_PAGE_SIZE = 1000;
 
@@ -12,7 +12,6 @@ class SearchMatcherFTS5 extends Matcher {
       searchQuery.trim()
       .replace(/^['"]/, "")
       .replace(/['"]$/, "")
-      .replace(/'/g, singleQuoteEscapeSequence)
       .replace(/"/g, doubleQuoteEscapeSequence)
     )
   }
@@ -38,8 +37,9 @@ class SearchMatcherFTS5 extends Matcher {
     return `INNER JOIN \`${this.index.tableName()}\` AS \`${joinTableRef}\` ON \`${joinTableRef}\`.\`content_id\` = \`${klass.name}\`.\`id\``;
   }
 
-  whereSQL() {
-    return `\`${this.index.tableName()}\` MATCH '"${this.searchQuery}"*'`;
+  whereSQL(klass, params) {
+    params.push(`"${this.searchQuery}"*`);
+    return `\`${this.index.tableName()}\` MATCH ?`;
   }
 }
 
@@ -0,0 +1,93 @@
+import {EventEmitter} from 'events';
+import {ipcRenderer, ipcMain, BrowserWindow} from 'electron';
+
+/**
+The default transport used by {RxDatabase} in Electron renderer processes.
+Phase negotiation and change records are relayed to the {Coordinator} in the
+browser process via Electron's IPC module.
+*/
+export class ElectronTransport extends EventEmitter {
+  constructor() {
+    super();
+    ipcRenderer.on('rxdb-trigger', this._onTrigger);
+    ipcRenderer.on('rxdb-phase-changed', this._onPhaseChanged);
+  }
+
+  getPhase(callback) {
+    callback(ipcRenderer.sendSync('rxdb-get-phase'));
+  }
+
+  setPhase(phase) {
+    ipcRenderer.send('rxdb-set-phase', phase);
+  }
+
+  reportSetupError(databasePath) {
+    ipcRenderer.sendSync('rxdb-handle-setup-error', databasePath);
+  }
+
+  sendTrigger(payload) {
+    ipcRenderer.send('rxdb-trigger', payload);
+  }
+
+  disconnect() {
+    ipcRenderer.removeListener('rxdb-trigger', this._onTrigger);
+    ipcRenderer.removeListener('rxdb-phase-changed', this._onPhaseChanged);
+  }
+
+  _onTrigger = (event, payload) => {
+    this.emit('trigger', payload);
+  }
+
+  _onPhaseChanged = (event, phase) => {
+    this.emit('phase-changed', phase);
+  }
+}
+
+/**
+The default transport used by the {Coordinator} in the Electron browser process.
+Messages are received from renderer processes via `ipcMain` and broadcast to
+every open BrowserWindow.
+*/
+export class ElectronCoordinatorTransport extends EventEmitter {
+  constructor() {
+    super();
+
+    ipcMain.on('rxdb-get-phase', (event) => {
+      this.emit('get-phase', (phase) => {
+        event.returnValue = phase;
+      });
+    });
+
+    ipcMain.on('rxdb-set-phase', (event, phase) => {
+      this.emit('set-phase', phase);
+    });
+
+    ipcMain.on('rxdb-handle-setup-error', (event, databasePath) => {
+      this.emit('setup-error', databasePath);
+    });
+
+    ipcMain.on('rxdb-trigger', (event, payload) => {
+      this.emit('trigger', payload, BrowserWindow.fromWebContents(event.sender));
+    });
+  }
+
+  broadcastPhase(phase) {
+    BrowserWindow.getAllWindows().forEach((win) => {
+      win.webContents.send('rxdb-phase-changed', phase);
+    });
+  }
+
+  broadcastTrigger(payload, sender) {
+    BrowserWindow.getAllWindows().forEach((win) => {
+      if (win !== sender) {
+        win.webContents.send('rxdb-trigger', payload);
+      }
+    });
+  }
+
+  reloadClients() {
+    BrowserWindow.getAllWindows().forEach((win) => {
+      win.reload();
+    });
+  }
+}
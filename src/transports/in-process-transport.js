@@ -0,0 +1,102 @@
+import {EventEmitter} from 'events';
+
+/**
+A transport for using RxDB without Electron IPC, for example in plain Node
+scripts, CLI tools or the Electron main process. The coordinator side of the
+transport hands out connected client transports for each {RxDatabase}:
+
+```js
+const coordinatorTransport = new InProcessCoordinatorTransport();
+const coordinator = new Coordinator({transport: coordinatorTransport});
+
+const db = new RxDatabase({
+  primary: true,
+  databasePath: 'app.db',
+  databaseVersion: '1',
+  transport: coordinatorTransport.createClient(),
+});
+```
+
+Messages are delivered asynchronously, just like they would be over IPC.
+*/
+export class InProcessCoordinatorTransport extends EventEmitter {
+  constructor() {
+    super();
+    this._clients = [];
+  }
+
+  /**
+  @returns {InProcessTransport} - A new client transport for an {RxDatabase}.
+  */
+  createClient() {
+    const client = new InProcessTransport(this);
+    this._clients.push(client);
+    return client;
+  }
+
+  /**
+  @private
+  */
+  removeClient(client) {
+    this._clients = this._clients.filter(c => c !== client);
+  }
+
+  broadcastPhase(phase) {
+    this._clients.forEach((client) => client.deliver('phase-changed', phase));
+  }
+
+  broadcastTrigger(payload, sender) {
+    this._clients.forEach((client) => {
+      if (client !== sender) {
+        client.deliver('trigger', payload);
+      }
+    });
+  }
+
+  reloadClients() {
+    // Databases in the same process reopen themselves when the coordinator
+    // returns to the setup phase, so there is nothing to reload.
+  }
+}
+
+/**
+The client half of the in-process transport. Obtain instances by calling
+{InProcessCoordinatorTransport#createClient}.
+*/
+export class InProcessTransport extends EventEmitter {
+  constructor(coordinatorTransport) {
+    super();
+    this._coordinatorTransport = coordinatorTransport;
+  }
+
+  getPhase(callback) {
+    this._coordinatorTransport.emit('get-phase', callback);
+  }
+
+  setPhase(phase) {
+    this._send('set-phase', phase);
+  }
+
+  reportSetupError(databasePath) {
+    this._send('setup-error', databasePath);
+  }
+
+  sendTrigger(payload) {
+    this._send('trigger', payload, this);
+  }
+
+  disconnect() {
+    this._coordinatorTransport.removeClient(this);
+  }
+
+  /**
+  @private
+  */
+  deliver(event, ...args) {
+    setTimeout(() => this.emit(event, ...args), 0);
+  }
+
+  _send(event, ...args) {
+    setTimeout(() => this._coordinatorTransport.emit(event, ...args), 0);
+  }
+}
@@ -0,0 +1,18 @@
+/* eslint global-require: 0 */
+
+// The Electron transports are loaded lazily so that RxDB can be required in
+// processes where the `electron` module is not available.
+module.exports = {
+  get ElectronTransport() {
+    return require('./electron-transport').ElectronTransport;
+  },
+  get ElectronCoordinatorTransport() {
+    return require('./electron-transport').ElectronCoordinatorTransport;
+  },
+
+  InProcessTransport: require('./in-process-transport').InProcessTransport,
+  InProcessCoordinatorTransport: require('./in-process-transport').InProcessCoordinatorTransport,
+
+  MessagePortTransport: require('./message-port-transport').MessagePortTransport,
+  MessagePortCoordinatorTransport: require('./message-port-transport').MessagePortCoordinatorTransport,
+};
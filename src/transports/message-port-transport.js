@@ -0,0 +1,143 @@
+import {EventEmitter} from 'events';
+
+/**
+A transport for using RxDB from Node `worker_threads`. The coordinator runs on
+the main thread, and each worker is given one end of a `MessageChannel`:
+
+```js
+// main thread
+const coordinatorTransport = new MessagePortCoordinatorTransport();
+const coordinator = new Coordinator({transport: coordinatorTransport});
+
+const {port1, port2} = new MessageChannel();
+coordinatorTransport.addPort(port1);
+new Worker('./worker.js', {workerData: {port: port2}, transferList: [port2]});
+
+// worker.js
+const db = new RxDatabase({
+  databasePath: 'app.db',
+  databaseVersion: '1',
+  transport: new MessagePortTransport(workerData.port),
+});
+```
+*/
+export class MessagePortCoordinatorTransport extends EventEmitter {
+  constructor() {
+    super();
+    this._ports = [];
+  }
+
+  /**
+  Start relaying messages to and from a MessagePort connected to a
+  {MessagePortTransport}.
+  */
+  addPort(port) {
+    const listener = ({channel, args}) => this._onMessage(port, channel, args);
+    this._ports.push({port, listener});
+    port.on('message', listener);
+  }
+
+  removePort(port) {
+    this._ports = this._ports.filter((entry) => {
+      if (entry.port !== port) {
+        return true;
+      }
+      port.removeListener('message', entry.listener);
+      return false;
+    });
+  }
+
+  broadcastPhase(phase) {
+    this._ports.forEach(({port}) => {
+      port.postMessage({channel: 'rxdb-phase-changed', args: [phase]});
+    });
+  }
+
+  broadcastTrigger(payload, sender) {
+    this._ports.forEach(({port}) => {
+      if (port !== sender) {
+        port.postMessage({channel: 'rxdb-trigger', args: [payload]});
+      }
+    });
+  }
+
+  reloadClients() {
+    // Workers reopen their databases when the coordinator returns to the
+    // setup phase, so there is nothing to reload.
+  }
+
+  _onMessage(port, channel, args) {
+    switch (channel) {
+      case 'rxdb-get-phase':
+        this.emit('get-phase', (phase) => {
+          port.postMessage({channel: 'rxdb-get-phase-reply', args: [phase]});
+        });
+        break;
+      case 'rxdb-set-phase':
+        this.emit('set-phase', ...args);
+        break;
+      case 'rxdb-handle-setup-error':
+        this.emit('setup-error', ...args);
+        break;
+      case 'rxdb-trigger':
+        this.emit('trigger', ...args, port);
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+/**
+The client half of the MessagePort transport, used by an {RxDatabase} running
+inside a worker thread.
+*/
+export class MessagePortTransport extends EventEmitter {
+  constructor(port) {
+    super();
+    this._port = port;
+    this._phaseCallbacks = [];
+    this._port.on('message', this._onMessage);
+  }
+
+  getPhase(callback) {
+    this._phaseCallbacks.push(callback);
+    this._send('rxdb-get-phase');
+  }
+
+  setPhase(phase) {
+    this._send('rxdb-set-phase', phase);
+  }
+
+  reportSetupError(databasePath) {
+    this._send('rxdb-handle-setup-error', databasePath);
+  }
+
+  sendTrigger(payload) {
+    this._send('rxdb-trigger', payload);
+  }
+
+  disconnect() {
+    this._port.removeListener('message', this._onMessage);
+  }
+
+  _send(channel, ...args) {
+    this._port.postMessage({channel, args});
+  }
+
+  _onMessage = ({channel, args}) => {
+    switch (channel) {
+      case 'rxdb-get-phase-reply':
+        this._phaseCallbacks.shift()(...args);
+        break;
+      case 'rxdb-phase-changed':
+        this.emit('phase-changed', ...args);
+        break;
+      case 'rxdb-trigger':
+        this.emit('trigger', ...args);
+        break;
+      default:
+        break;
+    }
+  }
+}
@@ -18,6 +18,9 @@ export function isTempId(id) {
   return id.slice(0, 6) === 'local-';
 }
 
+// The hidden column that stores the revision of models with `static versioned = true`
+export const REVISION_COLUMN = 'rxdb_revision';
+
 export function tableNameForJoin(primaryKlass, secondaryKlass) {
   return `${primaryKlass.name}${secondaryKlass.name}`;
 }